@@ -13,6 +13,20 @@ export default [
       globals: {
         document: true,
         window: true,
+        navigator: true,
+        localStorage: true,
+        console: true,
+        setTimeout: true,
+        clearTimeout: true,
+        setInterval: true,
+        clearInterval: true,
+        performance: true,
+        URL: true,
+        Blob: true,
+        FileReader: true,
+        BroadcastChannel: true,
+        // Create React App inlines process.env.REACT_APP_* at build time
+        process: true,
         test: true,
         expect: true
       }
@@ -23,6 +37,29 @@ export default [
 
     }
   },
+  {
+    files: ["**/*.test.js"],
+    languageOptions: {
+      globals: {
+        jest: true,
+        describe: true,
+        beforeAll: true,
+        afterAll: true,
+        beforeEach: true,
+        afterEach: true
+      }
+    }
+  },
+  {
+    files: ["scripts/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        require: true,
+        module: true
+      }
+    }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -0,0 +1,157 @@
+// Mock sync backend for local development and tests. Keeps every record in
+// memory with a write time per field and merges pushed changes field by
+// field, the newest write winning, like a real backend should.
+//
+//   npm run mock-sync-server            # listens on http://localhost:4000
+//   REACT_APP_SYNC_ENDPOINT=http://localhost:4000 npm start
+
+const http = require('http');
+
+/**
+ * Create the in-memory backend
+ * @returns {{handle: Function, records: Map}} Request handler and stored records
+ */
+const createSyncBackend = () => {
+  // 'store:id' -> { store, id, deleted, deletedAt, fields, seq }
+  const records = new Map();
+  // Incremented on every stored change; the cursor clients pull from
+  let seq = 0;
+
+  const latestFieldTime = (record) => Math.max(
+    0,
+    ...Object.values(record.fields).map(field => field.updatedAt)
+  );
+
+  const applyChange = (change) => {
+    const key = `${change.store}:${change.id}`;
+    const record = records.get(key)
+      || { store: change.store, id: change.id, deleted: false, deletedAt: null, fields: {}, seq: 0 };
+    let changed = !records.has(key);
+
+    if (change.deleted) {
+      if (!record.deleted && change.updatedAt >= latestFieldTime(record)) {
+        record.deleted = true;
+        record.deletedAt = change.updatedAt;
+        changed = true;
+      }
+    } else {
+      Object.entries(change.fields || {}).forEach(([name, field]) => {
+        const current = record.fields[name];
+        if (!current || field.updatedAt >= current.updatedAt) {
+          record.fields[name] = { value: field.value, updatedAt: field.updatedAt };
+          changed = true;
+        }
+      });
+      // Edits made after a delete bring the record back
+      if (record.deleted && latestFieldTime(record) > record.deletedAt) {
+        record.deleted = false;
+        record.deletedAt = null;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      seq += 1;
+      record.seq = seq;
+      records.set(key, record);
+    }
+  };
+
+  const toChange = (record) => ({
+    store: record.store,
+    id: record.id,
+    deleted: record.deleted,
+    updatedAt: record.deleted ? record.deletedAt : latestFieldTime(record),
+    fields: record.deleted ? {} : record.fields
+  });
+
+  /**
+   * Handle one request
+   * @param {string} method - HTTP method
+   * @param {string} url - Request path and query
+   * @param {Object|null} body - Parsed JSON body
+   * @returns {{status: number, body: Object}} Response
+   */
+  const handle = (method, url, body) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+    // One whole record, for clients that got a partial change to a record they don't have
+    const recordPath = pathname.match(/^\/changes\/([^/]+)\/([^/]+)$/);
+    if (recordPath && method === 'GET') {
+      const record = records.get(`${decodeURIComponent(recordPath[1])}:${decodeURIComponent(recordPath[2])}`);
+      return record
+        ? { status: 200, body: toChange(record) }
+        : { status: 404, body: { error: 'Not found' } };
+    }
+
+    if (pathname !== '/changes') {
+      return { status: 404, body: { error: 'Not found' } };
+    }
+
+    if (method === 'POST') {
+      if (!body || !Array.isArray(body.changes)) {
+        return { status: 400, body: { error: 'Expected { changes: [] }' } };
+      }
+      body.changes.forEach(applyChange);
+      return { status: 200, body: { accepted: body.changes.length, cursor: seq } };
+    }
+
+    if (method === 'GET') {
+      const since = Number(searchParams.get('since') || 0);
+      const changes = [...records.values()]
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(toChange);
+      return { status: 200, body: { changes, cursor: seq } };
+    }
+
+    return { status: 405, body: { error: 'Method not allowed' } };
+  };
+
+  return { handle, records };
+};
+
+/**
+ * Serve a backend over HTTP, allowing requests from any origin
+ * @param {Object} backend - Backend from createSyncBackend()
+ * @returns {http.Server} Server, not yet listening
+ */
+const createSyncServer = (backend = createSyncBackend()) => {
+  return http.createServer((req, res) => {
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Content-Type': 'application/json'
+    };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let result;
+      try {
+        result = backend.handle(req.method, req.url, raw ? JSON.parse(raw) : null);
+      } catch (err) {
+        result = { status: 400, body: { error: err.message } };
+      }
+      res.writeHead(result.status, headers);
+      res.end(JSON.stringify(result.body));
+    });
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  createSyncServer().listen(port, () => {
+    console.log(`Mock sync server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createSyncBackend, createSyncServer };
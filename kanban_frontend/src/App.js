@@ -5,6 +5,8 @@ import { useTheme } from './hooks/useTheme';
 import AppLayout from './components/AppLayout';
 import HomePage from './pages/HomePage';
 import BoardPage from './pages/BoardPage';
+import ArchivedPage from './pages/ArchivedPage';
+import SearchPage from './pages/SearchPage';
 import './App.css';
 
 // PUBLIC_INTERFACE
@@ -21,6 +23,9 @@ function App() {
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/board/:id" element={<BoardPage />} />
+            <Route path="/board/:id/card/:cardId" element={<BoardPage />} />
+            <Route path="/archived" element={<ArchivedPage />} />
+            <Route path="/search" element={<SearchPage />} />
           </Routes>
         </AppLayout>
       </AppStateProvider>
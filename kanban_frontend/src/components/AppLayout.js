@@ -1,7 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import useUndoRedo from '../hooks/useUndoRedo';
+import useFailedWrites from '../hooks/useFailedWrites';
+import { useAppDispatch, ActionTypes } from '../state/store';
+import { retryFailedWrites, discardFailedWrites } from '../utils/storage';
 import Header from './Header';
 import Sidebar from './Sidebar';
 import Main from './Main';
+import UndoToast from './UndoToast';
+import SaveErrorBanner from './SaveErrorBanner';
 import './AppLayout.css';
 
 // PUBLIC_INTERFACE
@@ -14,14 +20,67 @@ import './AppLayout.css';
  */
 const AppLayout = ({ onThemeToggle, isDark, children }) => {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const { undo, redo, lastEntry } = useUndoRedo();
+  const failedWrites = useFailedWrites();
+  const [isRetrying, setIsRetrying] = useState(false);
+  const dispatch = useAppDispatch();
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) for undo and redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      // Leave native text undo alone while editing a field
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return;
+      }
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
 
   const handleSidebarToggle = () => {
     setSidebarCollapsed(!sidebarCollapsed);
   };
 
+  // Screens only show what was saved, so reload them once the writes are
+  // stored (or dropped) to bring back the changes
+  const handleRetryWrites = async () => {
+    setIsRetrying(true);
+    try {
+      await retryFailedWrites();
+      dispatch({ type: ActionTypes.REFRESH_DATA });
+    } catch (error) {
+      // The banner stays up with the new error
+      console.error('Error retrying failed writes:', error);
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  const handleDiscardWrites = () => {
+    discardFailedWrites();
+    dispatch({ type: ActionTypes.REFRESH_DATA });
+  };
+
   return (
     <div className="app-layout">
       <Header onThemeToggle={onThemeToggle} isDark={isDark} />
+      <SaveErrorBanner
+        errors={failedWrites}
+        isRetrying={isRetrying}
+        onRetry={handleRetryWrites}
+        onDiscard={handleDiscardWrites}
+      />
       <div className="app-body">
         <Sidebar 
           collapsed={sidebarCollapsed} 
@@ -29,6 +88,7 @@ const AppLayout = ({ onThemeToggle, isDark, children }) => {
         />
         <Main>{children}</Main>
       </div>
+      <UndoToast entry={lastEntry} onUndo={undo} />
     </div>
   );
 };
@@ -0,0 +1,136 @@
+import React, { useRef, useState } from 'react';
+import { MAX_ATTACHMENT_SIZE, formatFileSize, isImageAttachment } from '../state/attachments';
+import useObjectUrl from '../hooks/useObjectUrl';
+import './AttachmentList.css';
+
+/**
+ * Single attachment row with thumbnail, preview and download links
+ * @param {Object} props - Component props
+ * @param {Object} props.attachment - Attachment being shown
+ * @param {Function} props.onDelete - Callback receiving the attachment to remove
+ */
+const AttachmentItem = ({ attachment, onDelete }) => {
+  const url = useObjectUrl(attachment.blob);
+  const isImage = isImageAttachment(attachment);
+
+  return (
+    <li className="attachment-item">
+      {isImage && url ? (
+        <img className="attachment-thumbnail" src={url} alt="" />
+      ) : (
+        <span className="attachment-thumbnail attachment-file-icon" aria-hidden="true">📄</span>
+      )}
+      <div className="attachment-info">
+        <span className="attachment-name" title={attachment.name}>{attachment.name}</span>
+        <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+      </div>
+      {url && (
+        <>
+          <a
+            className="attachment-link"
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            aria-label={`Preview ${attachment.name}`}
+          >
+            Preview
+          </a>
+          <a
+            className="attachment-link"
+            href={url}
+            download={attachment.name}
+            aria-label={`Download ${attachment.name}`}
+          >
+            Download
+          </a>
+        </>
+      )}
+      <button
+        type="button"
+        className="attachment-remove-btn"
+        onClick={() => onDelete(attachment)}
+        aria-label={`Remove ${attachment.name}`}
+        title="Remove attachment"
+      >
+        ✕
+      </button>
+    </li>
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * AttachmentList component listing a card's files with an upload picker and drop zone.
+ * Uploads and removals are saved immediately rather than with the card form.
+ * @param {Object} props - Component props
+ * @param {Array} props.attachments - The card's attachments
+ * @param {Function} props.onAdd - Callback receiving picked or dropped files
+ * @param {Function} props.onDelete - Callback receiving the attachment to remove
+ */
+const AttachmentList = ({ attachments, onAdd, onDelete }) => {
+  const [isFileOver, setIsFileOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files);
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+    if (files.length > 0) {
+      onAdd(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types || []).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsFileOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsFileOver(false);
+    if (e.dataTransfer.files.length > 0) {
+      onAdd(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  return (
+    <div className="attachment-list">
+      {attachments.length > 0 && (
+        <ul className="attachment-items">
+          {attachments.map(attachment => (
+            <AttachmentItem key={attachment.id} attachment={attachment} onDelete={onDelete} />
+          ))}
+        </ul>
+      )}
+
+      <div
+        className={`attachment-drop-zone ${isFileOver ? 'file-over' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsFileOver(false)}
+        onDrop={handleDrop}
+      >
+        <button
+          type="button"
+          className="attachment-add-btn"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          📎 Attach files
+        </button>
+        <span className="attachment-hint">
+          or drop them here · up to {formatFileSize(MAX_ATTACHMENT_SIZE)} each
+        </span>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          onChange={handleFileChange}
+          hidden
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentList;
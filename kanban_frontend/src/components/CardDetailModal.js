@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format } from 'date-fns';
+import ChecklistEditor from './ChecklistEditor';
+import AttachmentList from './AttachmentList';
+import PrioritySelect from './PrioritySelect';
+import { getDueStatus } from '../state/dueDates';
+import './CardDetailModal.css';
+
+/**
+ * Convert a due date timestamp into the value expected by a date input
+ * @param {number|null} timestamp - Due date timestamp
+ * @returns {string} Date string in yyyy-MM-dd format or empty string
+ */
+const toDateInputValue = (timestamp) => {
+  return timestamp ? format(new Date(timestamp), 'yyyy-MM-dd') : '';
+};
+
+/**
+ * Convert a date input value back into a local-midnight timestamp
+ * @param {string} value - Date string in yyyy-MM-dd format
+ * @returns {number|null} Due date timestamp or null
+ */
+const fromDateInputValue = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * CardDetailModal component for editing every field of a card
+ * @param {Object} props - Component props
+ * @param {Object} props.card - Card data object being edited
+ * @param {Array} props.labels - Labels available on the card's board
+ * @param {Array} props.attachments - The card's attachments
+ * @param {Function} props.onAddAttachments - Callback receiving files to attach
+ * @param {Function} props.onDeleteAttachment - Callback receiving the attachment to remove
+ * @param {Function} props.onSave - Callback receiving the updated card fields, with the
+ *   updatedAt of the version the edit started from
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const CardDetailModal = ({
+  card,
+  labels = [],
+  attachments = [],
+  onAddAttachments,
+  onDeleteAttachment,
+  onSave,
+  onClose
+}) => {
+  const [title, setTitle] = useState(card.title);
+  const [description, setDescription] = useState(card.description || '');
+  const [priority, setPriority] = useState(card.priority || null);
+  const [dueDate, setDueDate] = useState(toDateInputValue(card.dueDate));
+  const [labelIds, setLabelIds] = useState(card.labelIds || []);
+  const [checklists, setChecklists] = useState(card.checklists || []);
+  // Version being edited, to spot changes saved meanwhile in another tab or pulled by sync
+  const [editedVersion] = useState(card.updatedAt);
+  const isChangedElsewhere = card.updatedAt > editedVersion;
+  const dialogRef = useRef(null);
+  const titleInputRef = useRef(null);
+
+  // Focus the title field when the dialog opens
+  useEffect(() => {
+    titleInputRef.current?.focus();
+  }, []);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleOverlayMouseDown = (event) => {
+    if (dialogRef.current && !dialogRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  const toggleLabel = (labelId) => {
+    setLabelIds(prev =>
+      prev.includes(labelId) ? prev.filter(id => id !== labelId) : [...prev, labelId]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    onSave({
+      title: title.trim(),
+      description: description.trim(),
+      priority,
+      dueDate: fromDateInputValue(dueDate),
+      updatedAt: editedVersion,
+      labelIds: labelIds.filter(labelId => labels.some(l => l.id === labelId)),
+      // Drop items whose text was cleared while editing
+      checklists: checklists.map(checklist => ({
+        ...checklist,
+        title: checklist.title.trim() || 'Checklist',
+        items: checklist.items
+          .filter(item => item.text.trim())
+          .map((item, position) => ({ ...item, text: item.text.trim(), position }))
+      }))
+    });
+  };
+
+  return (
+    <div className="card-detail-overlay" onMouseDown={handleOverlayMouseDown}>
+      <div
+        ref={dialogRef}
+        className="card-detail-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="card-detail-heading"
+      >
+        <div className="card-detail-header">
+          <h3 id="card-detail-heading" className="card-detail-heading">Card Details</h3>
+          <button
+            className="card-detail-close"
+            onClick={onClose}
+            aria-label="Close card details"
+          >
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="card-detail-form">
+          {isChangedElsewhere && (
+            <p className="card-detail-conflict" role="status">
+              This card was changed elsewhere while you were editing it.
+              Saving will replace those changes.
+            </p>
+          )}
+
+          <label className="card-detail-field">
+            <span className="card-detail-label">Title</span>
+            <input
+              ref={titleInputRef}
+              type="text"
+              className="card-detail-input"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              required
+            />
+          </label>
+
+          <label className="card-detail-field">
+            <span className="card-detail-label">Description</span>
+            <textarea
+              className="card-detail-input card-detail-textarea"
+              placeholder="Add a more detailed description..."
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows={6}
+            />
+          </label>
+
+          <div className="card-detail-row">
+            <label className="card-detail-field">
+              <span className="card-detail-label">Priority</span>
+              <PrioritySelect
+                className="card-detail-input"
+                value={priority}
+                onChange={setPriority}
+              />
+            </label>
+
+            <label className="card-detail-field">
+              <span className="card-detail-label">Due date</span>
+              <input
+                type="date"
+                className="card-detail-input"
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+              />
+              {dueDate && (
+                <span className="card-detail-hint">
+                  {getDueStatus(fromDateInputValue(dueDate)).label}
+                </span>
+              )}
+            </label>
+          </div>
+
+          <div className="card-detail-field">
+            <span className="card-detail-label">Labels</span>
+            {labels.length === 0 ? (
+              <span className="card-detail-hint">
+                No labels on this board yet. Use the Labels button to create some.
+              </span>
+            ) : (
+              <div className="card-detail-labels" role="group" aria-label="Card labels">
+                {labels.map(label => {
+                  const isSelected = labelIds.includes(label.id);
+                  return (
+                    <button
+                      key={label.id}
+                      type="button"
+                      className={`card-detail-label-toggle ${isSelected ? 'selected' : ''}`}
+                      style={{ '--label-color': label.color }}
+                      onClick={() => toggleLabel(label.id)}
+                      aria-pressed={isSelected}
+                    >
+                      {label.name}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div className="card-detail-field">
+            <span className="card-detail-label">Checklists</span>
+            <ChecklistEditor checklists={checklists} onChange={setChecklists} />
+          </div>
+
+          <div className="card-detail-field">
+            <span className="card-detail-label">Attachments</span>
+            <AttachmentList
+              attachments={attachments}
+              onAdd={onAddAttachments}
+              onDelete={onDeleteAttachment}
+            />
+          </div>
+
+          <div className="card-detail-actions">
+            <button type="submit" className="btn-save-card" disabled={!title.trim()}>
+              Save
+            </button>
+            <button type="button" className="btn-cancel-card-detail" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CardDetailModal;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import {
+  createChecklist,
+  createChecklistItem,
+  reorderChecklistItems
+} from '../state/checklists';
+import './ChecklistEditor.css';
+
+// PUBLIC_INTERFACE
+/**
+ * ChecklistEditor component for editing a card's named checklists and their ordered items.
+ * Rendered inside the card detail form, so Enter never submits the surrounding form.
+ * @param {Object} props - Component props
+ * @param {Array} props.checklists - Checklists being edited
+ * @param {Function} props.onChange - Callback receiving the updated checklists
+ */
+const ChecklistEditor = ({ checklists, onChange }) => {
+  const [newChecklistTitle, setNewChecklistTitle] = useState('');
+  const [newItemTexts, setNewItemTexts] = useState({});
+
+  const updateChecklist = (checklistId, updater) => {
+    onChange(checklists.map(checklist =>
+      checklist.id === checklistId ? updater(checklist) : checklist
+    ));
+  };
+
+  const updateItem = (checklistId, itemId, updates) => {
+    updateChecklist(checklistId, checklist => ({
+      ...checklist,
+      items: checklist.items.map(item => (item.id === itemId ? { ...item, ...updates } : item))
+    }));
+  };
+
+  const handleAddChecklist = () => {
+    onChange([...checklists, createChecklist(newChecklistTitle.trim())]);
+    setNewChecklistTitle('');
+  };
+
+  const handleDeleteChecklist = (checklistId) => {
+    onChange(checklists.filter(checklist => checklist.id !== checklistId));
+  };
+
+  const handleAddItem = (checklistId) => {
+    const text = (newItemTexts[checklistId] || '').trim();
+    if (!text) return;
+
+    updateChecklist(checklistId, checklist => ({
+      ...checklist,
+      items: [...checklist.items, createChecklistItem(text, checklist.items.length)]
+    }));
+    setNewItemTexts(prev => ({ ...prev, [checklistId]: '' }));
+  };
+
+  const handleDeleteItem = (checklistId, itemId) => {
+    updateChecklist(checklistId, checklist => ({
+      ...checklist,
+      items: checklist.items
+        .filter(item => item.id !== itemId)
+        .map((item, position) => ({ ...item, position }))
+    }));
+  };
+
+  const handleDragEnd = ({ source, destination }) => {
+    if (!destination || destination.index === source.index) return;
+
+    updateChecklist(source.droppableId, checklist => ({
+      ...checklist,
+      items: reorderChecklistItems(checklist.items, source.index, destination.index)
+    }));
+  };
+
+  // Keep Enter from submitting the card form; optionally run an action instead
+  const handleEnter = (action) => (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      action?.();
+    }
+  };
+
+  return (
+    <div className="checklist-editor">
+      <DragDropContext onDragEnd={handleDragEnd}>
+        {checklists.map(checklist => {
+          const completedCount = checklist.items.filter(item => item.completed).length;
+          const percent = checklist.items.length
+            ? Math.round((completedCount / checklist.items.length) * 100)
+            : 0;
+
+          return (
+            <section key={checklist.id} className="checklist">
+              <div className="checklist-header">
+                <input
+                  type="text"
+                  className="checklist-title-input"
+                  value={checklist.title}
+                  onChange={(e) => updateChecklist(checklist.id, c => ({ ...c, title: e.target.value }))}
+                  onKeyDown={handleEnter()}
+                  aria-label="Checklist name"
+                />
+                <span className="checklist-count">
+                  {completedCount}/{checklist.items.length}
+                </span>
+                <button
+                  type="button"
+                  className="checklist-icon-btn"
+                  onClick={() => handleDeleteChecklist(checklist.id)}
+                  aria-label={`Delete checklist ${checklist.title}`}
+                  title="Delete checklist"
+                >
+                  🗑️
+                </button>
+              </div>
+
+              <div
+                className="checklist-progress"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                aria-label={`${checklist.title} progress`}
+              >
+                <div className="checklist-progress-fill" style={{ width: `${percent}%` }} />
+              </div>
+
+              <Droppable droppableId={checklist.id} type={checklist.id}>
+                {(provided) => (
+                  <ul
+                    ref={provided.innerRef}
+                    {...provided.droppableProps}
+                    className="checklist-items"
+                  >
+                    {checklist.items.map((item, index) => (
+                      <Draggable key={item.id} draggableId={item.id} index={index}>
+                        {(dragProvided, snapshot) => (
+                          <li
+                            ref={dragProvided.innerRef}
+                            {...dragProvided.draggableProps}
+                            className={`checklist-item ${item.completed ? 'completed' : ''} ${snapshot.isDragging ? 'dragging' : ''}`}
+                          >
+                            <span
+                              className="checklist-item-handle"
+                              {...dragProvided.dragHandleProps}
+                              aria-label={`Reorder ${item.text}`}
+                            >
+                              ⋮⋮
+                            </span>
+                            <input
+                              type="checkbox"
+                              checked={item.completed}
+                              onChange={(e) => updateItem(checklist.id, item.id, { completed: e.target.checked })}
+                              aria-label={`Mark ${item.text} as done`}
+                            />
+                            <input
+                              type="text"
+                              className="checklist-item-text"
+                              value={item.text}
+                              onChange={(e) => updateItem(checklist.id, item.id, { text: e.target.value })}
+                              onKeyDown={handleEnter()}
+                              aria-label="Checklist item"
+                            />
+                            <button
+                              type="button"
+                              className="checklist-icon-btn"
+                              onClick={() => handleDeleteItem(checklist.id, item.id)}
+                              aria-label={`Remove ${item.text}`}
+                              title="Remove item"
+                            >
+                              ✕
+                            </button>
+                          </li>
+                        )}
+                      </Draggable>
+                    ))}
+                    {provided.placeholder}
+                  </ul>
+                )}
+              </Droppable>
+
+              <div className="checklist-add-row">
+                <input
+                  type="text"
+                  className="checklist-add-input"
+                  placeholder="Add an item..."
+                  value={newItemTexts[checklist.id] || ''}
+                  onChange={(e) => setNewItemTexts(prev => ({ ...prev, [checklist.id]: e.target.value }))}
+                  onKeyDown={handleEnter(() => handleAddItem(checklist.id))}
+                  aria-label={`Add item to ${checklist.title}`}
+                />
+                <button
+                  type="button"
+                  className="checklist-add-btn"
+                  onClick={() => handleAddItem(checklist.id)}
+                  disabled={!(newItemTexts[checklist.id] || '').trim()}
+                >
+                  Add
+                </button>
+              </div>
+            </section>
+          );
+        })}
+      </DragDropContext>
+
+      <div className="checklist-add-row">
+        <input
+          type="text"
+          className="checklist-add-input"
+          placeholder="New checklist name..."
+          value={newChecklistTitle}
+          onChange={(e) => setNewChecklistTitle(e.target.value)}
+          onKeyDown={handleEnter(handleAddChecklist)}
+          aria-label="New checklist name"
+        />
+        <button type="button" className="checklist-add-btn" onClick={handleAddChecklist}>
+          + Checklist
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistEditor;
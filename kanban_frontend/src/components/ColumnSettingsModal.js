@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ColumnSettingsModal.css';
+
+// PUBLIC_INTERFACE
+/**
+ * ColumnSettingsModal component for editing a column's title, WIP limit and done flag
+ * @param {Object} props - Component props
+ * @param {Object} props.column - Column data object being edited
+ * @param {number} props.cardCount - Number of cards currently in the column
+ * @param {string} props.wipPolicy - Board WIP policy ('warn' | 'block')
+ * @param {Function} props.onSave - Callback receiving ({ title, cardLimit, isDone }, wipPolicy)
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const ColumnSettingsModal = ({ column, cardCount, wipPolicy = 'warn', onSave, onClose }) => {
+  const [title, setTitle] = useState(column.title);
+  const [cardLimit, setCardLimit] = useState(column.cardLimit ? String(column.cardLimit) : '');
+  const [policy, setPolicy] = useState(wipPolicy);
+  const [isDone, setIsDone] = useState(Boolean(column.isDone));
+  const dialogRef = useRef(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleOverlayMouseDown = (event) => {
+    if (dialogRef.current && !dialogRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  const parsedLimit = cardLimit === '' ? null : parseInt(cardLimit, 10);
+  const isLimitValid = parsedLimit === null || (Number.isInteger(parsedLimit) && parsedLimit > 0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim() || !isLimitValid) return;
+
+    onSave({ title: title.trim(), cardLimit: parsedLimit, isDone }, policy);
+  };
+
+  return (
+    <div className="column-settings-overlay" onMouseDown={handleOverlayMouseDown}>
+      <div
+        ref={dialogRef}
+        className="column-settings-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="column-settings-heading"
+      >
+        <div className="column-settings-header">
+          <h3 id="column-settings-heading" className="column-settings-heading">Column Settings</h3>
+          <button
+            className="column-settings-close"
+            onClick={onClose}
+            aria-label="Close column settings"
+          >
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="column-settings-form">
+          <label className="column-settings-field">
+            <span className="column-settings-label">Title</span>
+            <input
+              type="text"
+              className="column-settings-input"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              required
+              autoFocus
+            />
+          </label>
+
+          <label className="column-settings-field">
+            <span className="column-settings-label">WIP limit</span>
+            <input
+              type="number"
+              min="1"
+              className="column-settings-input"
+              placeholder="Unlimited"
+              value={cardLimit}
+              onChange={(e) => setCardLimit(e.target.value)}
+              aria-describedby="column-settings-limit-hint"
+            />
+            <span id="column-settings-limit-hint" className="column-settings-hint">
+              {isLimitValid
+                ? `Currently ${cardCount} ${cardCount === 1 ? 'card' : 'cards'}. Leave empty for no limit.`
+                : 'The limit must be a whole number greater than zero.'}
+            </span>
+          </label>
+
+          <label className="column-settings-field">
+            <span className="column-settings-label">When a limit would be exceeded</span>
+            <select
+              className="column-settings-input"
+              value={policy}
+              onChange={(e) => setPolicy(e.target.value)}
+              aria-describedby="column-settings-policy-hint"
+            >
+              <option value="warn">Warn but allow</option>
+              <option value="block">Block the change</option>
+            </select>
+            <span id="column-settings-policy-hint" className="column-settings-hint">
+              Applies to every column on this board.
+            </span>
+          </label>
+
+          <label className="column-settings-field column-settings-checkbox">
+            <input
+              type="checkbox"
+              checked={isDone}
+              onChange={(e) => setIsDone(e.target.checked)}
+              aria-describedby="column-settings-done-hint"
+            />
+            <span className="column-settings-label">Cards in this column are done</span>
+            <span id="column-settings-done-hint" className="column-settings-hint">
+              Due dates of done cards are no longer flagged as due soon or overdue.
+            </span>
+          </label>
+
+          <div className="column-settings-actions">
+            <button
+              type="submit"
+              className="btn-save-column"
+              disabled={!title.trim() || !isLimitValid}
+            >
+              Save
+            </button>
+            <button type="button" className="btn-cancel-column-settings" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnSettingsModal;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { format } from 'date-fns';
+import { CSV_FIELDS, NEW_COLUMN, detectFieldMapping, parseCardRows, findRowsOverWipLimit } from '../state/cardCsv';
+import './CsvImportDialog.css';
+
+// Number of parsed rows shown in the preview table
+const PREVIEW_LIMIT = 5;
+
+const IMPORTABLE_FIELDS = CSV_FIELDS.filter(field => field.importable);
+
+// PUBLIC_INTERFACE
+/**
+ * CsvImportDialog component mapping CSV columns onto card fields and board columns,
+ * previewing the result and listing rows that cannot be imported before anything is written
+ * @param {Object} props - Component props
+ * @param {string} props.fileName - Name of the selected file
+ * @param {string[]} props.headers - CSV header row
+ * @param {Array} props.rows - CSV data rows ({ line, fields })
+ * @param {Array} props.columns - Columns of the active board
+ * @param {Object<string, number>} props.cardCounts - Cards in each column, by column ID
+ * @param {string} props.wipPolicy - Board WIP policy ('warn' | 'block'); with 'block', rows
+ *   over a column's WIP limit are left out
+ * @param {Function} props.onImport - Callback receiving { cards, columnTargets, overLimit }
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const CsvImportDialog = ({
+  fileName,
+  headers,
+  rows,
+  columns,
+  cardCounts = {},
+  wipPolicy = 'warn',
+  onImport,
+  onClose
+}) => {
+  const [mapping, setMapping] = useState(() => detectFieldMapping(headers));
+  const [columnChoices, setColumnChoices] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const dialogRef = useRef(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const { cards, errors } = useMemo(() => parseCardRows(rows, mapping), [rows, mapping]);
+
+  // Each distinct column title defaults to the existing column with that name
+  const columnTargets = useMemo(() => {
+    const titles = [...new Set(cards.map(card => card.column))];
+    return Object.fromEntries(titles.map(title => {
+      const existing = columns.find(c => c.title.toLowerCase() === title.toLowerCase());
+      return [title, columnChoices[title] ?? (existing ? existing.id : NEW_COLUMN)];
+    }));
+  }, [cards, columns, columnChoices]);
+
+  const overLimit = useMemo(
+    () => findRowsOverWipLimit(cards, columnTargets, columns, cardCounts),
+    [cards, columnTargets, columns, cardCounts]
+  );
+  const isBlocking = wipPolicy === 'block';
+  const importableCards = useMemo(() => {
+    if (!isBlocking) return cards;
+    const blockedLines = new Set(overLimit.map(row => row.line));
+    return cards.filter(card => !blockedLines.has(card.line));
+  }, [cards, overLimit, isBlocking]);
+
+  const missingRequired = IMPORTABLE_FIELDS.filter(field => field.required && mapping[field.key] === null);
+  const canImport = missingRequired.length === 0 && importableCards.length > 0 && !isImporting;
+
+  const handleOverlayMouseDown = (event) => {
+    if (dialogRef.current && !dialogRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  const handleMappingChange = (key, value) => {
+    setMapping(prev => ({ ...prev, [key]: value === '' ? null : Number(value) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canImport) return;
+    setIsImporting(true);
+    await onImport({ cards: importableCards, columnTargets, overLimit });
+    setIsImporting(false);
+  };
+
+  return (
+    <div className="csv-import-overlay" onMouseDown={handleOverlayMouseDown}>
+      <div
+        ref={dialogRef}
+        className="csv-import-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="csv-import-heading"
+      >
+        <div className="csv-import-header">
+          <h2 id="csv-import-heading" className="csv-import-heading">Import cards from {fileName}</h2>
+          <button className="csv-import-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <form className="csv-import-form" onSubmit={handleSubmit}>
+          <section className="csv-import-section">
+            <h3 className="csv-import-section-title">Fields</h3>
+            <div className="csv-import-mapping">
+              {IMPORTABLE_FIELDS.map(field => (
+                <label key={field.key} className="csv-import-mapping-row">
+                  <span className="csv-import-mapping-label">
+                    {field.header}{field.required && ' *'}
+                  </span>
+                  <select
+                    className="csv-import-select"
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  >
+                    <option value="">Don't import</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            {missingRequired.length > 0 && (
+              <p className="csv-import-error">
+                Choose a CSV column for {missingRequired.map(f => f.header).join(' and ')}.
+              </p>
+            )}
+          </section>
+
+          {Object.keys(columnTargets).length > 0 && (
+            <section className="csv-import-section">
+              <h3 className="csv-import-section-title">Board columns</h3>
+              <div className="csv-import-mapping">
+                {Object.entries(columnTargets).map(([title, target]) => (
+                  <label key={title} className="csv-import-mapping-row">
+                    <span className="csv-import-mapping-label">{title}</span>
+                    <select
+                      className="csv-import-select"
+                      value={target}
+                      onChange={(e) => setColumnChoices(prev => ({ ...prev, [title]: e.target.value }))}
+                    >
+                      <option value={NEW_COLUMN}>Create column "{title}"</option>
+                      {columns.map(column => (
+                        <option key={column.id} value={column.id}>{column.title}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+
+          <section className="csv-import-section">
+            <h3 className="csv-import-section-title">Preview</h3>
+            <p className="csv-import-summary" role="status">
+              {importableCards.length} {importableCards.length === 1 ? 'card' : 'cards'} ready to import
+              {errors.length > 0 && `, ${errors.length} ${errors.length === 1 ? 'row' : 'rows'} skipped`}
+              {isBlocking && overLimit.length > 0 &&
+                `, ${overLimit.length} ${overLimit.length === 1 ? 'row' : 'rows'} over a WIP limit`}
+            </p>
+            {importableCards.length > 0 && (
+              <table className="csv-import-preview">
+                <thead>
+                  <tr>
+                    <th>Column</th>
+                    <th>Title</th>
+                    <th>Priority</th>
+                    <th>Due</th>
+                    <th>Labels</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importableCards.slice(0, PREVIEW_LIMIT).map(card => (
+                    <tr key={card.line}>
+                      <td>{card.column}</td>
+                      <td>{card.title}</td>
+                      <td>{card.priority || '—'}</td>
+                      <td>{card.dueDate ? format(new Date(card.dueDate), 'yyyy-MM-dd') : '—'}</td>
+                      <td>{card.labelNames.join(', ') || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {errors.length > 0 && (
+              <ul className="csv-import-row-errors" aria-label="Rows that could not be parsed">
+                {errors.map(error => (
+                  <li key={error.line}>Line {error.line}: {error.message}</li>
+                ))}
+              </ul>
+            )}
+            {overLimit.length > 0 && (
+              <>
+                <p className="csv-import-wip-note">
+                  {isBlocking
+                    ? 'This board blocks cards over a WIP limit, so these rows will not be imported:'
+                    : 'These rows take their column over its WIP limit:'}
+                </p>
+                <ul className="csv-import-row-errors" aria-label="Rows over a WIP limit">
+                  {overLimit.map(row => (
+                    <li key={row.line}>Line {row.line}: {row.message}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </section>
+
+          <div className="csv-import-actions">
+            <button type="submit" className="btn-import-csv" disabled={!canImport}>
+              {isImporting
+                ? 'Importing...'
+                : `Import ${importableCards.length} ${importableCards.length === 1 ? 'card' : 'cards'}`}
+            </button>
+            <button type="button" className="btn-cancel-csv-import" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportDialog;
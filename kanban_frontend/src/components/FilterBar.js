@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { CARD_PRIORITIES } from '../state/cards';
+import { EMPTY_FILTER, DUE_RANGES, AGE_RANGES, isFilterActive } from '../state/cardFilters';
+import './FilterBar.css';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// PUBLIC_INTERFACE
+/**
+ * FilterBar component for narrowing a board's cards by priority, label and date ranges.
+ * Active filters are listed as chips that remove themselves when clicked.
+ * @param {Object} props - Component props
+ * @param {Object} props.filter - Current card filter
+ * @param {Array} props.labels - Labels defined on the board
+ * @param {Function} props.onChange - Callback receiving the updated filter
+ */
+const FilterBar = ({ filter, labels, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleValue = (field, value) => {
+    const values = filter[field];
+    onChange({
+      ...filter,
+      [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+    });
+  };
+
+  const setRange = (field, value) => {
+    onChange({ ...filter, [field]: value || null });
+  };
+
+  const rangeLabel = (ranges, value) => ranges.find(r => r.value === value)?.label || value;
+
+  // One chip per active value, each knowing how to remove itself
+  const chips = [
+    ...filter.priorities.map(priority => ({
+      key: `priority-${priority}`,
+      text: `Priority: ${capitalize(priority)}`,
+      remove: () => toggleValue('priorities', priority)
+    })),
+    ...filter.labelIds
+      .map(labelId => labels.find(l => l.id === labelId))
+      .filter(Boolean)
+      .map(label => ({
+        key: `label-${label.id}`,
+        text: `Label: ${label.name}`,
+        color: label.color,
+        remove: () => toggleValue('labelIds', label.id)
+      })),
+    filter.due && {
+      key: 'due',
+      text: rangeLabel(DUE_RANGES, filter.due),
+      remove: () => setRange('due', null)
+    },
+    filter.created && {
+      key: 'created',
+      text: `Created: ${rangeLabel(AGE_RANGES, filter.created)}`,
+      remove: () => setRange('created', null)
+    },
+    filter.updated && {
+      key: 'updated',
+      text: `Updated: ${rangeLabel(AGE_RANGES, filter.updated)}`,
+      remove: () => setRange('updated', null)
+    }
+  ].filter(Boolean);
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-bar-row">
+        <button
+          type="button"
+          className={`filter-toggle-btn ${isFilterActive(filter) ? 'active' : ''}`}
+          onClick={() => setIsOpen(open => !open)}
+          aria-expanded={isOpen}
+          aria-controls="filter-panel"
+        >
+          🔽 Filter{chips.length > 0 ? ` (${chips.length})` : ''}
+        </button>
+
+        {chips.length > 0 && (
+          <ul className="filter-chips" aria-label="Active filters">
+            {chips.map(chip => (
+              <li key={chip.key}>
+                <button
+                  type="button"
+                  className="filter-chip"
+                  style={chip.color ? { '--chip-color': chip.color } : undefined}
+                  onClick={chip.remove}
+                  aria-label={`Remove filter ${chip.text}`}
+                  title="Remove filter"
+                >
+                  {chip.text} <span aria-hidden="true">✕</span>
+                </button>
+              </li>
+            ))}
+            <li>
+              <button
+                type="button"
+                className="filter-clear-btn"
+                onClick={() => onChange(EMPTY_FILTER)}
+              >
+                Clear all
+              </button>
+            </li>
+          </ul>
+        )}
+      </div>
+
+      {isOpen && (
+        <div id="filter-panel" className="filter-panel">
+          <fieldset className="filter-group">
+            <legend className="filter-group-label">Priority</legend>
+            <div className="filter-options">
+              {CARD_PRIORITIES.map(priority => (
+                <button
+                  key={priority}
+                  type="button"
+                  className={`filter-option ${filter.priorities.includes(priority) ? 'selected' : ''}`}
+                  onClick={() => toggleValue('priorities', priority)}
+                  aria-pressed={filter.priorities.includes(priority)}
+                >
+                  {capitalize(priority)}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          {labels.length > 0 && (
+            <fieldset className="filter-group">
+              <legend className="filter-group-label">Labels</legend>
+              <div className="filter-options">
+                {labels.map(label => (
+                  <button
+                    key={label.id}
+                    type="button"
+                    className={`filter-option ${filter.labelIds.includes(label.id) ? 'selected' : ''}`}
+                    style={{ '--chip-color': label.color }}
+                    onClick={() => toggleValue('labelIds', label.id)}
+                    aria-pressed={filter.labelIds.includes(label.id)}
+                  >
+                    {label.name}
+                  </button>
+                ))}
+              </div>
+            </fieldset>
+          )}
+
+          <label className="filter-group">
+            <span className="filter-group-label">Due</span>
+            <select
+              className="filter-select"
+              value={filter.due || ''}
+              onChange={(e) => setRange('due', e.target.value)}
+            >
+              <option value="">Any time</option>
+              {DUE_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="filter-group">
+            <span className="filter-group-label">Created</span>
+            <select
+              className="filter-select"
+              value={filter.created || ''}
+              onChange={(e) => setRange('created', e.target.value)}
+            >
+              <option value="">Any time</option>
+              {AGE_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="filter-group">
+            <span className="filter-group-label">Updated</span>
+            <select
+              className="filter-select"
+              value={filter.updated || ''}
+              onChange={(e) => setRange('updated', e.target.value)}
+            >
+              <option value="">Any time</option>
+              {AGE_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -1,5 +1,8 @@
 import React, { useRef, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAppState, useAppDispatch, ActionTypes } from '../state/store';
+import SearchSyntaxHelp from './SearchSyntaxHelp';
+import StorageModeIndicator from './StorageModeIndicator';
 import './Header.css';
 
 // PUBLIC_INTERFACE
@@ -13,15 +16,37 @@ const Header = ({ onThemeToggle, isDark }) => {
   const state = useAppState();
   const dispatch = useAppDispatch();
   const searchInputRef = useRef(null);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const isOnSearchPage = location.pathname === '/search';
+
+  /**
+   * Update the search query, keeping the search page URL in step with it
+   * @param {string} query - New query text
+   */
+  const updateSearchQuery = (query) => {
+    dispatch({ type: ActionTypes.SET_SEARCH_QUERY, payload: query });
+    if (isOnSearchPage) {
+      navigate(`/search?q=${encodeURIComponent(query)}`, { replace: true });
+    }
+  };
 
   // Handle search input change
   const handleSearchChange = (e) => {
-    dispatch({ type: ActionTypes.SET_SEARCH_QUERY, payload: e.target.value });
+    updateSearchQuery(e.target.value);
+  };
+
+  // Enter searches every board on the search results page
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter' && state.searchQuery.trim()) {
+      e.preventDefault();
+      navigate(`/search?q=${encodeURIComponent(state.searchQuery)}`, { replace: isOnSearchPage });
+    }
   };
 
   // Handle clear search
   const handleClearSearch = () => {
-    dispatch({ type: ActionTypes.CLEAR_SEARCH_QUERY });
+    updateSearchQuery('');
     searchInputRef.current?.focus();
   };
 
@@ -39,6 +64,9 @@ const Header = ({ onThemeToggle, isDark }) => {
         e.preventDefault();
         if (state.searchQuery) {
           dispatch({ type: ActionTypes.CLEAR_SEARCH_QUERY });
+          if (isOnSearchPage) {
+            navigate('/search', { replace: true });
+          }
         } else {
           searchInputRef.current?.blur();
         }
@@ -47,7 +75,7 @@ const Header = ({ onThemeToggle, isDark }) => {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [state.searchQuery, dispatch]);
+  }, [state.searchQuery, dispatch, isOnSearchPage, navigate]);
 
   return (
     <header className="app-header">
@@ -67,6 +95,7 @@ const Header = ({ onThemeToggle, isDark }) => {
               aria-describedby="search-hint"
               value={state.searchQuery}
               onChange={handleSearchChange}
+              onKeyDown={handleSearchKeyDown}
             />
             {state.searchQuery && (
               <button
@@ -79,12 +108,14 @@ const Header = ({ onThemeToggle, isDark }) => {
               </button>
             )}
             <span id="search-hint" className="sr-only">
-              Press Ctrl+K to focus search, Escape to clear
+              Press Ctrl+K to focus search, Enter to search every board, Escape to clear. Supports operators like priority:high and label:bug
             </span>
           </div>
+          <SearchSyntaxHelp />
         </div>
         
         <div className="header-right">
+          <StorageModeIndicator mode={state.storageMode} />
           <button
             className="theme-toggle-btn"
             onClick={onThemeToggle}
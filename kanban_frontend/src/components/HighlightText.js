@@ -1,4 +1,6 @@
 import React from 'react';
+import { getHighlightTerms } from '../state/searchQuery';
+import { normalizeText } from '../state/searchIndex';
 import './HighlightText.css';
 
 // PUBLIC_INTERFACE
@@ -6,7 +8,8 @@ import './HighlightText.css';
  * Component to highlight matching text within a string
  * @param {Object} props - Component props
  * @param {string} props.text - The full text to display
- * @param {string} props.query - The search query to highlight
+ * @param {string} props.query - The search query whose free-text terms are highlighted,
+ *   ignoring case and diacritics
  * @param {string} props.className - Optional CSS class name
  * @returns {React.ReactElement} Text with highlighted matches
  * 
@@ -14,24 +17,42 @@ import './HighlightText.css';
  * <HighlightText text="Complete task" query="task" />
  */
 const HighlightText = ({ text, query, className = '' }) => {
-  // Don't highlight if query is empty or too short
-  if (!query || query.length < 2 || !text) {
+  // Only free-text terms are highlighted; field operators like priority:high are not
+  const terms = getHighlightTerms(query).map(normalizeText);
+  if (terms.length === 0 || !text) {
     return <span className={className}>{text}</span>;
   }
 
-  // Escape special regex characters in the query
+  // Escape special regex characters in the terms
   const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   
   try {
-    // Create case-insensitive regex to find all matches
-    const regex = new RegExp(`(${escapeRegex(query)})`, 'gi');
-    const parts = text.split(regex);
+    // Create case-insensitive regex matching any term, longest first so
+    // overlapping terms highlight the longer match
+    const pattern = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex)
+      .join('|');
+    const regex = new RegExp(`(${pattern})`, 'gi');
+
+    // Match against folded text so 'cafe' highlights 'Café'. Characters are
+    // folded one at a time so offsets still line up with the original text.
+    const foldedText = Array.from(text, char => {
+      const folded = normalizeText(char);
+      return folded.length === char.length ? folded : char;
+    }).join('');
+    let offset = 0;
+    const parts = foldedText.split(regex).map(foldedPart => {
+      const part = text.slice(offset, offset + foldedPart.length);
+      offset += foldedPart.length;
+      return part;
+    });
 
     return (
       <span className={className}>
         {parts.map((part, index) => {
-          // Check if this part matches the query (case-insensitive)
-          const isMatch = part.toLowerCase() === query.toLowerCase();
+          // Split keeps captured matches at odd indexes
+          const isMatch = index % 2 === 1;
           
           return isMatch ? (
             <mark key={index} className="highlight-match">
@@ -0,0 +1,68 @@
+import React, { useEffect } from 'react';
+import './ImportSummaryDialog.css';
+
+const pluralize = (count, noun) => `${count} ${count === 1 ? noun : `${noun}s`}`;
+
+// PUBLIC_INTERFACE
+/**
+ * ImportSummaryDialog component reporting what a Trello import created and what it had to skip
+ * @param {Object} props - Component props
+ * @param {Object} props.summary - Trello import summary
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const ImportSummaryDialog = ({ summary, onClose }) => {
+  // Close on Escape
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  return (
+    <div className="import-summary-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div
+        className="import-summary-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-summary-heading"
+      >
+        <h2 id="import-summary-heading" className="import-summary-heading">
+          Imported "{summary.board.title}" from Trello
+        </h2>
+
+        <ul className="import-summary-list">
+          <li>{pluralize(summary.columns, 'column')}</li>
+          <li>{pluralize(summary.cards, 'card')}</li>
+          <li>{pluralize(summary.labels, 'label')}</li>
+          {summary.checklistItems > 0 && (
+            <li>{pluralize(summary.checklistItems, 'checklist item')}</li>
+          )}
+        </ul>
+
+        {summary.unmapped.length > 0 && (
+          <>
+            <h3 className="import-summary-subheading">Not imported</h3>
+            <ul className="import-summary-list import-summary-unmapped">
+              {summary.unmapped.map(({ kind, count }) => (
+                <li key={kind}>{count} {kind}</li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="import-summary-actions">
+          <button className="btn-close-import-summary" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportSummaryDialog;
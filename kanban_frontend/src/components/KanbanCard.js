@@ -1,6 +1,11 @@
 import React, { useState } from 'react';
 import { Draggable } from 'react-beautiful-dnd';
 import HighlightText from './HighlightText';
+import { getChecklistProgress } from '../state/checklists';
+import { bumpPriority } from '../state/cards';
+import { isImageAttachment } from '../state/attachments';
+import { getDueStatus } from '../state/dueDates';
+import useObjectUrl from '../hooks/useObjectUrl';
 import './KanbanCard.css';
 
 // PUBLIC_INTERFACE
@@ -9,23 +14,82 @@ import './KanbanCard.css';
  * @param {Object} props - Component props
  * @param {Object} props.card - Card data object
  * @param {number} props.index - Card index in the column
- * @param {Function} props.onEdit - Edit card handler
+ * @param {Function} props.onEdit - Open card details handler
  * @param {Function} props.onDelete - Delete card handler
+ * @param {Function} props.onArchive - Archive card handler
+ * @param {Function} props.onAttachFiles - Handler receiving the card ID and files dropped onto the card
+ * @param {Function} props.onChangePriority - Handler receiving the card ID, its new priority and
+ *   the updatedAt of the version shown
  * @param {string} props.searchQuery - Current search query for highlighting
  * @param {boolean} props.isSearchActive - Whether search is currently active
+ * @param {Array} props.labels - Labels defined on the card's board
+ * @param {Array} props.attachments - The card's attachments
+ * @param {boolean} props.isDone - The card sits in a done column
  */
-const KanbanCard = ({ card, index, onEdit, onDelete, searchQuery = '', isSearchActive = false }) => {
+const KanbanCard = ({ card, index, onEdit, onDelete, onArchive, onAttachFiles, onChangePriority, searchQuery = '', isSearchActive = false, labels = [], attachments = [], isDone = false }) => {
   const [showActions, setShowActions] = useState(false);
+  const [isFileOver, setIsFileOver] = useState(false);
+
+  const coverImage = attachments.find(isImageAttachment);
+  const coverUrl = useObjectUrl(coverImage?.blob || null);
+
+  const cardLabels = (card.labelIds || [])
+    .map(labelId => labels.find(l => l.id === labelId))
+    .filter(Boolean);
+  const checklistProgress = getChecklistProgress(card);
+  const dueStatus = card.dueDate ? getDueStatus(card.dueDate, { isDone }) : null;
 
   const handleEdit = (e) => {
     e.stopPropagation();
     onEdit(card);
   };
 
+  // Enter opens the card; +/- raise or lower its priority
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onEdit(card);
+      return;
+    }
+    if (!onChangePriority || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const step = { '+': 1, '=': 1, '-': -1, '_': -1 }[e.key];
+    if (step) {
+      e.preventDefault();
+      const priority = bumpPriority(card.priority, step);
+      if (priority !== card.priority) {
+        onChangePriority(card.id, priority, card.updatedAt);
+      }
+    }
+  };
+
+  const handleArchive = (e) => {
+    e.stopPropagation();
+    onArchive(card.id);
+  };
+
   const handleDelete = (e) => {
     e.stopPropagation();
-    if (window.confirm('Are you sure you want to delete this card?')) {
-      onDelete(card.id);
+    // Deletes are undoable from the Undo toast, so no confirmation prompt
+    onDelete(card.id);
+  };
+
+  // Only react to files dragged in from the desktop, not to card drags
+  const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes('Files');
+
+  const handleFileDragOver = (e) => {
+    if (!onAttachFiles || !isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsFileOver(true);
+  };
+
+  const handleFileDrop = (e) => {
+    if (!onAttachFiles || !isFileDrag(e)) return;
+    e.preventDefault();
+    setIsFileOver(false);
+    if (e.dataTransfer.files.length > 0) {
+      onAttachFiles(card.id, e.dataTransfer.files);
     }
   };
 
@@ -36,10 +100,33 @@ const KanbanCard = ({ card, index, onEdit, onDelete, searchQuery = '', isSearchA
           ref={provided.innerRef}
           {...provided.draggableProps}
           {...provided.dragHandleProps}
-          className={`kanban-card ${snapshot.isDragging ? 'dragging' : ''}`}
+          className={`kanban-card ${snapshot.isDragging ? 'dragging' : ''} ${isFileOver ? 'file-drop-target' : ''}`}
+          onClick={() => onEdit(card)}
+          onKeyDown={handleKeyDown}
+          aria-keyshortcuts="Enter + -"
+          onDragOver={handleFileDragOver}
+          onDragLeave={() => setIsFileOver(false)}
+          onDrop={handleFileDrop}
           onMouseEnter={() => setShowActions(true)}
           onMouseLeave={() => setShowActions(false)}
         >
+          {coverUrl && (
+            <img className="card-cover" src={coverUrl} alt={coverImage.name} />
+          )}
+          {cardLabels.length > 0 && (
+            <div className="card-labels">
+              {cardLabels.map(label => (
+                <span
+                  key={label.id}
+                  className="card-label-chip"
+                  style={{ backgroundColor: label.color }}
+                  title={label.name}
+                >
+                  {label.name}
+                </span>
+              ))}
+            </div>
+          )}
           <div className="card-header">
             <h4 className="card-title">
               {isSearchActive ? (
@@ -58,6 +145,14 @@ const KanbanCard = ({ card, index, onEdit, onDelete, searchQuery = '', isSearchA
                 >
                   ✏️
                 </button>
+                <button
+                  className="card-action-btn"
+                  onClick={handleArchive}
+                  aria-label="Archive card"
+                  title="Archive card"
+                >
+                  📦
+                </button>
                 <button
                   className="card-action-btn"
                   onClick={handleDelete}
@@ -78,9 +173,42 @@ const KanbanCard = ({ card, index, onEdit, onDelete, searchQuery = '', isSearchA
               )}
             </p>
           )}
-          {card.priority && (
-            <div className={`card-priority priority-${card.priority}`}>
-              {card.priority}
+          {(card.priority || dueStatus) && (
+            <div className="card-meta">
+              {card.priority && (
+                <div className={`card-priority priority-${card.priority}`}>
+                  {card.priority}
+                </div>
+              )}
+              {dueStatus && (
+                <span className={`card-due-chip due-${dueStatus.state}`} title={dueStatus.title}>
+                  🕒 {dueStatus.label}
+                </span>
+              )}
+            </div>
+          )}
+          {checklistProgress.total > 0 && (
+            <div
+              className={`card-checklist-progress ${checklistProgress.completed === checklistProgress.total ? 'complete' : ''}`}
+              title={`${checklistProgress.completed} of ${checklistProgress.total} checklist items done`}
+            >
+              <span className="card-checklist-badge">
+                ☑ {checklistProgress.completed}/{checklistProgress.total}
+              </span>
+              <span className="card-checklist-bar" aria-hidden="true">
+                <span
+                  className="card-checklist-bar-fill"
+                  style={{ width: `${(checklistProgress.completed / checklistProgress.total) * 100}%` }}
+                />
+              </span>
+            </div>
+          )}
+          {attachments.length > 0 && (
+            <div
+              className="card-attachment-count"
+              title={`${attachments.length} ${attachments.length === 1 ? 'attachment' : 'attachments'}`}
+            >
+              📎 {attachments.length}
             </div>
           )}
         </div>
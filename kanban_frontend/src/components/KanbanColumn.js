@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
-import { Droppable } from 'react-beautiful-dnd';
+import { Draggable, Droppable } from 'react-beautiful-dnd';
 import KanbanCard from './KanbanCard';
+import PrioritySelect from './PrioritySelect';
 import './KanbanColumn.css';
 
 // PUBLIC_INTERFACE
@@ -8,141 +9,227 @@ import './KanbanColumn.css';
  * KanbanColumn component for displaying columns with cards
  * @param {Object} props - Component props
  * @param {Object} props.column - Column data object
+ * @param {number} props.index - Column index on the board
  * @param {Array} props.cards - Array of card objects in this column
  * @param {Function} props.onAddCard - Add card handler
  * @param {Function} props.onEditCard - Edit card handler
  * @param {Function} props.onDeleteCard - Delete card handler
+ * @param {Function} props.onArchiveCard - Archive card handler
+ * @param {Function} props.onAttachFiles - Handler receiving a card ID and files dropped onto it
+ * @param {Function} props.onChangeCardPriority - Handler receiving a card ID, its new priority and
+ *   the updatedAt of the version shown
+ * @param {Function} props.onToggleSort - Switch the column between manual and priority order
  * @param {Function} props.onEditColumn - Edit column handler
  * @param {Function} props.onDeleteColumn - Delete column handler
+ * @param {Function} props.onArchiveColumn - Archive column handler
  * @param {string} props.searchQuery - Current search query for highlighting
  * @param {boolean} props.isSearchActive - Whether search is currently active
+ * @param {Array} props.labels - Labels defined on the board
+ * @param {Array} props.attachments - Attachments of the board's cards
+ * @param {number} props.totalCardCount - Cards in the column regardless of search filtering
  */
 const KanbanColumn = ({ 
   column, 
+  index,
   cards, 
   onAddCard, 
   onEditCard, 
   onDeleteCard,
+  onArchiveCard,
+  onAttachFiles,
+  onChangeCardPriority,
+  onToggleSort,
   onEditColumn,
   onDeleteColumn,
+  onArchiveColumn,
   searchQuery = '',
-  isSearchActive = false
+  isSearchActive = false,
+  labels = [],
+  attachments = [],
+  totalCardCount
 }) => {
   const [newCardTitle, setNewCardTitle] = useState('');
+  const [newCardPriority, setNewCardPriority] = useState(null);
   const [isAddingCard, setIsAddingCard] = useState(false);
   const [showColumnActions, setShowColumnActions] = useState(false);
 
+  const cardCount = totalCardCount ?? cards.length;
+  const hasCardLimit = Boolean(column.cardLimit);
+  const isOverLimit = hasCardLimit && cardCount > column.cardLimit;
+
   const handleAddCard = (e) => {
     e.preventDefault();
     if (newCardTitle.trim()) {
-      onAddCard(column.id, { title: newCardTitle.trim() });
+      onAddCard(column.id, { title: newCardTitle.trim(), priority: newCardPriority });
       setNewCardTitle('');
+      setNewCardPriority(null);
       setIsAddingCard(false);
     }
   };
 
   const handleDeleteColumn = () => {
-    if (window.confirm(`Are you sure you want to delete "${column.title}" column? All cards will be deleted.`)) {
-      onDeleteColumn(column.id);
-    }
+    // Deletes are undoable from the Undo toast, so no confirmation prompt
+    onDeleteColumn(column.id);
   };
 
   return (
-    <div className="kanban-column">
-      <div 
-        className="column-header"
-        onMouseEnter={() => setShowColumnActions(true)}
-        onMouseLeave={() => setShowColumnActions(false)}
-      >
-        <div className="column-header-left">
-          <h3 className="column-title">{column.title}</h3>
-          <span className="column-count">{cards.length}</span>
-        </div>
-        {showColumnActions && (
-          <div className="column-actions">
-            <button
-              className="column-action-btn"
-              onClick={() => onEditColumn(column)}
-              aria-label="Edit column"
-              title="Edit column"
-            >
-              ✏️
-            </button>
-            <button
-              className="column-action-btn"
-              onClick={handleDeleteColumn}
-              aria-label="Delete column"
-              title="Delete column"
-            >
-              🗑️
-            </button>
-          </div>
-        )}
-      </div>
-
-      <Droppable droppableId={column.id} type="CARD">
-        {(provided, snapshot) => (
-          <div
-            ref={provided.innerRef}
-            {...provided.droppableProps}
-            className={`column-content ${snapshot.isDraggingOver ? 'dragging-over' : ''}`}
+    <Draggable draggableId={column.id} index={index} isDragDisabled={isSearchActive}>
+      {(provided, snapshot) => (
+        <div
+          ref={provided.innerRef}
+          {...provided.draggableProps}
+          className={`kanban-column ${isOverLimit ? 'over-limit' : ''} ${snapshot.isDragging ? 'dragging' : ''}`}
+        >
+          <div 
+            {...provided.dragHandleProps}
+            className="column-header"
+            onMouseEnter={() => setShowColumnActions(true)}
+            onMouseLeave={() => setShowColumnActions(false)}
           >
-            {cards.map((card, index) => (
-              <KanbanCard
-                key={card.id}
-                card={card}
-                index={index}
-                onEdit={onEditCard}
-                onDelete={onDeleteCard}
-                searchQuery={searchQuery}
-                isSearchActive={isSearchActive}
-              />
-            ))}
-            {provided.placeholder}
+            <div className="column-header-left">
+              <h3 className="column-title">{column.title}</h3>
+              {column.sortMode === 'priority' && (
+                <span className="column-sort-badge" title="Sorted by priority">
+                  ⇅
+                </span>
+              )}
+              {column.isDone && (
+                <span className="column-done-badge" title="Cards in this column are done">
+                  ✓
+                </span>
+              )}
+              <span
+                className={`column-count ${isOverLimit ? 'over-limit' : ''}`}
+                title={hasCardLimit ? `WIP limit: ${column.cardLimit}` : undefined}
+                aria-label={
+                  hasCardLimit
+                    ? `${cardCount} of ${column.cardLimit} cards${isOverLimit ? ', WIP limit exceeded' : ''}`
+                    : `${cardCount} cards`
+                }
+              >
+                {hasCardLimit ? `${cardCount} / ${column.cardLimit}` : cardCount}
+              </span>
+            </div>
+            {showColumnActions && (
+              <div className="column-actions">
+                <button
+                  className="column-action-btn"
+                  onClick={() => onEditColumn(column)}
+                  aria-label="Column settings"
+                  title="Column settings"
+                >
+                  ⚙️
+                </button>
+                <button
+                  className="column-action-btn"
+                  onClick={() => onToggleSort(column)}
+                  aria-pressed={column.sortMode === 'priority'}
+                  aria-label="Sort by priority"
+                  title={column.sortMode === 'priority' ? 'Back to manual order' : 'Sort by priority'}
+                >
+                  ⇅
+                </button>
+                <button
+                  className="column-action-btn"
+                  onClick={() => onArchiveColumn(column.id)}
+                  aria-label="Archive column"
+                  title="Archive column"
+                >
+                  📦
+                </button>
+                <button
+                  className="column-action-btn"
+                  onClick={handleDeleteColumn}
+                  aria-label="Delete column"
+                  title="Delete column"
+                >
+                  🗑️
+                </button>
+              </div>
+            )}
           </div>
-        )}
-      </Droppable>
 
-      <div className="column-footer">
-        {isAddingCard ? (
-          <form onSubmit={handleAddCard} className="add-card-form">
-            <input
-              type="text"
-              className="add-card-input"
-              placeholder="Enter card title..."
-              value={newCardTitle}
-              onChange={(e) => setNewCardTitle(e.target.value)}
-              onBlur={() => {
-                if (!newCardTitle.trim()) setIsAddingCard(false);
-              }}
-              autoFocus
-            />
-            <div className="add-card-actions">
-              <button type="submit" className="btn-add-card">
-                Add
-              </button>
+          <Droppable droppableId={column.id} type="CARD">
+            {(provided, snapshot) => (
+              <div
+                ref={provided.innerRef}
+                {...provided.droppableProps}
+                className={`column-content ${snapshot.isDraggingOver ? 'dragging-over' : ''}`}
+              >
+                {cards.map((card, index) => (
+                  <KanbanCard
+                    key={card.id}
+                    card={card}
+                    index={index}
+                    onEdit={onEditCard}
+                    onDelete={onDeleteCard}
+                    onArchive={onArchiveCard}
+                    onAttachFiles={onAttachFiles}
+                    onChangePriority={onChangeCardPriority}
+                    searchQuery={searchQuery}
+                    isSearchActive={isSearchActive}
+                    labels={labels}
+                    isDone={Boolean(column.isDone)}
+                    attachments={attachments.filter(a => a.cardId === card.id)}
+                  />
+                ))}
+                {provided.placeholder}
+              </div>
+            )}
+          </Droppable>
+
+          <div className="column-footer">
+            {isAddingCard ? (
+              <form onSubmit={handleAddCard} className="add-card-form">
+                <input
+                  type="text"
+                  className="add-card-input"
+                  placeholder="Enter card title..."
+                  value={newCardTitle}
+                  onChange={(e) => setNewCardTitle(e.target.value)}
+                  onBlur={(e) => {
+                    // Stay open while focus moves to the priority select
+                    if (!newCardTitle.trim() && !e.currentTarget.form.contains(e.relatedTarget)) {
+                      setIsAddingCard(false);
+                    }
+                  }}
+                  autoFocus
+                />
+                <PrioritySelect
+                  className="add-card-input"
+                  value={newCardPriority}
+                  onChange={setNewCardPriority}
+                  aria-label="New card priority"
+                />
+                <div className="add-card-actions">
+                  <button type="submit" className="btn-add-card">
+                    Add
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-cancel-card"
+                    onClick={() => {
+                      setNewCardTitle('');
+                      setNewCardPriority(null);
+                      setIsAddingCard(false);
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
               <button
-                type="button"
-                className="btn-cancel-card"
-                onClick={() => {
-                  setNewCardTitle('');
-                  setIsAddingCard(false);
-                }}
+                className="add-card-btn"
+                onClick={() => setIsAddingCard(true)}
               >
-                Cancel
+                + Add Card
               </button>
-            </div>
-          </form>
-        ) : (
-          <button
-            className="add-card-btn"
-            onClick={() => setIsAddingCard(true)}
-          >
-            + Add Card
-          </button>
-        )}
-      </div>
-    </div>
+            )}
+          </div>
+        </div>
+      )}
+    </Draggable>
   );
 };
 
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { LABEL_COLORS } from '../state/labels';
+import './LabelManager.css';
+
+// PUBLIC_INTERFACE
+/**
+ * LabelManager dialog for creating, renaming, recoloring and deleting board labels
+ * @param {Object} props - Component props
+ * @param {Array} props.labels - Labels belonging to the active board
+ * @param {Function} props.onCreate - Callback receiving { name, color } for a new label
+ * @param {Function} props.onUpdate - Callback receiving (label, updates)
+ * @param {Function} props.onDelete - Callback receiving the label ID to delete
+ * @param {Function} props.onClose - Callback to close the dialog
+ */
+const LabelManager = ({ labels, onCreate, onUpdate, onDelete, onClose }) => {
+  const [newLabelName, setNewLabelName] = useState('');
+  const [newLabelColor, setNewLabelColor] = useState(LABEL_COLORS[0]);
+  const [editingLabelId, setEditingLabelId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const dialogRef = useRef(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleOverlayMouseDown = (event) => {
+    if (dialogRef.current && !dialogRef.current.contains(event.target)) {
+      onClose();
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newLabelName.trim()) {
+      onCreate({ name: newLabelName.trim(), color: newLabelColor });
+      setNewLabelName('');
+    }
+  };
+
+  const startRename = (label) => {
+    setEditingLabelId(label.id);
+    setEditingName(label.name);
+  };
+
+  const commitRename = (label) => {
+    if (editingName.trim() && editingName.trim() !== label.name) {
+      onUpdate(label, { name: editingName.trim() });
+    }
+    setEditingLabelId(null);
+  };
+
+  const handleDelete = (label) => {
+    if (window.confirm(`Delete label "${label.name}"? It will be removed from all cards.`)) {
+      onDelete(label.id);
+    }
+  };
+
+  return (
+    <div className="label-manager-overlay" onMouseDown={handleOverlayMouseDown}>
+      <div
+        ref={dialogRef}
+        className="label-manager-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="label-manager-heading"
+      >
+        <div className="label-manager-header">
+          <h3 id="label-manager-heading" className="label-manager-heading">Labels</h3>
+          <button
+            className="label-manager-close"
+            onClick={onClose}
+            aria-label="Close label manager"
+          >
+            ✕
+          </button>
+        </div>
+
+        <ul className="label-list">
+          {labels.length === 0 && (
+            <li className="label-list-empty">No labels yet. Create one below.</li>
+          )}
+          {labels.map(label => (
+            <li key={label.id} className="label-list-item">
+              {editingLabelId === label.id ? (
+                <input
+                  type="text"
+                  className="label-input"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onBlur={() => commitRename(label)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.target.blur();
+                  }}
+                  aria-label="Label name"
+                  maxLength={30}
+                  autoFocus
+                />
+              ) : (
+                <button
+                  type="button"
+                  className="label-chip label-chip-large"
+                  style={{ backgroundColor: label.color }}
+                  onClick={() => startRename(label)}
+                  title="Click to rename"
+                >
+                  {label.name}
+                </button>
+              )}
+              <button
+                type="button"
+                className="label-delete-btn"
+                onClick={() => handleDelete(label)}
+                aria-label={`Delete label ${label.name}`}
+                title="Delete label"
+              >
+                🗑️
+              </button>
+              <div className="label-color-options" role="radiogroup" aria-label={`Color for ${label.name}`}>
+                {LABEL_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    className={`label-color-swatch ${label.color === color ? 'selected' : ''}`}
+                    style={{ backgroundColor: color }}
+                    onClick={() => onUpdate(label, { color })}
+                    role="radio"
+                    aria-checked={label.color === color}
+                    aria-label={`Use color ${color}`}
+                  />
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={handleCreate} className="label-create-form">
+          <input
+            type="text"
+            className="label-input"
+            placeholder="New label name..."
+            value={newLabelName}
+            onChange={(e) => setNewLabelName(e.target.value)}
+            maxLength={30}
+          />
+          <div className="label-color-options" role="radiogroup" aria-label="New label color">
+            {LABEL_COLORS.map(color => (
+              <button
+                key={color}
+                type="button"
+                className={`label-color-swatch ${newLabelColor === color ? 'selected' : ''}`}
+                style={{ backgroundColor: color }}
+                onClick={() => setNewLabelColor(color)}
+                role="radio"
+                aria-checked={newLabelColor === color}
+                aria-label={`Use color ${color}`}
+              />
+            ))}
+          </div>
+          <button type="submit" className="btn-create-label" disabled={!newLabelName.trim()}>
+            Create Label
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LabelManager;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { CARD_PRIORITIES } from '../state/cards';
+
+// PUBLIC_INTERFACE
+/**
+ * PrioritySelect component for choosing a card priority or none
+ * @param {Object} props - Component props
+ * @param {string|null} props.value - Selected priority
+ * @param {Function} props.onChange - Callback receiving the priority, or null for none
+ * @param {string} props.className - Class applied to the select element
+ */
+const PrioritySelect = ({ value, onChange, className, ...rest }) => {
+  return (
+    <select
+      className={className}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      {...rest}
+    >
+      <option value="">No priority</option>
+      {CARD_PRIORITIES.map(priority => (
+        <option key={priority} value={priority}>
+          {priority.charAt(0).toUpperCase() + priority.slice(1)}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default PrioritySelect;
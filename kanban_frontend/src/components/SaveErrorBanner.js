@@ -0,0 +1,47 @@
+import React from 'react';
+import './SaveErrorBanner.css';
+
+// PUBLIC_INTERFACE
+/**
+ * SaveErrorBanner component warning that changes were not saved, with retry and discard
+ * @param {Object} props - Component props
+ * @param {Array} props.errors - StorageError of each failed write, oldest first
+ * @param {boolean} props.isRetrying - A retry is in progress
+ * @param {Function} props.onRetry - Retry handler
+ * @param {Function} props.onDiscard - Handler dropping the failed changes
+ */
+const SaveErrorBanner = ({ errors, isRetrying, onRetry, onDiscard }) => {
+  if (errors.length === 0) return null;
+
+  // The latest error says best what is wrong right now
+  const latestError = errors[errors.length - 1];
+
+  return (
+    <div className="save-error-banner" role="alert">
+      <span className="save-error-banner-icon" aria-hidden="true">⚠️</span>
+      <span className="save-error-banner-message">
+        <strong>
+          {errors.length === 1 ? 'A change was not saved.' : `${errors.length} changes were not saved.`}
+        </strong>{' '}
+        {latestError.message}
+      </span>
+      <button
+        className="save-error-banner-action"
+        onClick={onRetry}
+        disabled={isRetrying}
+      >
+        {isRetrying ? 'Retrying...' : 'Retry'}
+      </button>
+      <button
+        className="save-error-banner-discard"
+        onClick={onDiscard}
+        disabled={isRetrying}
+        title="Drop the unsaved changes and reload what is stored"
+      >
+        Discard
+      </button>
+    </div>
+  );
+};
+
+export default SaveErrorBanner;
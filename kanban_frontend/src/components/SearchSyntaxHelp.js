@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './SearchSyntaxHelp.css';
+
+// Examples listed in the popover, one per operator
+const SYNTAX_EXAMPLES = [
+  { example: 'login bug', description: 'Cards containing both words' },
+  { example: '"exact phrase"', description: 'Cards containing the exact phrase' },
+  { example: '-wontfix', description: 'Leave out cards containing a word' },
+  { example: 'priority:high', description: 'Priority low, medium, high, critical or none; also >=medium' },
+  { example: 'label:bug', description: 'Cards with a label; quote names with spaces' },
+  { example: 'due:<2026-11-01', description: 'Due date before, after (>) or on a day; also today or none' },
+  { example: 'created:>=2026-10-01', description: 'Created or updated: on or after a day' },
+  { example: 'is:overdue', description: 'Also is:due-soon, is:done and is:open' }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * SearchSyntaxHelp component with a button opening a popover that explains the search query language
+ */
+const SearchSyntaxHelp = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on Escape or a click outside the popover
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setIsOpen(false);
+      }
+    };
+    const handleMouseDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handleMouseDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div className="search-syntax-help" ref={containerRef}>
+      <button
+        type="button"
+        className="search-help-btn"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-controls="search-syntax-popover"
+        aria-label="Search syntax help"
+        title="Search syntax help"
+      >
+        ?
+      </button>
+      {isOpen && (
+        <div id="search-syntax-popover" className="search-syntax-popover" role="dialog" aria-label="Search syntax">
+          <h3 className="search-syntax-heading">Search syntax</h3>
+          <dl className="search-syntax-list">
+            {SYNTAX_EXAMPLES.map(({ example, description }) => (
+              <div key={example} className="search-syntax-row">
+                <dt><code>{example}</code></dt>
+                <dd>{description}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="search-syntax-note">Combine any of these; every part must match.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchSyntaxHelp;
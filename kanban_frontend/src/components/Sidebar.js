@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useAppState, useAppDispatch, ActionTypes, boardActions } from '../state/store';
+import { useAppState, useAppDispatch, ActionTypes, boardActions, historyActions } from '../state/store';
+import useBoardTransfer from '../hooks/useBoardTransfer';
 import EmojiPicker from './EmojiPicker';
+import ImportSummaryDialog from './ImportSummaryDialog';
 import './Sidebar.css';
 
 // PUBLIC_INTERFACE
@@ -22,6 +24,8 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
     boardId: null,
     anchorEl: null
   });
+  const importInputRef = useRef(null);
+  const { exportBoard, exportAllBoards, importFile, importSummary, clearImportSummary } = useBoardTransfer();
 
   const handleCreateBoard = async (e) => {
     e.preventDefault();
@@ -50,19 +54,74 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
   const handleDeleteBoard = async (boardId, e) => {
     e.stopPropagation();
     const board = state.boards.find(b => b.id === boardId);
-    if (window.confirm(`Are you sure you want to delete "${board?.title}" board?`)) {
-      try {
-        await boardActions.deleteBoard(boardId);
-        dispatch({ type: ActionTypes.DELETE_BOARD, payload: boardId });
-        
-        // Navigate to home if deleting active board
-        if (state.activeBoard === boardId) {
-          navigate('/');
-        }
-      } catch (error) {
-        console.error('Error deleting board:', error);
-        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    try {
+      // Snapshot everything the cascade removes so the delete can be undone
+      const contents = await boardActions.loadBoardContents(boardId);
+      const deleted = await boardActions.deleteBoard(boardId);
+      if (!deleted) {
+        throw new Error('Could not delete board');
+      }
+      dispatch({ type: ActionTypes.DELETE_BOARD, payload: boardId });
+      dispatch({
+        type: ActionTypes.RECORD_HISTORY,
+        payload: historyActions.createHistoryEntry(
+          `Board "${board.title}" deleted`,
+          { boards: [board], ...contents },
+          {},
+          { notify: true }
+        )
+      });
+      
+      // Navigate to home if deleting active board
+      if (state.activeBoard === boardId) {
+        navigate('/');
       }
+    } catch (error) {
+      console.error('Error deleting board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleArchiveBoard = async (boardId, e) => {
+    e.stopPropagation();
+    const board = state.boards.find(b => b.id === boardId);
+    try {
+      const archivedBoard = await boardActions.archiveBoard(boardId);
+      dispatch({ type: ActionTypes.ARCHIVE_BOARD, payload: boardId });
+      dispatch({
+        type: ActionTypes.RECORD_HISTORY,
+        payload: historyActions.createHistoryEntry(
+          `Board "${board.title}" archived`,
+          { boards: [board] },
+          { boards: [archivedBoard] },
+          { notify: true }
+        )
+      });
+
+      // Navigate to home if archiving active board
+      if (state.activeBoard === boardId) {
+        navigate('/');
+      }
+    } catch (error) {
+      console.error('Error archiving board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleExportBoard = (board, e) => {
+    e.stopPropagation();
+    exportBoard(board);
+  };
+
+  const handleImportChange = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+
+    const importedBoards = await importFile(file);
+    if (importedBoards.length === 1 && !importedBoards[0].archived) {
+      handleBoardClick(importedBoards[0].id);
     }
   };
 
@@ -135,6 +194,22 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
               {!collapsed && (
                 <>
                   <span className="board-title">{board.title}</span>
+                  <button
+                    className="board-export-btn"
+                    onClick={(e) => handleExportBoard(board, e)}
+                    aria-label="Export board"
+                    title="Export board as JSON"
+                  >
+                    ⬇️
+                  </button>
+                  <button
+                    className="board-archive-btn"
+                    onClick={(e) => handleArchiveBoard(board.id, e)}
+                    aria-label="Archive board"
+                    title="Archive board"
+                  >
+                    📦
+                  </button>
                   <button
                     className="board-delete-btn"
                     onClick={(e) => handleDeleteBoard(board.id, e)}
@@ -188,6 +263,32 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
                 <span>+ New Board</span>
               </button>
             )}
+            <button
+              className="archived-link-btn"
+              onClick={() => navigate('/archived')}
+            >
+              🗄️ Archived
+            </button>
+            <button
+              className="sidebar-link-btn"
+              onClick={() => importInputRef.current?.click()}
+            >
+              ⬆️ Import boards or Trello
+            </button>
+            <button
+              className="sidebar-link-btn"
+              onClick={exportAllBoards}
+              disabled={state.boards.length === 0}
+            >
+              ⬇️ Export all boards
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportChange}
+              hidden
+            />
           </>
         )}
       </div>
@@ -202,6 +303,10 @@ const Sidebar = ({ collapsed = false, onToggle }) => {
           anchorEl={emojiPickerState.anchorEl}
         />
       )}
+
+      {importSummary && (
+        <ImportSummaryDialog summary={importSummary} onClose={clearImportSummary} />
+      )}
     </aside>
   );
 };
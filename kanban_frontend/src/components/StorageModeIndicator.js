@@ -0,0 +1,43 @@
+import React from 'react';
+import { STORAGE_MODES } from '../utils/storageAdapters';
+import './StorageModeIndicator.css';
+
+// Label and explanation for each degraded storage mode
+const MODE_DETAILS = {
+  [STORAGE_MODES.LOCAL_STORAGE]: {
+    label: 'Limited storage',
+    description: 'This browser blocks IndexedDB, so boards are saved to localStorage instead. ' +
+      'Space is limited, and attachments are only kept until you close this tab.'
+  },
+  [STORAGE_MODES.MEMORY]: {
+    label: 'Not saving',
+    description: 'This browser blocks both IndexedDB and localStorage, so nothing is saved. ' +
+      'Your boards will be lost when you close this tab; export them to keep a copy.'
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * StorageModeIndicator component warning when data isn't stored in IndexedDB
+ * @param {Object} props - Component props
+ * @param {string|null} props.mode - Storage mode in use, one of STORAGE_MODES
+ */
+const StorageModeIndicator = ({ mode }) => {
+  const details = MODE_DETAILS[mode];
+  if (!details) return null;
+
+  return (
+    <span
+      className={`storage-mode-indicator storage-mode-${mode}`}
+      role="status"
+      tabIndex={0}
+      title={details.description}
+      aria-label={`${details.label}: ${details.description}`}
+    >
+      <span aria-hidden="true">⚠️</span>
+      <span className="storage-mode-label">{details.label}</span>
+    </span>
+  );
+};
+
+export default StorageModeIndicator;
@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import './UndoToast.css';
+
+// How long the toast stays visible after a destructive change
+const UNDO_TOAST_DURATION = 6000;
+
+// PUBLIC_INTERFACE
+/**
+ * UndoToast component offering to undo the most recent destructive change
+ * @param {Object} props - Component props
+ * @param {Object|null} props.entry - Latest history entry
+ * @param {Function} props.onUndo - Undo handler
+ */
+const UndoToast = ({ entry, onUndo }) => {
+  const [dismissedId, setDismissedId] = useState(null);
+
+  const isVisible = Boolean(entry?.notify) && entry.id !== dismissedId;
+
+  // Auto-dismiss after a few seconds; a newer entry restarts the timer
+  useEffect(() => {
+    if (!isVisible) return;
+    const timer = setTimeout(() => setDismissedId(entry.id), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [isVisible, entry]);
+
+  if (!isVisible) return null;
+
+  const handleUndo = () => {
+    setDismissedId(entry.id);
+    onUndo();
+  };
+
+  return (
+    <div className="undo-toast" role="status" aria-live="polite">
+      <span className="undo-toast-message">{entry.label}</span>
+      <button className="undo-toast-action" onClick={handleUndo} title="Undo (Ctrl+Z)">
+        Undo
+      </button>
+      <button
+        className="undo-toast-close"
+        onClick={() => setDismissedId(entry.id)}
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react';
+import { format } from 'date-fns';
+import { useAppDispatch, ActionTypes, transferActions, trelloActions } from '../state/store';
+import { downloadTextFile, readTextFile, slugify } from '../utils/files';
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook wiring JSON export/import of boards to downloads, file input and state
+ * @returns {Object} exportBoard, exportAllBoards and importFile handlers plus the last Trello import summary
+ *
+ * @example
+ * const { exportBoard, importFile } = useBoardTransfer();
+ */
+export const useBoardTransfer = () => {
+  const dispatch = useAppDispatch();
+  const [importSummary, setImportSummary] = useState(null);
+
+  const exportBoard = useCallback(async (board) => {
+    try {
+      const doc = await transferActions.exportBoards([board.id]);
+      downloadTextFile(
+        `kanban-${slugify(board.title)}-${format(new Date(), 'yyyy-MM-dd')}.json`,
+        JSON.stringify(doc, null, 2)
+      );
+    } catch (error) {
+      console.error('Error exporting board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  }, [dispatch]);
+
+  const exportAllBoards = useCallback(async () => {
+    try {
+      const doc = await transferActions.exportBoards();
+      downloadTextFile(
+        `kanban-export-${format(new Date(), 'yyyy-MM-dd')}.json`,
+        JSON.stringify(doc, null, 2)
+      );
+    } catch (error) {
+      console.error('Error exporting boards:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  }, [dispatch]);
+
+  /**
+   * Import a user-selected board export or Trello board export
+   * @param {File} file - Selected JSON file
+   * @returns {Promise<Object[]>} Imported boards (empty on failure)
+   */
+  const importFile = useCallback(async (file) => {
+    try {
+      const text = await readTextFile(file);
+
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (parseError) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+
+      if (trelloActions.isTrelloExport(doc)) {
+        const summary = await trelloActions.importTrelloBoard(doc);
+        dispatch({ type: ActionTypes.ADD_BOARD, payload: summary.board });
+        setImportSummary(summary);
+        return [summary.board];
+      }
+
+      const importedBoards = await transferActions.importBoards(doc);
+      importedBoards
+        .filter(board => !board.archived)
+        .forEach(board => dispatch({ type: ActionTypes.ADD_BOARD, payload: board }));
+      return importedBoards;
+    } catch (error) {
+      console.error('Error importing boards:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      return [];
+    }
+  }, [dispatch]);
+
+  const clearImportSummary = useCallback(() => setImportSummary(null), []);
+
+  return { exportBoard, exportAllBoards, importFile, importSummary, clearImportSummary };
+};
+
+export default useBoardTransfer;
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { subscribeToFailedWrites } from '../utils/storage';
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook tracking storage writes that failed and are waiting for a retry
+ * @returns {import('../utils/storage').StorageError[]} Error of each failed write, oldest first
+ *
+ * @example
+ * const failedWrites = useFailedWrites();
+ * if (failedWrites.length > 0) showBanner(failedWrites[failedWrites.length - 1].message);
+ */
+const useFailedWrites = () => {
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => subscribeToFailedWrites(setErrors), []);
+
+  return errors;
+};
+
+export default useFailedWrites;
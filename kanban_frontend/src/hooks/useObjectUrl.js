@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook exposing a Blob as an object URL for the lifetime of the component
+ * @param {Blob|null} blob - The Blob to expose, or null for none
+ * @returns {string|null} Object URL, revoked when the blob changes or on unmount
+ *
+ * @example
+ * const thumbnailUrl = useObjectUrl(attachment.blob);
+ */
+const useObjectUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+
+    // Release the Blob reference once it's no longer displayed
+    return () => {
+      URL.revokeObjectURL(objectUrl);
+    };
+  }, [blob]);
+
+  return url;
+};
+
+export default useObjectUrl;
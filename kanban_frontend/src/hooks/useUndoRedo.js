@@ -0,0 +1,57 @@
+import { useRef, useCallback } from 'react';
+import { useAppState, useAppDispatch, ActionTypes, historyActions } from '../state/store';
+
+// PUBLIC_INTERFACE
+/**
+ * Custom hook exposing undo/redo over the history stack kept in the app reducer.
+ * Each step is replayed against IndexedDB first and only then applied to state.
+ * @returns {Object} undo/redo handlers, availability flags and the latest entry
+ *
+ * @example
+ * const { undo, redo, canUndo } = useUndoRedo();
+ */
+export const useUndoRedo = () => {
+  const { history } = useAppState();
+  const dispatch = useAppDispatch();
+  const isReplayingRef = useRef(false);
+
+  const lastEntry = history.past[history.past.length - 1] || null;
+  const nextEntry = history.future[history.future.length - 1] || null;
+
+  const replay = useCallback(async (entry, operations, actionType, verb) => {
+    // Ignore repeated shortcuts while a replay is still writing
+    if (!entry || isReplayingRef.current) return;
+
+    isReplayingRef.current = true;
+    try {
+      const applied = await historyActions.applyOperations(operations);
+      if (!applied) {
+        throw new Error(`Could not ${verb} "${entry.label}"`);
+      }
+      dispatch({ type: actionType });
+    } catch (error) {
+      console.error(`Error during ${verb}:`, error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    } finally {
+      isReplayingRef.current = false;
+    }
+  }, [dispatch]);
+
+  const undo = useCallback(() => {
+    return replay(lastEntry, lastEntry?.undo, ActionTypes.UNDO, 'undo');
+  }, [replay, lastEntry]);
+
+  const redo = useCallback(() => {
+    return replay(nextEntry, nextEntry?.redo, ActionTypes.REDO, 'redo');
+  }, [replay, nextEntry]);
+
+  return {
+    undo,
+    redo,
+    canUndo: Boolean(lastEntry),
+    canRedo: Boolean(nextEntry),
+    lastEntry
+  };
+};
+
+export default useUndoRedo;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAppState, useAppDispatch, ActionTypes, boardActions, columnActions, cardActions } from '../state/store';
+import './ArchivedPage.css';
+
+// PUBLIC_INTERFACE
+/**
+ * ArchivedPage component listing archived boards, columns and cards with restore and permanent delete
+ */
+const ArchivedPage = () => {
+  const navigate = useNavigate();
+  const state = useAppState();
+  const dispatch = useAppDispatch();
+
+  const [archivedBoards, setArchivedBoards] = useState([]);
+  const [archivedColumns, setArchivedColumns] = useState([]);
+  const [archivedCards, setArchivedCards] = useState([]);
+  const [boardsById, setBoardsById] = useState({});
+  const [columnsById, setColumnsById] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadArchived = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [boards, columns, cards, allBoards] = await Promise.all([
+        boardActions.loadArchivedBoards(),
+        columnActions.loadArchivedColumns(),
+        cardActions.loadArchivedCards(),
+        boardActions.loadBoards({ includeArchived: true })
+      ]);
+
+      // Resolve the parent columns of archived cards for context
+      const parentColumnIds = [...new Set(cards.map(c => c.columnId))];
+      const parentColumns = await Promise.all(parentColumnIds.map(columnId => columnActions.loadColumn(columnId)));
+
+      setArchivedBoards(boards);
+      setArchivedColumns(columns);
+      setArchivedCards(cards);
+      setBoardsById(Object.fromEntries(allBoards.map(b => [b.id, b])));
+      setColumnsById(Object.fromEntries(parentColumns.filter(Boolean).map(c => [c.id, c])));
+    } catch (error) {
+      console.error('Error loading archived items:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [dispatch]);
+
+  useEffect(() => {
+    loadArchived();
+  }, [loadArchived, state.dataVersion]);
+
+  const handleRestoreBoard = async (boardId) => {
+    try {
+      const restoredBoard = await boardActions.restoreBoard(boardId);
+      dispatch({ type: ActionTypes.ADD_BOARD, payload: restoredBoard });
+      await loadArchived();
+    } catch (error) {
+      console.error('Error restoring board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleRestoreColumn = async (column) => {
+    try {
+      const { updatedBoard } = await columnActions.restoreColumn(column.id);
+      if (updatedBoard && state.boards.some(b => b.id === updatedBoard.id)) {
+        dispatch({ type: ActionTypes.UPDATE_BOARD, payload: updatedBoard });
+      }
+      await loadArchived();
+    } catch (error) {
+      console.error('Error restoring column:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleRestoreCard = async (cardId) => {
+    try {
+      await cardActions.restoreCard(cardId);
+      await loadArchived();
+    } catch (error) {
+      console.error('Error restoring card:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleDeleteBoard = async (board) => {
+    if (!window.confirm(`Permanently delete "${board.title}" and all of its columns and cards? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      const deleted = await boardActions.deleteBoard(board.id);
+      if (!deleted) {
+        throw new Error('Could not delete board');
+      }
+      await loadArchived();
+    } catch (error) {
+      console.error('Error deleting board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleDeleteColumn = async (column) => {
+    if (!window.confirm(`Permanently delete "${column.title}" and all of its cards? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      const deleted = await columnActions.deleteColumn(column.id);
+      if (!deleted) {
+        throw new Error('Could not delete column');
+      }
+      await loadArchived();
+    } catch (error) {
+      console.error('Error deleting column:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleDeleteCard = async (card) => {
+    if (!window.confirm(`Permanently delete "${card.title}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await cardActions.deleteCard(card.id);
+      await loadArchived();
+    } catch (error) {
+      console.error('Error deleting card:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const formatArchivedAt = (timestamp) => {
+    return timestamp ? `Archived ${new Date(timestamp).toLocaleDateString()}` : 'Archived';
+  };
+
+  if (isLoading) {
+    return (
+      <div className="archived-page archived-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading archive...</p>
+      </div>
+    );
+  }
+
+  const isEmpty = archivedBoards.length === 0 && archivedColumns.length === 0 && archivedCards.length === 0;
+
+  return (
+    <div className="archived-page">
+      <div className="archived-header">
+        <h2 className="archived-title">Archived</h2>
+        <button className="archived-back-btn" onClick={() => navigate('/')}>
+          ← Back to boards
+        </button>
+      </div>
+
+      {isEmpty ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🗄️</div>
+          <h2 className="empty-state-title">Nothing Archived</h2>
+          <p className="empty-state-description">
+            Archived boards, columns and cards will appear here so you can restore them later.
+          </p>
+        </div>
+      ) : (
+        <>
+          {archivedBoards.length > 0 && (
+            <section className="archived-section" aria-labelledby="archived-boards-heading">
+              <h3 id="archived-boards-heading" className="archived-section-title">Boards</h3>
+              <ul className="archived-list">
+                {archivedBoards.map(board => (
+                  <li key={board.id} className="archived-item">
+                    <div className="archived-item-info">
+                      <span className="archived-item-title">{board.emoji || '📋'} {board.title}</span>
+                      <span className="archived-item-meta">{formatArchivedAt(board.archivedAt)}</span>
+                    </div>
+                    <div className="archived-item-actions">
+                      <button className="btn-restore" onClick={() => handleRestoreBoard(board.id)}>
+                        Restore
+                      </button>
+                      <button className="btn-delete-permanently" onClick={() => handleDeleteBoard(board)}>
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {archivedColumns.length > 0 && (
+            <section className="archived-section" aria-labelledby="archived-columns-heading">
+              <h3 id="archived-columns-heading" className="archived-section-title">Columns</h3>
+              <ul className="archived-list">
+                {archivedColumns.map(column => (
+                  <li key={column.id} className="archived-item">
+                    <div className="archived-item-info">
+                      <span className="archived-item-title">{column.title}</span>
+                      <span className="archived-item-meta">
+                        {boardsById[column.boardId]?.title || 'Unknown board'} · {formatArchivedAt(column.archivedAt)}
+                      </span>
+                    </div>
+                    <div className="archived-item-actions">
+                      <button className="btn-restore" onClick={() => handleRestoreColumn(column)}>
+                        Restore
+                      </button>
+                      <button className="btn-delete-permanently" onClick={() => handleDeleteColumn(column)}>
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {archivedCards.length > 0 && (
+            <section className="archived-section" aria-labelledby="archived-cards-heading">
+              <h3 id="archived-cards-heading" className="archived-section-title">Cards</h3>
+              <ul className="archived-list">
+                {archivedCards.map(card => {
+                  const column = columnsById[card.columnId];
+                  const board = column ? boardsById[column.boardId] : null;
+                  return (
+                    <li key={card.id} className="archived-item">
+                      <div className="archived-item-info">
+                        <span className="archived-item-title">{card.title}</span>
+                        <span className="archived-item-meta">
+                          {board?.title || 'Unknown board'} › {column?.title || 'Unknown column'} · {formatArchivedAt(card.archivedAt)}
+                        </span>
+                      </div>
+                      <div className="archived-item-actions">
+                        <button className="btn-restore" onClick={() => handleRestoreCard(card.id)}>
+                          Restore
+                        </button>
+                        <button className="btn-delete-permanently" onClick={() => handleDeleteCard(card)}>
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ArchivedPage;
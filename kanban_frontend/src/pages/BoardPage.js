@@ -1,9 +1,29 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { DragDropContext } from 'react-beautiful-dnd';
-import { useAppState, useAppDispatch, ActionTypes, boardActions, columnActions, cardActions } from '../state/store';
+import { DragDropContext, Droppable } from 'react-beautiful-dnd';
+import { format } from 'date-fns';
+import { useAppState, useAppDispatch, ActionTypes, boardActions, columnActions, cardActions, labelActions, historyActions, attachmentActions } from '../state/store';
+import { sortCardsByDueDate } from '../state/dueDates';
+import { sortCardsByPriority } from '../state/cards';
+import {
+  EMPTY_FILTER,
+  isFilterActive,
+  matchesFilter,
+  loadBoardFilter,
+  saveBoardFilter
+} from '../state/cardFilters';
+import { parseSearchQuery, matchesCardSearch } from '../state/searchQuery';
+import { rankCards } from '../state/searchIndex';
+import { STORAGE_ERROR_CODES } from '../utils/storage';
+import { buildCardsCsv, readCsvTable, importCardRows } from '../state/cardCsv';
+import { downloadTextFile, readTextFile, slugify } from '../utils/files';
 import useDebounce from '../hooks/useDebounce';
 import KanbanColumn from '../components/KanbanColumn';
+import CardDetailModal from '../components/CardDetailModal';
+import LabelManager from '../components/LabelManager';
+import ColumnSettingsModal from '../components/ColumnSettingsModal';
+import CsvImportDialog from '../components/CsvImportDialog';
+import FilterBar from '../components/FilterBar';
 import './BoardPage.css';
 
 // PUBLIC_INTERFACE
@@ -11,33 +31,69 @@ import './BoardPage.css';
  * BoardPage component for displaying Kanban board view with search functionality
  */
 const BoardPage = () => {
-  const { id: boardIdFromUrl } = useParams();
+  const { id: boardIdFromUrl, cardId: openCardId } = useParams();
   const navigate = useNavigate();
   const state = useAppState();
   const dispatch = useAppDispatch();
   
   const [isAddingColumn, setIsAddingColumn] = useState(false);
   const [newColumnTitle, setNewColumnTitle] = useState('');
-  const [editingCard, setEditingCard] = useState(null);
+  const [isLabelManagerOpen, setIsLabelManagerOpen] = useState(false);
+  const [editingColumnId, setEditingColumnId] = useState(null);
+  const [wipWarning, setWipWarning] = useState(null);
+  const [csvImport, setCsvImport] = useState(null);
+  const [boardFilter, setBoardFilter] = useState(EMPTY_FILTER);
+  const csvInputRef = useRef(null);
+  // Cards whose attachments are loaded into state
+  const attachmentCardIdsRef = useRef(new Set());
 
   const activeBoardId = boardIdFromUrl || state.activeBoard;
   const activeBoard = state.boards.find(b => b.id === activeBoardId);
   const boardColumns = state.columns.filter(c => c.boardId === activeBoardId);
+  const boardLabels = state.labels.filter(l => l.boardId === activeBoardId);
+  const openCard = openCardId ? state.cards.find(c => c.id === openCardId) : null;
+  const editingColumn = editingColumnId ? boardColumns.find(c => c.id === editingColumnId) : null;
+  const wipPolicy = activeBoard?.wipPolicy || 'warn';
+  const sortByDueDate = Boolean(activeBoard?.sortByDueDate);
+  const cardIdsKey = state.cards.map(c => c.id).join(',');
+  // Cards per column, for WIP limits in the CSV import dialog
+  const cardCounts = useMemo(() => {
+    return state.cards.reduce((counts, card) => {
+      counts[card.columnId] = (counts[card.columnId] || 0) + 1;
+      return counts;
+    }, {});
+  }, [state.cards]);
 
   // Debounce search query
   const debouncedSearchQuery = useDebounce(state.searchQuery, 300);
 
-  // Filter cards and columns based on search query
+  const isSearchActive = Boolean(debouncedSearchQuery && debouncedSearchQuery.length >= 2);
+  const parsedQuery = useMemo(
+    () => parseSearchQuery(isSearchActive ? debouncedSearchQuery : ''),
+    [debouncedSearchQuery, isSearchActive]
+  );
+
+  // Ignore labels that were deleted after the filter was saved
+  const activeFilter = useMemo(() => ({
+    ...boardFilter,
+    labelIds: boardFilter.labelIds.filter(id => boardLabels.some(l => l.id === id))
+  }), [boardFilter, boardLabels]);
+  const isFiltering = isSearchActive || isFilterActive(activeFilter);
+
+  // Filter cards and columns based on the search query and the filter bar
   const { filteredColumns, totalMatches } = useMemo(() => {
-    if (!debouncedSearchQuery || debouncedSearchQuery.length < 2) {
+    if (!isFiltering) {
       return {
         filteredColumns: boardColumns,
         totalMatches: 0
       };
     }
 
-    const query = debouncedSearchQuery.toLowerCase();
+    const now = new Date();
     let matchCount = 0;
+    const termMatches = parsedQuery.terms.length > 0
+      ? rankCards(state.cards, parsedQuery.terms)
+      : undefined;
     
     const filtered = boardColumns.map(column => {
       const columnCards = state.cards
@@ -45,9 +101,15 @@ const BoardPage = () => {
         .sort((a, b) => a.position - b.position);
 
       const matchingCards = columnCards.filter(card => {
-        const titleMatch = card.title?.toLowerCase().includes(query);
-        const descMatch = card.description?.toLowerCase().includes(query);
-        if (titleMatch || descMatch) {
+        const isDone = Boolean(column.isDone);
+        const queryMatch = matchesCardSearch(card, parsedQuery, {
+          labels: boardLabels,
+          isDone,
+          now,
+          termMatches
+        });
+        const fieldsMatch = matchesFilter(card, activeFilter, { isDone, now });
+        if (queryMatch && fieldsMatch) {
           matchCount++;
           return true;
         }
@@ -65,7 +127,14 @@ const BoardPage = () => {
       filteredColumns: filtered,
       totalMatches: matchCount
     };
-  }, [boardColumns, state.cards, debouncedSearchQuery]);
+  }, [boardColumns, boardLabels, state.cards, parsedQuery, isFiltering, activeFilter]);
+
+  // Auto-dismiss WIP limit warnings
+  useEffect(() => {
+    if (!wipWarning) return;
+    const timer = setTimeout(() => setWipWarning(null), 5000);
+    return () => clearTimeout(timer);
+  }, [wipWarning]);
 
   // Load columns and cards when board changes
   useEffect(() => {
@@ -76,13 +145,13 @@ const BoardPage = () => {
           const columns = await columnActions.loadColumns(activeBoardId);
           dispatch({ type: ActionTypes.SET_COLUMNS, payload: columns });
           
-          // Load cards for all columns
-          const allCards = [];
-          for (const column of columns) {
-            const cards = await cardActions.loadCards(column.id);
-            allCards.push(...cards);
-          }
-          dispatch({ type: ActionTypes.SET_CARDS, payload: allCards });
+          // Load the cards of every column in one query, alongside the labels
+          const [cards, labels] = await Promise.all([
+            cardActions.loadCardsForColumns(columns.map(c => c.id)),
+            labelActions.loadLabels(activeBoardId)
+          ]);
+          dispatch({ type: ActionTypes.SET_CARDS, payload: cards });
+          dispatch({ type: ActionTypes.SET_LABELS, payload: labels });
         } catch (error) {
           console.error('Error loading board data:', error);
           dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
@@ -93,7 +162,61 @@ const BoardPage = () => {
     };
 
     loadBoardData();
-  }, [activeBoardId, dispatch]);
+  }, [activeBoardId, state.dataVersion, dispatch]);
+
+  // Restore the filter saved for this board
+  useEffect(() => {
+    let cancelled = false;
+    setBoardFilter(EMPTY_FILTER);
+    if (!activeBoardId) return undefined;
+
+    loadBoardFilter(activeBoardId)
+      .then(filter => {
+        if (!cancelled) setBoardFilter(filter);
+      })
+      .catch(error => {
+        console.error('Error loading board filter:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeBoardId]);
+
+  const handleFilterChange = async (filter) => {
+    setBoardFilter(filter);
+    try {
+      await saveBoardFilter(activeBoardId, filter);
+    } catch (error) {
+      console.error('Error saving board filter:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  // Load the attachments of cards as they appear on screen: when the board
+  // opens, or when a card is added or brought back by undo or restore. Cards
+  // already on screen keep theirs, which add and delete actions keep current.
+  useEffect(() => {
+    const cardIds = cardIdsKey ? cardIdsKey.split(',') : [];
+    const loadedCardIds = attachmentCardIdsRef.current;
+    const newCardIds = cardIds.filter(id => !loadedCardIds.has(id));
+    attachmentCardIdsRef.current = new Set(cardIds);
+    // Removed cards take their attachments out of state with them
+    if (newCardIds.length === 0) return;
+
+    const loadNewAttachments = async () => {
+      try {
+        const attachments = await attachmentActions.loadAttachmentsForCards(newCardIds);
+        dispatch({ type: ActionTypes.ADD_ATTACHMENTS, payload: attachments });
+      } catch (error) {
+        // Try these cards again on the next change
+        newCardIds.forEach(id => attachmentCardIdsRef.current.delete(id));
+        console.error('Error loading attachments:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      }
+    };
+
+    loadNewAttachments();
+  }, [cardIdsKey, dispatch]);
 
   const handleAddColumn = async (e) => {
     e.preventDefault();
@@ -105,6 +228,15 @@ const BoardPage = () => {
           position: boardColumns.length
         });
         dispatch({ type: ActionTypes.ADD_COLUMN, payload: newColumn });
+
+        const orderedColumnIds = [...boardColumns]
+          .sort((a, b) => a.position - b.position)
+          .map(c => c.id);
+        const updatedBoard = await boardActions.updateColumnOrder(activeBoardId, [
+          ...orderedColumnIds,
+          newColumn.id
+        ]);
+        dispatch({ type: ActionTypes.UPDATE_BOARD, payload: updatedBoard });
         setNewColumnTitle('');
         setIsAddingColumn(false);
       } catch (error) {
@@ -114,41 +246,160 @@ const BoardPage = () => {
     }
   };
 
-  const handleEditColumn = async (column) => {
-    const newTitle = window.prompt('Enter new column title:', column.title);
-    if (newTitle && newTitle.trim() && newTitle !== column.title) {
-      try {
-        const updatedColumn = await columnActions.updateColumn(column.id, {
-          ...column,
-          title: newTitle.trim()
+  /**
+   * Push an undoable change onto the history stack
+   * @param {string} label - Description shown in the Undo toast
+   * @param {Object} before - Records keyed by store name before the change
+   * @param {Object} after - Records keyed by store name after the change
+   * @param {Object} [options] - History entry options
+   */
+  const recordHistory = (label, before, after, options) => {
+    dispatch({
+      type: ActionTypes.RECORD_HISTORY,
+      payload: historyActions.createHistoryEntry(label, before, after, options)
+    });
+  };
+
+  /**
+   * Persist a column order into both column positions and board.columnOrder
+   * @param {Array} orderedColumns - Board columns in their new order
+   * @returns {Promise<{updatedColumns: Array, updatedBoard: Object}>} Persisted records
+   */
+  const persistColumnOrder = async (orderedColumns) => {
+    const { updatedColumns, updatedBoard } = await columnActions.reorderColumns(
+      activeBoardId,
+      orderedColumns
+    );
+    updatedColumns.forEach(updatedColumn => {
+      dispatch({ type: ActionTypes.UPDATE_COLUMN, payload: updatedColumn });
+    });
+    dispatch({ type: ActionTypes.UPDATE_BOARD, payload: updatedBoard });
+    return { updatedColumns, updatedBoard };
+  };
+
+  const handleEditColumn = (column) => {
+    setEditingColumnId(column.id);
+  };
+
+  const handleSaveColumnSettings = async (updates, policy) => {
+    try {
+      const updatedColumn = await columnActions.updateColumn(editingColumn.id, {
+        ...editingColumn,
+        ...updates
+      });
+      dispatch({ type: ActionTypes.UPDATE_COLUMN, payload: updatedColumn });
+
+      const before = { columns: [editingColumn] };
+      const after = { columns: [updatedColumn] };
+      if (policy !== wipPolicy) {
+        const updatedBoard = await boardActions.updateBoard(activeBoard.id, {
+          ...activeBoard,
+          wipPolicy: policy
         });
-        dispatch({ type: ActionTypes.UPDATE_COLUMN, payload: updatedColumn });
-      } catch (error) {
-        console.error('Error updating column:', error);
-        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+        dispatch({ type: ActionTypes.UPDATE_BOARD, payload: updatedBoard });
+        before.boards = [activeBoard];
+        after.boards = [updatedBoard];
       }
+      recordHistory('Column updated', before, after);
+      setEditingColumnId(null);
+    } catch (error) {
+      console.error('Error updating column:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  /**
+   * Check a column's WIP limit before one more card enters it.
+   * Blocks the change or raises a warning depending on the board policy.
+   * @param {string} columnId - Column receiving the card
+   * @param {string} blockedMessage - Explanation shown when the change is blocked
+   * @returns {boolean} Whether the change may proceed
+   */
+  const checkWipLimit = (columnId, blockedMessage) => {
+    const column = state.columns.find(c => c.id === columnId);
+    if (!column?.cardLimit) return true;
+
+    const cardCount = state.cards.filter(c => c.columnId === columnId).length;
+    if (cardCount + 1 <= column.cardLimit) return true;
+
+    const limitMessage = `"${column.title}" has a WIP limit of ${column.cardLimit}`;
+    if (wipPolicy === 'block') {
+      dispatch({ type: ActionTypes.SET_ERROR, payload: `${limitMessage}. ${blockedMessage}` });
+      return false;
     }
+
+    setWipWarning(`${limitMessage} and is now over it.`);
+    return true;
   };
 
   const handleDeleteColumn = async (columnId) => {
     try {
-      // Delete all cards in the column
-      const cardsToDelete = state.cards.filter(c => c.columnId === columnId);
-      for (const card of cardsToDelete) {
-        await cardActions.deleteCard(card.id);
-        dispatch({ type: ActionTypes.DELETE_CARD, payload: card.id });
+      // Snapshot archived cards too, the cascade removes them as well
+      const column = boardColumns.find(c => c.id === columnId);
+      const columnCards = await cardActions.loadCards(columnId, { includeArchived: true });
+      const columnAttachments = await attachmentActions.loadAttachmentsForCards(
+        columnCards.map(c => c.id)
+      );
+
+      // Delete the column and all of its cards in one transaction
+      const deleted = await columnActions.deleteColumn(columnId);
+      if (!deleted) {
+        throw new Error('Could not delete column');
       }
-      
-      // Delete the column
-      await columnActions.deleteColumn(columnId);
       dispatch({ type: ActionTypes.DELETE_COLUMN, payload: columnId });
+
+      // Close the gap left in positions and columnOrder
+      const remainingColumns = boardColumns
+        .filter(c => c.id !== columnId)
+        .sort((a, b) => a.position - b.position);
+      const { updatedColumns, updatedBoard } = await persistColumnOrder(remainingColumns);
+
+      recordHistory(
+        `Column "${column.title}" deleted`,
+        {
+          boards: [activeBoard],
+          columns: [column, ...remainingColumns],
+          cards: columnCards,
+          attachments: columnAttachments
+        },
+        { boards: [updatedBoard], columns: updatedColumns },
+        { notify: true }
+      );
     } catch (error) {
       console.error('Error deleting column:', error);
       dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
     }
   };
 
+  const handleArchiveColumn = async (columnId) => {
+    try {
+      const column = boardColumns.find(c => c.id === columnId);
+      const archivedColumn = await columnActions.archiveColumn(columnId);
+      dispatch({ type: ActionTypes.ARCHIVE_COLUMN, payload: columnId });
+
+      // Archived columns leave the board order until restored
+      const remainingColumns = boardColumns
+        .filter(c => c.id !== columnId)
+        .sort((a, b) => a.position - b.position);
+      const { updatedColumns, updatedBoard } = await persistColumnOrder(remainingColumns);
+
+      // The column's cards are unchanged but listed so undo brings them back into view
+      const columnCards = state.cards.filter(c => c.columnId === columnId);
+      recordHistory(
+        `Column "${column.title}" archived`,
+        { boards: [activeBoard], columns: [column, ...remainingColumns], cards: columnCards },
+        { boards: [updatedBoard], columns: [archivedColumn, ...updatedColumns], cards: columnCards },
+        { notify: true }
+      );
+    } catch (error) {
+      console.error('Error archiving column:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
   const handleAddCard = async (columnId, cardData) => {
+    if (!checkWipLimit(columnId, 'The card was not added.')) return;
+
     try {
       const columnCards = state.cards.filter(c => c.columnId === columnId);
       const newCard = await cardActions.createCard({
@@ -164,36 +415,325 @@ const BoardPage = () => {
   };
 
   const handleEditCard = (card) => {
-    const newTitle = window.prompt('Enter new card title:', card.title);
-    if (newTitle && newTitle.trim() && newTitle !== card.title) {
-      handleUpdateCard(card.id, { title: newTitle.trim() });
+    navigate(`/board/${activeBoardId}/card/${card.id}`);
+  };
+
+  const handleCloseCardDetail = () => {
+    navigate(`/board/${activeBoardId}`);
+  };
+
+  const handleSaveCardDetail = async (updates) => {
+    // Keep the dialog and its edits open when the save didn't go through
+    if (await handleUpdateCard(openCard.id, updates)) {
+      handleCloseCardDetail();
     }
   };
 
+  /**
+   * Save card changes. If a newer version was saved meanwhile, e.g. in another
+   * tab or by sync, ask before replacing it; declining shows the newer version instead.
+   * @param {string} cardId - Card ID
+   * @param {Object} updates - Changed fields, optionally with the updatedAt the edit started from
+   * @returns {Promise<boolean>} True once saved; false when the save failed or was declined
+   */
   const handleUpdateCard = async (cardId, updates) => {
     try {
       const card = state.cards.find(c => c.id === cardId);
-      const updatedCard = await cardActions.updateCard(cardId, {
-        ...card,
-        ...updates
-      });
+      let updatedCard;
+      try {
+        updatedCard = await cardActions.updateCard(cardId, { ...card, ...updates });
+      } catch (error) {
+        if (error.code !== STORAGE_ERROR_CODES.CONFLICT) throw error;
+        if (!window.confirm(`"${card.title}" was changed elsewhere since you started editing it. Replace those changes with yours?`)) {
+          const latestCard = await cardActions.loadCard(cardId);
+          if (latestCard) {
+            dispatch({ type: ActionTypes.UPDATE_CARD, payload: latestCard });
+          }
+          return false;
+        }
+        updatedCard = await cardActions.updateCard(cardId, { ...card, ...updates }, { overwrite: true });
+      }
       dispatch({ type: ActionTypes.UPDATE_CARD, payload: updatedCard });
+      recordHistory('Card updated', { cards: [card] }, { cards: [updatedCard] });
+      return true;
     } catch (error) {
       console.error('Error updating card:', error);
       dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      return false;
     }
   };
 
   const handleDeleteCard = async (cardId) => {
     try {
-      await cardActions.deleteCard(cardId);
+      const card = state.cards.find(c => c.id === cardId);
+      const cardAttachments = await attachmentActions.loadAttachments(cardId);
+      const deleted = await cardActions.deleteCard(cardId);
+      if (!deleted) {
+        throw new Error('Could not delete card');
+      }
       dispatch({ type: ActionTypes.DELETE_CARD, payload: cardId });
+      recordHistory(
+        `Card "${card.title}" deleted`,
+        { cards: [card], attachments: cardAttachments },
+        {},
+        { notify: true }
+      );
     } catch (error) {
       console.error('Error deleting card:', error);
       dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
     }
   };
 
+  const handleArchiveCard = async (cardId) => {
+    try {
+      const card = state.cards.find(c => c.id === cardId);
+      const archivedCard = await cardActions.archiveCard(cardId);
+      dispatch({ type: ActionTypes.ARCHIVE_CARD, payload: cardId });
+      recordHistory(
+        `Card "${card.title}" archived`,
+        { cards: [card] },
+        { cards: [archivedCard] },
+        { notify: true }
+      );
+    } catch (error) {
+      console.error('Error archiving card:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  /**
+   * Store dropped or picked files as attachments of a card.
+   * Files over the size limit are reported and skipped; the rest are still saved.
+   * @param {string} cardId - Card receiving the files
+   * @param {FileList|File[]} files - Files to attach
+   */
+  const handleAddAttachments = async (cardId, files) => {
+    for (const file of Array.from(files)) {
+      try {
+        const attachment = await attachmentActions.addAttachment(cardId, file);
+        dispatch({ type: ActionTypes.ADD_ATTACHMENT, payload: attachment });
+      } catch (error) {
+        console.error('Error adding attachment:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      }
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    try {
+      const deleted = await attachmentActions.deleteAttachment(attachment.id);
+      if (!deleted) {
+        throw new Error(`Could not remove "${attachment.name}"`);
+      }
+      dispatch({ type: ActionTypes.DELETE_ATTACHMENT, payload: attachment.id });
+      recordHistory(
+        `Attachment "${attachment.name}" removed`,
+        { attachments: [attachment] },
+        {},
+        { notify: true }
+      );
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleCreateLabel = async (labelData) => {
+    try {
+      const newLabel = await labelActions.createLabel({
+        ...labelData,
+        boardId: activeBoardId
+      });
+      dispatch({ type: ActionTypes.ADD_LABEL, payload: newLabel });
+    } catch (error) {
+      console.error('Error creating label:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleUpdateLabel = async (label, updates) => {
+    try {
+      const updatedLabel = await labelActions.updateLabel(label.id, {
+        ...label,
+        ...updates
+      });
+      dispatch({ type: ActionTypes.UPDATE_LABEL, payload: updatedLabel });
+    } catch (error) {
+      console.error('Error updating label:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleDeleteLabel = async (labelId) => {
+    try {
+      // The label is detached from every card using it in the same transaction
+      const label = state.labels.find(l => l.id === labelId);
+      const { labeledCards, updatedCards } = await labelActions.deleteLabel(labelId);
+
+      updatedCards.forEach(updatedCard => {
+        dispatch({ type: ActionTypes.UPDATE_CARD, payload: updatedCard });
+      });
+      dispatch({ type: ActionTypes.DELETE_LABEL, payload: labelId });
+      recordHistory(
+        `Label "${label.name}" deleted`,
+        { labels: [label], cards: labeledCards },
+        { cards: updatedCards },
+        { notify: true }
+      );
+    } catch (error) {
+      console.error('Error deleting label:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  /**
+   * Whether a column shows its cards in a sorted order rather than by position
+   * @param {Object} column - Column data object
+   * @returns {boolean} True when manual reordering doesn't apply
+   */
+  const isSortedColumn = (column) => sortByDueDate || column?.sortMode === 'priority';
+
+  /**
+   * Order a column's cards for display without touching their positions
+   * @param {Object} column - Column data object
+   * @param {Array} cards - The column's cards in manual order
+   * @returns {Array} Cards in display order
+   */
+  const orderColumnCards = (column, cards) => {
+    if (column.sortMode === 'priority') return sortCardsByPriority(cards);
+    if (sortByDueDate) return sortCardsByDueDate(cards);
+    return cards;
+  };
+
+  const handleToggleColumnSort = async (column) => {
+    try {
+      const updatedColumn = await columnActions.updateColumn(column.id, {
+        ...column,
+        sortMode: column.sortMode === 'priority' ? 'manual' : 'priority'
+      });
+      dispatch({ type: ActionTypes.UPDATE_COLUMN, payload: updatedColumn });
+      recordHistory('Column sort changed', { columns: [column] }, { columns: [updatedColumn] });
+    } catch (error) {
+      console.error('Error updating column:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  // Pass the version shown so a newer one saved elsewhere isn't overwritten unasked
+  const handleChangeCardPriority = (cardId, priority, updatedAt) => {
+    handleUpdateCard(cardId, { priority, updatedAt });
+  };
+
+  const handleToggleSortByDueDate = async () => {
+    try {
+      const updatedBoard = await boardActions.updateBoard(activeBoard.id, {
+        ...activeBoard,
+        sortByDueDate: !sortByDueDate
+      });
+      dispatch({ type: ActionTypes.UPDATE_BOARD, payload: updatedBoard });
+    } catch (error) {
+      console.error('Error updating board:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  const handleExportCsv = () => {
+    const columnIds = new Set(boardColumns.map(c => c.id));
+    const csv = buildCardsCsv({
+      columns: boardColumns,
+      cards: state.cards.filter(c => columnIds.has(c.columnId)),
+      labels: boardLabels
+    });
+    downloadTextFile(
+      `${slugify(activeBoard.title)}-cards-${format(new Date(), 'yyyy-MM-dd')}.csv`,
+      csv,
+      'text/csv'
+    );
+  };
+
+  const handleCsvFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { headers, rows, error } = readCsvTable(await readTextFile(file));
+      if (error) {
+        throw new Error(`${file.name}: ${error}`);
+      }
+      setCsvImport({ fileName: file.name, headers, rows });
+    } catch (error) {
+      console.error('Error reading CSV file:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  /**
+   * Write parsed CSV rows as cards, creating any missing columns and labels,
+   * all in one transaction
+   * @param {Object} result - Confirmed import from the CSV dialog
+   * @param {Array} result.cards - Parsed card rows, without rows blocked by a WIP limit
+   * @param {Object} result.columnTargets - Column ID (or NEW_COLUMN) per CSV column title
+   * @param {Array} result.overLimit - Rows over a WIP limit ({ line, message })
+   */
+  const handleImportCsv = async ({ cards, columnTargets, overLimit }) => {
+    try {
+      const imported = await importCardRows({ boardId: activeBoardId, cards, columnTargets });
+
+      imported.columns.forEach(column => {
+        dispatch({ type: ActionTypes.ADD_COLUMN, payload: column });
+      });
+      if (imported.board) {
+        dispatch({ type: ActionTypes.UPDATE_BOARD, payload: imported.board });
+      }
+      imported.labels.forEach(label => {
+        dispatch({ type: ActionTypes.ADD_LABEL, payload: label });
+      });
+      imported.cards.forEach(card => {
+        dispatch({ type: ActionTypes.ADD_CARD, payload: card });
+      });
+
+      if (overLimit.length > 0) {
+        const lines = overLimit.map(row => row.line).join(', ');
+        if (wipPolicy === 'block') {
+          dispatch({
+            type: ActionTypes.SET_ERROR,
+            payload: `Rows over a WIP limit were not imported (lines ${lines}).`
+          });
+        } else {
+          setWipWarning(`Imported rows took columns over their WIP limit (lines ${lines}).`);
+        }
+      }
+      setCsvImport(null);
+    } catch (error) {
+      console.error('Error importing CSV:', error);
+      dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+    }
+  };
+
+  /**
+   * Turn a drop index into an index in a column's full card order. While the
+   * board is filtered, drop indexes count only the cards on screen, so the card
+   * goes next to the visible card at that spot and hidden cards keep their places.
+   * @param {Object} column - Column receiving the card
+   * @param {Array} columnCards - The column's cards in manual order, without the dragged card
+   * @param {number} index - Drop index
+   * @param {string} draggedCardId - ID of the dragged card
+   * @returns {number} Index in columnCards to insert the card at
+   */
+  const toFullColumnIndex = (column, columnCards, index, draggedCardId) => {
+    if (!isFiltering || isSortedColumn(column)) return index;
+
+    const visibleCards = (filteredColumns.find(c => c.id === column.id)?.cards || [])
+      .filter(c => c.id !== draggedCardId);
+    if (visibleCards.length === 0) return columnCards.length;
+    if (index < visibleCards.length) {
+      return columnCards.findIndex(c => c.id === visibleCards[index].id);
+    }
+    return columnCards.findIndex(c => c.id === visibleCards[visibleCards.length - 1].id) + 1;
+  };
+
   const handleDragEnd = async (result) => {
     const { destination, source, draggableId, type } = result;
 
@@ -208,91 +748,82 @@ const BoardPage = () => {
       return;
     }
 
+    if (type === 'COLUMN') {
+      const orderedColumns = [...boardColumns].sort((a, b) => a.position - b.position);
+      const [movedColumn] = orderedColumns.splice(source.index, 1);
+      orderedColumns.splice(destination.index, 0, movedColumn);
+
+      try {
+        const { updatedColumns, updatedBoard } = await persistColumnOrder(orderedColumns);
+        recordHistory(
+          'Columns reordered',
+          { boards: [activeBoard], columns: boardColumns },
+          { boards: [updatedBoard], columns: updatedColumns }
+        );
+      } catch (error) {
+        console.error('Error reordering columns:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      }
+      return;
+    }
+
     if (type === 'CARD') {
       const sourceColumnId = source.droppableId;
       const destColumnId = destination.droppableId;
 
+      // Sorted columns have no manual order to drop into: reordering within
+      // one is ignored and moved cards join the end of its manual order
+      const destColumn = state.columns.find(c => c.id === destColumnId);
+      if (isSortedColumn(destColumn) && sourceColumnId === destColumnId) return;
+      const destIndex = isSortedColumn(destColumn)
+        ? state.cards.filter(c => c.columnId === destColumnId).length
+        : destination.index;
+
+      if (sourceColumnId !== destColumnId && !checkWipLimit(destColumnId, 'The card was not moved.')) {
+        return;
+      }
+
+      // Lay out the new order of the columns involved
+      const orderedColumnCards = (columnId) => state.cards
+        .filter(c => c.columnId === columnId)
+        .sort((a, b) => a.position - b.position);
+      const movedCard = state.cards.find(c => c.id === draggableId);
+      const sourceCards = orderedColumnCards(sourceColumnId).filter(c => c.id !== draggableId);
+      const destCards = sourceColumnId === destColumnId ? sourceCards : orderedColumnCards(destColumnId);
+      destCards.splice(toFullColumnIndex(destColumn, destCards, destIndex, draggableId), 0, {
+        ...movedCard,
+        columnId: destColumnId
+      });
+
+      // Only cards whose column or position changes are written
+      const affectedColumns = sourceColumnId === destColumnId ? [destCards] : [sourceCards, destCards];
+      const cardsById = new Map(state.cards.map(c => [c.id, c]));
+      const previousCards = [];
+      const movedCards = [];
+      affectedColumns.forEach(columnCards => {
+        columnCards.forEach((card, index) => {
+          const previousCard = cardsById.get(card.id);
+          if (previousCard.columnId !== card.columnId || previousCard.position !== index) {
+            previousCards.push(previousCard);
+            movedCards.push({ ...card, position: index });
+          }
+        });
+      });
+      if (movedCards.length === 0) return;
+
+      // Show the new order right away and put the old one back if saving fails
+      dispatch({ type: ActionTypes.MOVE_CARDS, payload: movedCards });
       try {
-        if (sourceColumnId === destColumnId) {
-          // Reorder within same column
-          const columnCards = state.cards
-            .filter(c => c.columnId === sourceColumnId)
-            .sort((a, b) => a.position - b.position);
-          
-          // Remove card from source position
-          const [movedCard] = columnCards.splice(source.index, 1);
-          // Insert at destination position
-          columnCards.splice(destination.index, 0, movedCard);
-          
-          // Batch update all card positions
-          const updatePromises = columnCards.map((card, index) => 
-            cardActions.updateCard(card.id, {
-              ...card,
-              position: index
-            })
-          );
-          
-          const updatedCards = await Promise.all(updatePromises);
-          
-          // Batch dispatch all updates
-          updatedCards.forEach(updatedCard => {
-            dispatch({ type: ActionTypes.UPDATE_CARD, payload: updatedCard });
-          });
-        } else {
-          // Move to different column
-          const sourceCards = state.cards
-            .filter(c => c.columnId === sourceColumnId)
-            .sort((a, b) => a.position - b.position);
-          
-          const destCards = state.cards
-            .filter(c => c.columnId === destColumnId)
-            .sort((a, b) => a.position - b.position);
-          
-          // Find and update the moved card
-          const movedCard = sourceCards.find(c => c.id === draggableId);
-          const updatedMovedCard = {
-            ...movedCard,
-            columnId: destColumnId,
-            position: destination.index
-          };
-          
-          // Remove from source
-          const newSourceCards = sourceCards.filter(c => c.id !== draggableId);
-          
-          // Insert into destination
-          const newDestCards = [...destCards];
-          newDestCards.splice(destination.index, 0, updatedMovedCard);
-          
-          // Prepare all updates
-          const updates = [];
-          
-          // Update moved card
-          updates.push(cardActions.updateCard(draggableId, updatedMovedCard));
-          
-          // Update source column positions
-          newSourceCards.forEach((card, index) => {
-            if (card.position !== index) {
-              updates.push(cardActions.updateCard(card.id, { ...card, position: index }));
-            }
-          });
-          
-          // Update destination column positions
-          newDestCards.forEach((card, index) => {
-            if (card.position !== index) {
-              updates.push(cardActions.updateCard(card.id, { ...card, position: index }));
-            }
-          });
-          
-          // Execute all updates
-          const allUpdatedCards = await Promise.all(updates);
-          
-          // Batch dispatch
-          allUpdatedCards.forEach(updatedCard => {
-            dispatch({ type: ActionTypes.UPDATE_CARD, payload: updatedCard });
-          });
-        }
+        const savedCards = await cardActions.moveCards(movedCards.map(card => ({
+          cardId: card.id,
+          columnId: card.columnId,
+          position: card.position
+        })));
+        dispatch({ type: ActionTypes.MOVE_CARDS, payload: savedCards });
+        recordHistory('Card moved', { cards: previousCards }, { cards: savedCards });
       } catch (error) {
         console.error('Error moving card:', error);
+        dispatch({ type: ActionTypes.MOVE_CARDS, payload: previousCards });
         dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
       }
     }
@@ -322,23 +853,62 @@ const BoardPage = () => {
   }
 
   // Determine which columns to show
-  const columnsToDisplay = debouncedSearchQuery && debouncedSearchQuery.length >= 2
-    ? filteredColumns
-    : boardColumns;
-
-  const isSearchActive = debouncedSearchQuery && debouncedSearchQuery.length >= 2;
-  const hasNoResults = isSearchActive && totalMatches === 0;
+  const columnsToDisplay = isFiltering ? filteredColumns : boardColumns;
+  const hasNoResults = isFiltering && totalMatches === 0;
 
   return (
     <div className="board-page">
       <div className="board-header">
+        <div className="board-header-actions">
+          <button
+            className="board-header-btn"
+            onClick={() => setIsLabelManagerOpen(true)}
+            aria-label="Manage labels"
+            title="Manage labels"
+          >
+            🏷️ Labels
+          </button>
+          <button
+            className={`board-header-btn ${sortByDueDate ? 'active' : ''}`}
+            onClick={handleToggleSortByDueDate}
+            aria-pressed={sortByDueDate}
+            title={sortByDueDate ? 'Show cards in manual order' : 'Sort each column by due date'}
+          >
+            📅 Sort by due date
+          </button>
+          <button
+            className="board-header-btn"
+            onClick={handleExportCsv}
+            aria-label="Export cards as CSV"
+            title="Export cards as CSV"
+          >
+            ⬇️ CSV
+          </button>
+          <button
+            className="board-header-btn"
+            onClick={() => csvInputRef.current?.click()}
+            aria-label="Import cards from CSV"
+            title="Import cards from CSV"
+          >
+            ⬆️ CSV
+          </button>
+          <input
+            ref={csvInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleCsvFileChange}
+            hidden
+          />
+        </div>
         <h2 className="board-title">{activeBoard.title}</h2>
         {activeBoard.description && (
           <p className="board-description">{activeBoard.description}</p>
         )}
         
+        <FilterBar filter={activeFilter} labels={boardLabels} onChange={handleFilterChange} />
+
         {/* Search result count with accessibility */}
-        {isSearchActive && (
+        {isFiltering && (
           <div 
             className="search-results-info" 
             role="status" 
@@ -352,6 +922,19 @@ const BoardPage = () => {
             ) : (
               <span className="result-count no-results">No matches found</span>
             )}
+            {parsedQuery.errors.length > 0 && (
+              <span className="search-query-errors">
+                Ignored {parsedQuery.errors.join(', ')}
+              </span>
+            )}
+            {isSearchActive && (
+              <button
+                className="search-all-link"
+                onClick={() => navigate(`/search?q=${encodeURIComponent(debouncedSearchQuery)}`)}
+              >
+                Search every board →
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -361,85 +944,167 @@ const BoardPage = () => {
           <div className="empty-state">
             <div className="empty-state-icon">🔍</div>
             <h2 className="empty-state-title">No Results Found</h2>
-            <p className="empty-state-description">
-              No cards match your search for "<strong>{debouncedSearchQuery}</strong>".
-              Try a different search term.
-            </p>
+            {isSearchActive ? (
+              <p className="empty-state-description">
+                No cards match your search for "<strong>{debouncedSearchQuery}</strong>"
+                {isFilterActive(activeFilter) && ' with the active filters'}.
+                Try a different search term.
+              </p>
+            ) : (
+              <p className="empty-state-description">
+                No cards match the active filters. Remove a filter to see more cards.
+              </p>
+            )}
           </div>
         </div>
       ) : (
         <DragDropContext onDragEnd={handleDragEnd}>
-          <div className="board-columns">
-            {columnsToDisplay
-              .sort((a, b) => a.position - b.position)
-              .map(column => {
-                const columnCards = isSearchActive
-                  ? column.cards || []
-                  : state.cards
-                      .filter(c => c.columnId === column.id)
-                      .sort((a, b) => a.position - b.position);
-
-                return (
-                  <KanbanColumn
-                    key={column.id}
-                    column={column}
-                    cards={columnCards}
-                    onAddCard={handleAddCard}
-                    onEditCard={handleEditCard}
-                    onDeleteCard={handleDeleteCard}
-                    onEditColumn={handleEditColumn}
-                    onDeleteColumn={handleDeleteColumn}
-                    searchQuery={isSearchActive ? debouncedSearchQuery : ''}
-                    isSearchActive={isSearchActive}
-                  />
-                );
-              })}
-
-            {!isSearchActive && (
-              <div className="add-column-container">
-                {isAddingColumn ? (
-                  <form onSubmit={handleAddColumn} className="add-column-form">
-                    <input
-                      type="text"
-                      className="add-column-input"
-                      placeholder="Enter column title..."
-                      value={newColumnTitle}
-                      onChange={(e) => setNewColumnTitle(e.target.value)}
-                      onBlur={() => {
-                        if (!newColumnTitle.trim()) setIsAddingColumn(false);
-                      }}
-                      autoFocus
-                    />
-                    <div className="add-column-actions">
-                      <button type="submit" className="btn-add-column">
-                        Add Column
-                      </button>
+          <Droppable droppableId="board" type="COLUMN" direction="horizontal">
+            {(provided) => (
+              <div
+                ref={provided.innerRef}
+                {...provided.droppableProps}
+                className="board-columns"
+              >
+                {columnsToDisplay
+                  .sort((a, b) => a.position - b.position)
+                  .map((column, index) => {
+                    const manualCards = isFiltering
+                      ? column.cards || []
+                      : state.cards
+                          .filter(c => c.columnId === column.id)
+                          .sort((a, b) => a.position - b.position);
+                    const columnCards = orderColumnCards(column, manualCards);
+
+                    return (
+                      <KanbanColumn
+                        key={column.id}
+                        column={column}
+                        index={index}
+                        cards={columnCards}
+                        onAddCard={handleAddCard}
+                        onEditCard={handleEditCard}
+                        onDeleteCard={handleDeleteCard}
+                        onArchiveCard={handleArchiveCard}
+                        onAttachFiles={handleAddAttachments}
+                        onChangeCardPriority={handleChangeCardPriority}
+                        onToggleSort={handleToggleColumnSort}
+                        attachments={state.attachments}
+                        onEditColumn={handleEditColumn}
+                        onDeleteColumn={handleDeleteColumn}
+                        onArchiveColumn={handleArchiveColumn}
+                        searchQuery={isSearchActive ? debouncedSearchQuery : ''}
+                        isSearchActive={isFiltering}
+                        labels={boardLabels}
+                        totalCardCount={state.cards.filter(c => c.columnId === column.id).length}
+                      />
+                    );
+                  })}
+                {provided.placeholder}
+
+                {!isFiltering && (
+                  <div className="add-column-container">
+                    {isAddingColumn ? (
+                      <form onSubmit={handleAddColumn} className="add-column-form">
+                        <input
+                          type="text"
+                          className="add-column-input"
+                          placeholder="Enter column title..."
+                          value={newColumnTitle}
+                          onChange={(e) => setNewColumnTitle(e.target.value)}
+                          onBlur={() => {
+                            if (!newColumnTitle.trim()) setIsAddingColumn(false);
+                          }}
+                          autoFocus
+                        />
+                        <div className="add-column-actions">
+                          <button type="submit" className="btn-add-column">
+                            Add Column
+                          </button>
+                          <button
+                            type="button"
+                            className="btn-cancel-column"
+                            onClick={() => {
+                              setNewColumnTitle('');
+                              setIsAddingColumn(false);
+                            }}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
                       <button
-                        type="button"
-                        className="btn-cancel-column"
-                        onClick={() => {
-                          setNewColumnTitle('');
-                          setIsAddingColumn(false);
-                        }}
+                        className="add-column-btn"
+                        onClick={() => setIsAddingColumn(true)}
                       >
-                        Cancel
+                        + Add Column
                       </button>
-                    </div>
-                  </form>
-                ) : (
-                  <button
-                    className="add-column-btn"
-                    onClick={() => setIsAddingColumn(true)}
-                  >
-                    + Add Column
-                  </button>
+                    )}
+                  </div>
                 )}
               </div>
             )}
-          </div>
+          </Droppable>
         </DragDropContext>
       )}
 
+      {openCard && (
+        <CardDetailModal
+          key={openCard.id}
+          card={openCard}
+          labels={boardLabels}
+          attachments={state.attachments.filter(a => a.cardId === openCard.id)}
+          onAddAttachments={(files) => handleAddAttachments(openCard.id, files)}
+          onDeleteAttachment={handleDeleteAttachment}
+          onSave={handleSaveCardDetail}
+          onClose={handleCloseCardDetail}
+        />
+      )}
+
+      {isLabelManagerOpen && (
+        <LabelManager
+          labels={boardLabels}
+          onCreate={handleCreateLabel}
+          onUpdate={handleUpdateLabel}
+          onDelete={handleDeleteLabel}
+          onClose={() => setIsLabelManagerOpen(false)}
+        />
+      )}
+
+      {editingColumn && (
+        <ColumnSettingsModal
+          key={editingColumn.id}
+          column={editingColumn}
+          cardCount={state.cards.filter(c => c.columnId === editingColumn.id).length}
+          wipPolicy={wipPolicy}
+          onSave={handleSaveColumnSettings}
+          onClose={() => setEditingColumnId(null)}
+        />
+      )}
+
+      {csvImport && (
+        <CsvImportDialog
+          fileName={csvImport.fileName}
+          headers={csvImport.headers}
+          rows={csvImport.rows}
+          columns={boardColumns}
+          cardCounts={cardCounts}
+          wipPolicy={wipPolicy}
+          onImport={handleImportCsv}
+          onClose={() => setCsvImport(null)}
+        />
+      )}
+
+      {wipWarning && (
+        <div className="warning-toast" role="status">
+          <span>{wipWarning}</span>
+          <button onClick={() => setWipWarning(null)} aria-label="Dismiss warning">
+            ✕
+          </button>
+        </div>
+      )}
+
       {state.error && (
         <div className="error-toast">
           <span>{state.error}</span>
@@ -1,8 +1,12 @@
-import React, { useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppState, useAppDispatch, ActionTypes, boardActions } from '../state/store';
+import { parseSearchQuery, matchesCardSearch, matchesSearchTerms } from '../state/searchQuery';
+import { rankCards } from '../state/searchIndex';
 import useDebounce from '../hooks/useDebounce';
+import useBoardTransfer from '../hooks/useBoardTransfer';
 import HighlightText from '../components/HighlightText';
+import ImportSummaryDialog from '../components/ImportSummaryDialog';
 import './HomePage.css';
 
 // PUBLIC_INTERFACE
@@ -13,31 +17,74 @@ const HomePage = () => {
   const navigate = useNavigate();
   const state = useAppState();
   const dispatch = useAppDispatch();
+  const importInputRef = useRef(null);
+  const { exportAllBoards, importFile, importSummary, clearImportSummary } = useBoardTransfer();
 
   // Debounce search query
   const debouncedSearchQuery = useDebounce(state.searchQuery, 300);
 
+  const isSearchActive = Boolean(debouncedSearchQuery && debouncedSearchQuery.length >= 2);
+  const parsedQuery = useMemo(
+    () => parseSearchQuery(isSearchActive ? debouncedSearchQuery : ''),
+    [debouncedSearchQuery, isSearchActive]
+  );
+  const hasFieldFilters = parsedQuery.filters.length > 0;
+  const [cardContents, setCardContents] = useState(null);
+
+  // Field operators describe cards, so load every board's cards to apply them
+  useEffect(() => {
+    if (!hasFieldFilters) return undefined;
+    let cancelled = false;
+
+    boardActions.loadAllBoardContents()
+      .then(contents => {
+        if (!cancelled) setCardContents(contents);
+      })
+      .catch(error => {
+        console.error('Error loading cards for search:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [hasFieldFilters, debouncedSearchQuery, dispatch]);
+
   // Filter boards based on search query
   const { filteredBoards, totalMatches } = useMemo(() => {
-    if (!debouncedSearchQuery || debouncedSearchQuery.length < 2) {
+    if (!isSearchActive) {
       return {
         filteredBoards: state.boards,
         totalMatches: 0
       };
     }
 
-    const query = debouncedSearchQuery.toLowerCase();
+    // Without field operators boards match on their own title and description;
+    // with them a board matches when one of its cards matches the whole query
+    const matchingBoardIds = new Set();
+    if (hasFieldFilters && cardContents) {
+      const columnsById = new Map(cardContents.columns.map(c => [c.id, c]));
+      const now = new Date();
+      const termMatches = rankCards(cardContents.cards, parsedQuery.terms);
+      cardContents.cards.forEach(card => {
+        const column = columnsById.get(card.columnId);
+        const labels = cardContents.labels.filter(l => l.boardId === column.boardId);
+        const isDone = Boolean(column.isDone);
+        if (matchesCardSearch(card, parsedQuery, { labels, isDone, now, termMatches })) {
+          matchingBoardIds.add(column.boardId);
+        }
+      });
+    }
+
     const filtered = state.boards.filter(board => {
-      const titleMatch = board.title?.toLowerCase().includes(query);
-      const descMatch = board.description?.toLowerCase().includes(query);
-      return titleMatch || descMatch;
+      if (hasFieldFilters) return matchingBoardIds.has(board.id);
+      return matchesSearchTerms(parsedQuery.terms, [board.title, board.description]);
     });
 
     return {
       filteredBoards: filtered,
       totalMatches: filtered.length
     };
-  }, [state.boards, debouncedSearchQuery]);
+  }, [state.boards, isSearchActive, parsedQuery, hasFieldFilters, cardContents]);
 
   const handleCreateFirstBoard = async () => {
     try {
@@ -59,6 +106,41 @@ const HomePage = () => {
     navigate(`/board/${boardId}`);
   };
 
+  const handleImportChange = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+
+    const importedBoards = await importFile(file);
+    if (importedBoards.length === 1 && !importedBoards[0].archived) {
+      handleSelectBoard(importedBoards[0].id);
+    }
+  };
+
+  const importInput = (
+    <input
+      ref={importInputRef}
+      type="file"
+      accept="application/json,.json"
+      onChange={handleImportChange}
+      hidden
+    />
+  );
+
+  const importSummaryDialog = importSummary && (
+    <ImportSummaryDialog summary={importSummary} onClose={clearImportSummary} />
+  );
+
+  const errorToast = state.error && (
+    <div className="error-toast">
+      <span>{state.error}</span>
+      <button onClick={() => dispatch({ type: ActionTypes.SET_ERROR, payload: null })}>
+        ✕
+      </button>
+    </div>
+  );
+
   if (state.loading) {
     return (
       <div className="home-page">
@@ -80,18 +162,40 @@ const HomePage = () => {
           <button className="empty-state-action" onClick={handleCreateFirstBoard}>
             Create Your First Board
           </button>
+          <button
+            className="empty-state-secondary-action"
+            onClick={() => importInputRef.current?.click()}
+          >
+            or import boards from a JSON or Trello export
+          </button>
+          {importInput}
         </div>
+        {importSummaryDialog}
+        {errorToast}
       </div>
     );
   }
 
-  const isSearchActive = debouncedSearchQuery && debouncedSearchQuery.length >= 2;
   const hasNoResults = isSearchActive && totalMatches === 0;
 
   return (
     <div className="home-page">
       <div className="boards-overview">
-        <h2 className="overview-title">Your Boards</h2>
+        <div className="overview-header">
+          <h2 className="overview-title">Your Boards</h2>
+          <div className="overview-actions">
+            <button className="overview-action-btn" onClick={() => importInputRef.current?.click()}>
+              ⬆️ Import
+            </button>
+            <button className="overview-action-btn" onClick={exportAllBoards}>
+              ⬇️ Export all
+            </button>
+            <button className="overview-action-btn" onClick={() => navigate('/archived')}>
+              🗄️ View archived
+            </button>
+          </div>
+          {importInput}
+        </div>
         
         {/* Search result count with accessibility */}
         {isSearchActive && (
@@ -108,6 +212,12 @@ const HomePage = () => {
             ) : (
               <span className="result-count no-results">No boards found</span>
             )}
+            <button
+              className="search-all-link"
+              onClick={() => navigate(`/search?q=${encodeURIComponent(debouncedSearchQuery)}`)}
+            >
+              Search cards on every board →
+            </button>
           </div>
         )}
 
@@ -157,6 +267,8 @@ const HomePage = () => {
           </div>
         )}
       </div>
+      {importSummaryDialog}
+      {errorToast}
     </div>
   );
 };
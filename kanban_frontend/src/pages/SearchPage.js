@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAppState, useAppDispatch, ActionTypes, boardActions } from '../state/store';
+import {
+  parseSearchQuery,
+  hasSearchCriteria,
+  matchesCardSearch,
+  matchesSearchTerms,
+  getSnippet
+} from '../state/searchQuery';
+import { rankCards } from '../state/searchIndex';
+import useDebounce from '../hooks/useDebounce';
+import HighlightText from '../components/HighlightText';
+import './SearchPage.css';
+
+// PUBLIC_INTERFACE
+/**
+ * SearchPage component listing cards and columns from every board that match the `q` query,
+ * grouped by board and column
+ */
+const SearchPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const state = useAppState();
+  const dispatch = useAppDispatch();
+
+  const [contents, setContents] = useState(null);
+  const query = searchParams.get('q') || '';
+  const debouncedQuery = useDebounce(query, 300);
+
+  // Keep the header search box in sync when the page is opened from a link
+  useEffect(() => {
+    dispatch({ type: ActionTypes.SET_SEARCH_QUERY, payload: query });
+  }, [query, dispatch]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    boardActions.loadAllBoardContents()
+      .then(allContents => {
+        if (!cancelled) setContents(allContents);
+      })
+      .catch(error => {
+        console.error('Error loading search contents:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [state.dataVersion, dispatch]);
+
+  const parsedQuery = useMemo(() => parseSearchQuery(debouncedQuery), [debouncedQuery]);
+
+  // Group matching cards, and columns whose title matches, by board then column.
+  // Cards are ordered by relevance and boards by their best card.
+  const { groups, cardCount } = useMemo(() => {
+    if (!contents || !hasSearchCriteria(parsedQuery)) {
+      return { groups: [], cardCount: 0 };
+    }
+
+    const now = new Date();
+    const termMatches = rankCards(contents.cards, parsedQuery.terms);
+    const scoreOf = (card) => termMatches.get(card.id);
+    let matchCount = 0;
+    const results = state.boards
+      .map(board => {
+        const labels = contents.labels.filter(l => l.boardId === board.id);
+        const columns = contents.columns
+          .filter(c => c.boardId === board.id)
+          .sort((a, b) => a.position - b.position)
+          .map(column => {
+            const cards = contents.cards
+              .filter(card => card.columnId === column.id)
+              .filter(card => matchesCardSearch(card, parsedQuery, {
+                labels,
+                isDone: Boolean(column.isDone),
+                now,
+                termMatches
+              }))
+              .sort((a, b) => scoreOf(b) - scoreOf(a) || a.position - b.position);
+            const titleMatches = parsedQuery.filters.length === 0
+              && matchesSearchTerms(parsedQuery.terms, [column.title]);
+            matchCount += cards.length;
+            return { column, cards, titleMatches };
+          })
+          .filter(group => group.cards.length > 0 || group.titleMatches);
+        const bestScore = Math.max(0, ...columns.flatMap(group => group.cards.map(scoreOf)));
+        return { board, columns, bestScore };
+      })
+      .filter(group => group.columns.length > 0)
+      .sort((a, b) => b.bestScore - a.bestScore || a.board.title.localeCompare(b.board.title));
+
+    return { groups: results, cardCount: matchCount };
+  }, [contents, parsedQuery, state.boards]);
+
+  const openCard = (boardId, cardId) => {
+    dispatch({ type: ActionTypes.SET_ACTIVE_BOARD, payload: boardId });
+    navigate(`/board/${boardId}/card/${cardId}`);
+  };
+
+  const openBoard = (boardId) => {
+    dispatch({ type: ActionTypes.SET_ACTIVE_BOARD, payload: boardId });
+    navigate(`/board/${boardId}`);
+  };
+
+  if (!contents) {
+    return (
+      <div className="search-page search-loading">
+        <div className="loading-spinner"></div>
+        <p>Searching...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="search-page">
+      <div className="search-page-header">
+        <h2 className="search-page-title">Search</h2>
+        {hasSearchCriteria(parsedQuery) && (
+          <p className="search-page-summary" role="status" aria-live="polite" aria-atomic="true">
+            {cardCount} {cardCount === 1 ? 'card' : 'cards'} matching "<strong>{debouncedQuery}</strong>"
+            {parsedQuery.errors.length > 0 && (
+              <span className="search-query-errors"> · ignored {parsedQuery.errors.join(', ')}</span>
+            )}
+          </p>
+        )}
+      </div>
+
+      {!hasSearchCriteria(parsedQuery) ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🔍</div>
+          <h2 className="empty-state-title">Search Every Board</h2>
+          <p className="empty-state-description">
+            Type in the search box and press Enter to search the cards and columns of all your boards.
+          </p>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">🔍</div>
+          <h2 className="empty-state-title">No Results Found</h2>
+          <p className="empty-state-description">
+            Nothing on any board matches "<strong>{debouncedQuery}</strong>".
+            Try a different search term.
+          </p>
+        </div>
+      ) : (
+        groups.map(({ board, columns }) => (
+          <section key={board.id} className="search-board-group" aria-labelledby={`search-board-${board.id}`}>
+            <h3 id={`search-board-${board.id}`} className="search-board-title">
+              <button className="search-board-link" onClick={() => openBoard(board.id)}>
+                {board.emoji || '📋'} {board.title}
+              </button>
+            </h3>
+
+            {columns.map(({ column, cards }) => (
+              <div key={column.id} className="search-column-group">
+                <h4 className="search-column-title">
+                  <HighlightText text={column.title} query={debouncedQuery} />
+                  <span className="search-column-count">{cards.length}</span>
+                </h4>
+                {cards.length > 0 && (
+                  <ul className="search-result-list">
+                    {cards.map(card => (
+                      <li key={card.id}>
+                        <button className="search-result" onClick={() => openCard(board.id, card.id)}>
+                          <span className="search-result-title">
+                            <HighlightText text={card.title} query={debouncedQuery} />
+                          </span>
+                          {card.description && (
+                            <span className="search-result-snippet">
+                              <HighlightText
+                                text={getSnippet(card.description, debouncedQuery)}
+                                query={debouncedQuery}
+                              />
+                            </span>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </section>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,114 @@
+import {
+  saveToIndexedDB,
+  deleteFromIndexedDB,
+  loadAllFromIndexedDB,
+  loadAnyOfFromIndexedDB
+} from '../utils/storage';
+
+// PUBLIC_INTERFACE
+/**
+ * Attachment entity type definition
+ * @typedef {Object} Attachment
+ * @property {string} id - Unique attachment identifier
+ * @property {string} cardId - Owning card ID
+ * @property {string} name - Original file name
+ * @property {string} type - MIME type ('' when the browser could not tell)
+ * @property {number} size - File size in bytes
+ * @property {Blob} blob - File contents
+ * @property {number} createdAt - Upload timestamp
+ */
+
+// Largest file accepted as a single attachment, in bytes
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Format a byte count for display (e.g. '1.4 MB')
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether an attachment can be shown as an inline image
+ * @param {Attachment} attachment - Attachment
+ * @returns {boolean} True for image MIME types
+ */
+export const isImageAttachment = (attachment) => {
+  return (attachment.type || '').startsWith('image/');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Store a file as an attachment of a card
+ * @param {string} cardId - Owning card ID
+ * @param {File} file - File picked or dropped by the user
+ * @returns {Promise<Attachment>} Created attachment
+ * @throws {Error} When the file exceeds MAX_ATTACHMENT_SIZE or could not be saved
+ */
+export const addAttachment = async (cardId, file) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(
+      `"${file.name}" is ${formatFileSize(file.size)}; attachments are limited to ${formatFileSize(MAX_ATTACHMENT_SIZE)}`
+    );
+  }
+
+  const attachment = {
+    id: generateId(),
+    cardId,
+    name: file.name,
+    type: file.type || '',
+    size: file.size,
+    blob: file,
+    createdAt: Date.now()
+  };
+
+  await saveToIndexedDB('attachments', attachment);
+  return attachment;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete an attachment
+ * @param {string} attachmentId - Attachment ID to delete
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteAttachment = async (attachmentId) => {
+  return await deleteFromIndexedDB('attachments', attachmentId);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load the attachments of a card
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Attachment[]>} Attachments, oldest first
+ */
+export const loadAttachments = async (cardId) => {
+  const attachments = await loadAllFromIndexedDB('attachments', { cardId });
+  return attachments.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load the attachments of several cards at once
+ * @param {string[]} cardIds - Card IDs
+ * @returns {Promise<Attachment[]>} Attachments, oldest first
+ */
+export const loadAttachmentsForCards = async (cardIds) => {
+  if (cardIds.length === 0) return [];
+  const attachments = await loadAnyOfFromIndexedDB('attachments', 'cardId', cardIds);
+  return attachments.sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,128 @@
+import 'fake-indexeddb/auto';
+import * as storage from '../utils/storage';
+import { initIndexedDB, bulkSaveToIndexedDB, loadAllFromIndexedDB } from '../utils/storage';
+import { loadBoard, loadBoardContents } from './boards';
+import { loadColumns } from './columns';
+import { loadCard, loadCards, loadCardsForColumns } from './cards';
+
+// Benchmark guarding board load times against a return to full-table scans.
+// 10k cards are spread over 10 boards, so loading one board should read about
+// a tenth of them. Budgets are generous so slow CI machines don't flake; what
+// catches regressions is checking that boards load through the indexed query
+// and never scan the whole cards store.
+
+const BOARD_COUNT = 10;
+const COLUMNS_PER_BOARD = 5;
+const CARDS_PER_COLUMN = 200;
+const CARD_COUNT = BOARD_COUNT * COLUMNS_PER_BOARD * CARDS_PER_COLUMN;
+
+const BOARD_LOAD_BUDGET_MS = 2000;
+
+const timed = async (fn) => {
+  const start = performance.now();
+  const result = await fn();
+  return { result, ms: performance.now() - start };
+};
+
+beforeAll(async () => {
+  await initIndexedDB();
+
+  const now = Date.now();
+  const boards = [];
+  const columns = [];
+  const cards = [];
+  for (let b = 0; b < BOARD_COUNT; b++) {
+    boards.push({ id: `board-${b}`, title: `Board ${b}`, archived: 0, starred: 0, createdAt: now });
+    for (let c = 0; c < COLUMNS_PER_BOARD; c++) {
+      const columnId = `column-${b}-${c}`;
+      columns.push({ id: columnId, boardId: `board-${b}`, title: `Column ${c}`, position: c, archived: 0 });
+      for (let p = 0; p < CARDS_PER_COLUMN; p++) {
+        cards.push({
+          id: `card-${b}-${c}-${p}`,
+          columnId,
+          title: `Card ${p}`,
+          description: 'Seeded for the load benchmark',
+          position: CARDS_PER_COLUMN - p,
+          priority: null,
+          dueDate: null,
+          labelIds: [],
+          checklists: [],
+          archived: p % 50 === 0 ? 1 : 0,
+          archivedAt: null,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+    }
+  }
+
+  await bulkSaveToIndexedDB('boards', boards);
+  await bulkSaveToIndexedDB('columns', columns);
+  await bulkSaveToIndexedDB('cards', cards);
+}, 120000);
+
+test('seeds the benchmark data', async () => {
+  expect(await loadAllFromIndexedDB('cards')).toHaveLength(CARD_COUNT);
+}, 60000);
+
+test('loads one board with a single bulk card query', async () => {
+  const loadAllSpy = jest.spyOn(storage, 'loadAllFromIndexedDB');
+  const loadAnyOfSpy = jest.spyOn(storage, 'loadAnyOfFromIndexedDB');
+
+  try {
+    const { result, ms } = await timed(async () => {
+      const columns = await loadColumns('board-3');
+      const cards = await loadCardsForColumns(columns.map(c => c.id));
+      return { columns, cards };
+    });
+
+    expect(result.columns).toHaveLength(COLUMNS_PER_BOARD);
+    // Exactly the board's cards, archived ones left out
+    const expectedIds = [];
+    for (let c = 0; c < COLUMNS_PER_BOARD; c++) {
+      for (let p = 0; p < CARDS_PER_COLUMN; p++) {
+        if (p % 50 !== 0) expectedIds.push(`card-3-${c}-${p}`);
+      }
+    }
+    expect(result.cards.map(card => card.id).sort()).toEqual(expectedIds.sort());
+
+    // One indexed query for the cards, and no scan of the whole store
+    expect(loadAnyOfSpy).toHaveBeenCalledTimes(1);
+    expect(loadAnyOfSpy).toHaveBeenCalledWith('cards', 'columnId', result.columns.map(c => c.id));
+    expect(loadAllSpy.mock.calls.some(([storeName]) => storeName === 'cards')).toBe(false);
+    expect(ms).toBeLessThan(BOARD_LOAD_BUDGET_MS);
+  } finally {
+    loadAllSpy.mockRestore();
+    loadAnyOfSpy.mockRestore();
+  }
+}, 60000);
+
+test('loads board contents, archived cards included', async () => {
+  const { result, ms } = await timed(() => loadBoardContents('board-7'));
+
+  expect(result.columns).toHaveLength(COLUMNS_PER_BOARD);
+  expect(result.cards).toHaveLength(COLUMNS_PER_BOARD * CARDS_PER_COLUMN);
+  expect(ms).toBeLessThan(BOARD_LOAD_BUDGET_MS);
+}, 60000);
+
+test('loads one column ordered by position', async () => {
+  const cards = await loadCards('column-5-2');
+
+  expect(cards[0].position).toBe(1);
+  expect(cards.every((card, i) => i === 0 || cards[i - 1].position < card.position)).toBe(true);
+}, 60000);
+
+test('looks single records up by key', async () => {
+  const { result, ms } = await timed(async () => {
+    const found = [];
+    for (let i = 0; i < 100; i++) {
+      found.push(await loadCard(`card-${i % BOARD_COUNT}-1-${i}`));
+    }
+    return found;
+  });
+
+  expect(result.every(Boolean)).toBe(true);
+  expect(await loadCard('missing')).toBeNull();
+  expect((await loadBoard('board-0')).title).toBe('Board 0');
+  expect(ms).toBeLessThan(BOARD_LOAD_BUDGET_MS);
+}, 60000);
@@ -1,4 +1,12 @@
-import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../utils/storage';
+import {
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  loadAllFromIndexedDB,
+  loadAnyOfFromIndexedDB,
+  runTransactionInIndexedDB,
+  StorageError,
+  STORAGE_ERROR_CODES
+} from '../utils/storage';
 
 // PUBLIC_INTERFACE
 /**
@@ -11,6 +19,10 @@ import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../u
  * @property {string[]} columnOrder - Ordered array of column IDs
  * @property {boolean} starred - Quick access flag
  * @property {string} backgroundColor - Board background color
+ * @property {string} wipPolicy - What happens when a column WIP limit would be exceeded ('warn' | 'block')
+ * @property {boolean} sortByDueDate - Show each column's cards ordered by due date instead of manual position
+ * @property {number} archived - 1 when archived, 0 otherwise (numeric so the `archived` index can key it)
+ * @property {number|null} archivedAt - Archive timestamp
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
  */
@@ -26,12 +38,12 @@ const generateId = () => {
 
 // PUBLIC_INTERFACE
 /**
- * Create a new board
+ * Build a new board without saving it
  * @param {Object} boardData - Board data
- * @returns {Promise<Board>} Created board object
+ * @returns {Board} Board object
  */
-export const createBoard = async (boardData) => {
-  const board = {
+export const buildBoard = (boardData) => {
+  return {
     id: generateId(),
     title: boardData.title || 'Untitled Board',
     description: boardData.description || '',
@@ -39,9 +51,23 @@ export const createBoard = async (boardData) => {
     columnOrder: [],
     starred: false,
     backgroundColor: '#ffffff',
+    wipPolicy: 'warn',
+    sortByDueDate: false,
+    archived: 0,
+    archivedAt: null,
     createdAt: Date.now(),
     updatedAt: Date.now()
   };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a new board
+ * @param {Object} boardData - Board data
+ * @returns {Promise<Board>} Created board object
+ */
+export const createBoard = async (boardData) => {
+  const board = buildBoard(boardData);
   
   await saveToIndexedDB('boards', board);
   return board;
@@ -73,12 +99,10 @@ export const updateBoard = async (boardId, updates) => {
  * @returns {Promise<Board>} Updated board object
  */
 export const updateBoardEmoji = async (boardId, emoji) => {
-  // Load current board data
-  const boards = await loadAllFromIndexedDB('boards');
-  const currentBoard = boards.find(b => b.id === boardId);
+  const currentBoard = await loadBoard(boardId);
   
   if (!currentBoard) {
-    throw new Error('Board not found');
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Board not found');
   }
   
   const updatedBoard = {
@@ -93,21 +117,155 @@ export const updateBoardEmoji = async (boardId, emoji) => {
 
 // PUBLIC_INTERFACE
 /**
- * Delete a board
+ * Update a board's column order
+ * @param {string} boardId - Board ID to update
+ * @param {string[]} columnOrder - Ordered array of column IDs
+ * @returns {Promise<Board>} Updated board object
+ */
+export const updateColumnOrder = async (boardId, columnOrder) => {
+  const currentBoard = await loadBoard(boardId);
+  
+  if (!currentBoard) {
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Board not found');
+  }
+  
+  const updatedBoard = {
+    ...currentBoard,
+    columnOrder,
+    updatedAt: Date.now()
+  };
+  
+  await saveToIndexedDB('boards', updatedBoard);
+  return updatedBoard;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a board together with its columns, cards and labels in one transaction
  * @param {string} boardId - Board ID to delete
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {StorageError} When the transaction fails; nothing was deleted
  */
 export const deleteBoard = async (boardId) => {
-  return await deleteFromIndexedDB('boards', boardId);
+  await runTransactionInIndexedDB(
+    ['boards', 'columns', 'cards', 'labels', 'attachments'],
+    async ({ boards, columns, cards, labels, attachments }) => {
+      const columnIds = await columns.where('boardId').equals(boardId).primaryKeys();
+      const cardIds = await cards.where('columnId').anyOf(columnIds).primaryKeys();
+      await attachments.where('cardId').anyOf(cardIds).delete();
+      await cards.bulkDelete(cardIds);
+      await columns.bulkDelete(columnIds);
+      await labels.where('boardId').equals(boardId).delete();
+      await boards.delete(boardId);
+    }
+  );
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load every column, card, label and attachment belonging to a board, archived ones included
+ * @param {string} boardId - Board ID
+ * @returns {Promise<{columns: Object[], cards: Object[], labels: Object[], attachments: Object[]}>} Board contents
+ */
+export const loadBoardContents = async (boardId) => {
+  const columns = await loadAllFromIndexedDB('columns', { boardId });
+  const cards = columns.length
+    ? await loadAnyOfFromIndexedDB('cards', 'columnId', columns.map(c => c.id))
+    : [];
+  const labels = await loadAllFromIndexedDB('labels', { boardId });
+  const attachments = cards.length
+    ? await loadAnyOfFromIndexedDB('attachments', 'cardId', cards.map(c => c.id))
+    : [];
+  
+  return {
+    columns,
+    cards,
+    labels,
+    attachments
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load the visible columns, cards and labels of every board in one pass, for
+ * searches that span boards. Archived columns and cards are left out.
+ * @returns {Promise<{columns: Object[], cards: Object[], labels: Object[]}>} Contents of all boards
+ */
+export const loadAllBoardContents = async () => {
+  const columns = (await loadAllFromIndexedDB('columns')).filter(c => !c.archived);
+  const columnIds = new Set(columns.map(c => c.id));
+  const cards = (await loadAllFromIndexedDB('cards'))
+    .filter(c => !c.archived && columnIds.has(c.columnId));
+  const labels = await loadAllFromIndexedDB('labels');
+
+  return { columns, cards, labels };
+};
+
+/**
+ * Set or clear a board's archived flag
+ * @param {string} boardId - Board ID to update
+ * @param {boolean} archived - Whether the board should be archived
+ * @returns {Promise<Board>} Updated board object
+ */
+const setBoardArchived = async (boardId, archived) => {
+  const currentBoard = await loadBoard(boardId);
+  
+  if (!currentBoard) {
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Board not found');
+  }
+  
+  const updatedBoard = {
+    ...currentBoard,
+    archived: archived ? 1 : 0,
+    archivedAt: archived ? Date.now() : null,
+    updatedAt: Date.now()
+  };
+  
+  await saveToIndexedDB('boards', updatedBoard);
+  return updatedBoard;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Archive a board, hiding it from normal views while keeping its data
+ * @param {string} boardId - Board ID to archive
+ * @returns {Promise<Board>} Updated board object
+ */
+export const archiveBoard = async (boardId) => {
+  return await setBoardArchived(boardId, true);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Restore an archived board
+ * @param {string} boardId - Board ID to restore
+ * @returns {Promise<Board>} Updated board object
+ */
+export const restoreBoard = async (boardId) => {
+  return await setBoardArchived(boardId, false);
 };
 
 // PUBLIC_INTERFACE
 /**
  * Load all boards
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeArchived=false] - Also return archived boards
  * @returns {Promise<Board[]>} Array of boards
  */
-export const loadBoards = async () => {
-  return await loadAllFromIndexedDB('boards');
+export const loadBoards = async ({ includeArchived = false } = {}) => {
+  return includeArchived
+    ? await loadAllFromIndexedDB('boards')
+    : await loadAllFromIndexedDB('boards', { archived: 0 });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load archived boards using the `archived` index
+ * @returns {Promise<Board[]>} Array of archived boards
+ */
+export const loadArchivedBoards = async () => {
+  return await loadAllFromIndexedDB('boards', { archived: 1 });
 };
 
 // PUBLIC_INTERFACE
@@ -117,6 +275,5 @@ export const loadBoards = async () => {
  * @returns {Promise<Board|null>} Board object or null
  */
 export const loadBoard = async (boardId) => {
-  const boards = await loadAllFromIndexedDB('boards');
-  return boards.find(b => b.id === boardId) || null;
+  return (await loadFromIndexedDB('boards', boardId)) || null;
 };
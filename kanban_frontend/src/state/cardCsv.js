@@ -0,0 +1,312 @@
+import { format, parse, parseISO, isValid, startOfDay } from 'date-fns';
+import { toCsv, parseCsv, escapeFormula, unescapeFormula } from '../utils/csv';
+import { runTransactionInIndexedDB, StorageError, STORAGE_ERROR_CODES } from '../utils/storage';
+import { CARD_PRIORITIES, buildCard } from './cards';
+import { buildColumn } from './columns';
+import { buildLabel, LABEL_COLORS } from './labels';
+
+// PUBLIC_INTERFACE
+/**
+ * CSV columns written on export. Fields marked importable can be mapped on import;
+ * created/updated timestamps are informational and always set fresh on import.
+ */
+export const CSV_FIELDS = [
+  { key: 'column', header: 'Column', importable: true, required: true, aliases: ['list', 'status', 'stage'] },
+  { key: 'title', header: 'Title', importable: true, required: true, aliases: ['name', 'card', 'summary'] },
+  { key: 'description', header: 'Description', importable: true, aliases: ['desc', 'details', 'notes'] },
+  { key: 'priority', header: 'Priority', importable: true, aliases: [] },
+  { key: 'dueDate', header: 'Due Date', importable: true, aliases: ['due', 'deadline'] },
+  { key: 'labels', header: 'Labels', importable: true, aliases: ['label', 'tags'] },
+  { key: 'createdAt', header: 'Created', aliases: [] },
+  { key: 'updatedAt', header: 'Updated', aliases: [] }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Column target meaning "create a column with this title" on import
+ */
+export const NEW_COLUMN = '__new__';
+
+// Separator between label names inside the Labels field
+const LABEL_SEPARATOR = ';';
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Parse a due date cell into a local-midnight timestamp
+ * @param {string} value - Cell text, preferably yyyy-MM-dd
+ * @returns {number|null|undefined} Timestamp, null when empty, undefined when unparsable
+ */
+const parseDueDate = (value) => {
+  if (!value) return null;
+
+  const candidates = [
+    parse(value, 'yyyy-MM-dd', new Date()),
+    parseISO(value),
+    new Date(value)
+  ];
+  const date = candidates.find(isValid);
+  return date ? startOfDay(date).getTime() : undefined;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize a board's cards as CSV, columns and cards in board order. Text
+ * that a spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {Object} data - Board data
+ * @param {Array} data.columns - Board columns
+ * @param {Array} data.cards - Cards in those columns
+ * @param {Array} data.labels - Board labels
+ * @returns {string} CSV text with a header row
+ */
+export const buildCardsCsv = ({ columns, cards, labels }) => {
+  const labelNames = new Map(labels.map(l => [l.id, l.name]));
+  const rows = [CSV_FIELDS.map(field => field.header)];
+
+  [...columns]
+    .sort((a, b) => a.position - b.position)
+    .forEach(column => {
+      cards
+        .filter(c => c.columnId === column.id)
+        .sort((a, b) => a.position - b.position)
+        .forEach(card => {
+          rows.push([
+            escapeFormula(column.title),
+            escapeFormula(card.title),
+            escapeFormula(card.description || ''),
+            card.priority || '',
+            card.dueDate ? format(new Date(card.dueDate), 'yyyy-MM-dd') : '',
+            escapeFormula((card.labelIds || [])
+              .filter(id => labelNames.has(id))
+              .map(id => labelNames.get(id))
+              .join(`${LABEL_SEPARATOR} `)),
+            new Date(card.createdAt).toISOString(),
+            new Date(card.updatedAt).toISOString()
+          ]);
+        });
+    });
+
+  return toCsv(rows);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Split CSV text into a header row and data rows
+ * @param {string} text - CSV text
+ * @returns {{headers: string[], rows: Array<{line: number, fields: string[]}>, error: string|null}} Table
+ */
+export const readCsvTable = (text) => {
+  const { rows, error } = parseCsv(text);
+  if (error) return { headers: [], rows: [], error };
+  if (rows.length === 0) return { headers: [], rows: [], error: 'The file is empty' };
+
+  const [headerRow, ...dataRows] = rows;
+  return { headers: headerRow.fields.map(h => h.trim()), rows: dataRows, error: null };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Guess which CSV header feeds each importable card field
+ * @param {string[]} headers - CSV header row
+ * @returns {Object<string, number|null>} Header index per field key, null when unmapped
+ */
+export const detectFieldMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return Object.fromEntries(
+    CSV_FIELDS
+      .filter(field => field.importable)
+      .map(field => {
+        const names = [field.header, field.key, ...field.aliases].map(normalizeHeader);
+        const index = normalized.findIndex(header => names.includes(header));
+        return [field.key, index === -1 ? null : index];
+      })
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parsed CSV card row type definition
+ * @typedef {Object} CsvCardRow
+ * @property {number} line - Line in the file where the row starts
+ * @property {string} column - Target column title
+ * @property {string} title - Card title
+ * @property {string} description - Card description
+ * @property {string|null} priority - Card priority
+ * @property {number|null} dueDate - Due date timestamp
+ * @property {string[]} labelNames - Label names to attach
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Turn CSV rows into card data using a field mapping, collecting rows that cannot be parsed
+ * @param {Array<{line: number, fields: string[]}>} rows - Data rows
+ * @param {Object<string, number|null>} mapping - Header index per field key
+ * @returns {{cards: CsvCardRow[], errors: Array<{line: number, message: string}>}} Parse result
+ */
+export const parseCardRows = (rows, mapping) => {
+  const cards = [];
+  const errors = [];
+
+  const cell = (fields, key) => {
+    const index = mapping[key];
+    return index === null || index === undefined ? '' : unescapeFormula((fields[index] || '').trim());
+  };
+
+  rows.forEach(({ line, fields }) => {
+    const column = cell(fields, 'column');
+    const title = cell(fields, 'title');
+    const priority = cell(fields, 'priority').toLowerCase();
+    const dueDateText = cell(fields, 'dueDate');
+    const dueDate = parseDueDate(dueDateText);
+
+    const problems = [];
+    if (!column) problems.push('missing column');
+    if (!title) problems.push('missing title');
+    if (priority && !CARD_PRIORITIES.includes(priority)) {
+      problems.push(`unknown priority "${priority}"`);
+    }
+    if (dueDate === undefined) problems.push(`unreadable due date "${dueDateText}"`);
+
+    if (problems.length > 0) {
+      errors.push({ line, message: problems.join(', ') });
+      return;
+    }
+
+    cards.push({
+      line,
+      column,
+      title,
+      description: cell(fields, 'description'),
+      priority: priority || null,
+      dueDate,
+      labelNames: cell(fields, 'labels')
+        .split(LABEL_SEPARATOR)
+        .map(name => name.trim())
+        .filter(Boolean)
+    });
+  });
+
+  return { cards, errors };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Find the rows that would take their column over its WIP limit
+ * @param {CsvCardRow[]} cards - Parsed rows, in file order
+ * @param {Object<string, string>} columnTargets - Column ID, or NEW_COLUMN, per column title
+ * @param {Array} columns - Columns of the board
+ * @param {Object<string, number>} cardCounts - Cards already in each column, by column ID
+ * @returns {Array<{line: number, message: string}>} Rows over a limit
+ */
+export const findRowsOverWipLimit = (cards, columnTargets, columns, cardCounts) => {
+  const counts = { ...cardCounts };
+  const overLimit = [];
+
+  cards.forEach(card => {
+    const column = columns.find(c => c.id === columnTargets[card.column]);
+    if (!column?.cardLimit) return;
+
+    counts[column.id] = (counts[column.id] || 0) + 1;
+    if (counts[column.id] > column.cardLimit) {
+      overLimit.push({ line: card.line, message: `"${column.title}" has a WIP limit of ${column.cardLimit}` });
+    }
+  });
+
+  return overLimit;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Import parsed rows into a board in one transaction. Columns mapped to
+ * NEW_COLUMN are added to the end of the board, labels are matched by name
+ * and created when missing, and cards go after the existing ones in their column.
+ * @param {Object} options - Import options
+ * @param {string} options.boardId - Board receiving the cards
+ * @param {CsvCardRow[]} options.cards - Rows to import
+ * @param {Object<string, string>} options.columnTargets - Column ID, or NEW_COLUMN, per column title
+ * @returns {Promise<{board: Object|null, columns: Object[], labels: Object[], cards: Object[]}>}
+ *   Created records, and the board when its column order changed
+ * @throws {StorageError} When the board no longer exists or the transaction fails; nothing was imported
+ */
+export const importCardRows = async ({ boardId, cards, columnTargets }) => {
+  let result;
+
+  await runTransactionInIndexedDB(['boards', 'columns', 'labels', 'cards'], async (tables) => {
+    const board = await tables.boards.get(boardId);
+    if (!board) {
+      throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Board not found');
+    }
+    result = { board: null, columns: [], labels: [], cards: [] };
+
+    const activeColumns = (await tables.columns.where('boardId').equals(boardId).toArray())
+      .filter(column => !column.archived);
+    const columnIdsByTitle = {};
+    Object.entries(columnTargets).forEach(([title, target]) => {
+      if (target !== NEW_COLUMN) {
+        columnIdsByTitle[title] = target;
+        return;
+      }
+      const column = buildColumn({
+        boardId,
+        title,
+        position: activeColumns.length + result.columns.length
+      });
+      result.columns.push(column);
+      columnIdsByTitle[title] = column.id;
+    });
+    if (result.columns.length > 0) {
+      result.board = {
+        ...board,
+        columnOrder: [...(board.columnOrder || []), ...result.columns.map(c => c.id)],
+        updatedAt: Date.now()
+      };
+    }
+
+    // Match labels by name, creating the ones the board doesn't have yet
+    const boardLabels = await tables.labels.where('boardId').equals(boardId).toArray();
+    const labelsByName = new Map(boardLabels.map(l => [l.name.toLowerCase(), l]));
+    cards.flatMap(card => card.labelNames).forEach(name => {
+      if (labelsByName.has(name.toLowerCase())) return;
+      const label = buildLabel({
+        boardId,
+        name,
+        color: LABEL_COLORS[labelsByName.size % LABEL_COLORS.length]
+      });
+      result.labels.push(label);
+      labelsByName.set(name.toLowerCase(), label);
+    });
+
+    // Append imported cards after the existing ones in each column
+    const targetColumnIds = [...new Set(Object.values(columnIdsByTitle))];
+    const nextPositions = {};
+    (await tables.cards.where('columnId').anyOf(targetColumnIds).toArray())
+      .filter(card => !card.archived)
+      .forEach(card => {
+        nextPositions[card.columnId] = (nextPositions[card.columnId] || 0) + 1;
+      });
+    result.cards = cards.map(card => {
+      const columnId = columnIdsByTitle[card.column];
+      const position = nextPositions[columnId] || 0;
+      nextPositions[columnId] = position + 1;
+      return buildCard({
+        columnId,
+        title: card.title,
+        description: card.description,
+        priority: card.priority,
+        dueDate: card.dueDate,
+        labelIds: card.labelNames.map(name => labelsByName.get(name.toLowerCase()).id),
+        position
+      });
+    });
+
+    await tables.columns.bulkPut(result.columns);
+    await tables.labels.bulkPut(result.labels);
+    await tables.cards.bulkPut(result.cards);
+    if (result.board) {
+      await tables.boards.put(result.board);
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,41 @@
+import { buildCardsCsv, readCsvTable, detectFieldMapping, parseCardRows } from './cardCsv';
+
+const now = Date.now();
+const column = { id: 'column', title: '@Doing', position: 0 };
+const card = (id, title, description = '') => ({
+  id,
+  columnId: 'column',
+  title,
+  description,
+  position: 0,
+  labelIds: [],
+  createdAt: now,
+  updatedAt: now
+});
+
+test('exports text a spreadsheet would run as a formula with a leading apostrophe', () => {
+  const cards = [
+    card('sum', '=SUM(A1:A9)', '+1 call'),
+    card('cmd', '-2+3', '\tindented'),
+    card('plain', 'Plan launch', 'A - B')
+  ];
+  const { rows } = readCsvTable(buildCardsCsv({ columns: [column], cards, labels: [] }));
+
+  expect(rows.map(row => row.fields.slice(0, 3))).toEqual([
+    ["'@Doing", "'=SUM(A1:A9)", "'+1 call"],
+    ["'@Doing", "'-2+3", "'\tindented"],
+    ["'@Doing", 'Plan launch', 'A - B']
+  ]);
+});
+
+test('reads escaped values back as they were written', () => {
+  const cards = [card('sum', '=SUM(A1:A9)', '@mention'), card('quoted', "'quoted'")];
+  const { headers, rows } = readCsvTable(buildCardsCsv({ columns: [column], cards, labels: [] }));
+  const { cards: parsed } = parseCardRows(rows, detectFieldMapping(headers));
+
+  expect(parsed.map(({ column: title, title: cardTitle, description }) => [title, cardTitle, description]))
+    .toEqual([
+      ['@Doing', '=SUM(A1:A9)', '@mention'],
+      ['@Doing', "'quoted'", '']
+    ]);
+});
@@ -0,0 +1,149 @@
+import { startOfDay, startOfWeek, endOfWeek, subDays } from 'date-fns';
+import { loadSetting, saveSetting } from './settings';
+
+// PUBLIC_INTERFACE
+/**
+ * Card filter type definition. Values within a field are alternatives (OR),
+ * different fields must all match (AND).
+ * @typedef {Object} CardFilter
+ * @property {string[]} priorities - Priorities to keep
+ * @property {string[]} labelIds - Label IDs to keep
+ * @property {string|null} due - Due date range key (see DUE_RANGES)
+ * @property {string|null} created - Creation range key (see AGE_RANGES)
+ * @property {string|null} updated - Last update range key (see AGE_RANGES)
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Filter that keeps every card
+ * @type {CardFilter}
+ */
+export const EMPTY_FILTER = {
+  priorities: [],
+  labelIds: [],
+  due: null,
+  created: null,
+  updated: null
+};
+
+// Due date ranges offered by the filter bar
+export const DUE_RANGES = [
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'this-week', label: 'Due this week' },
+  { value: 'no-date', label: 'No due date' }
+];
+
+// Created/updated ranges offered by the filter bar, in days including today
+export const AGE_RANGES = [
+  { value: 'today', label: 'Today', days: 1 },
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 }
+];
+
+/**
+ * Settings key holding a board's filter
+ * @param {string} boardId - Board ID
+ * @returns {string} Settings key
+ */
+const filterKey = (boardId) => `boardFilter:${boardId}`;
+
+/**
+ * Whether a timestamp falls inside an age range ending now
+ * @param {number} timestamp - Timestamp to test
+ * @param {string} rangeKey - AGE_RANGES value
+ * @param {Date} now - Reference date
+ * @returns {boolean} True when inside the range
+ */
+const isWithinAgeRange = (timestamp, rangeKey, now) => {
+  const range = AGE_RANGES.find(r => r.value === rangeKey);
+  if (!range) return true;
+  return timestamp >= startOfDay(subDays(now, range.days - 1)).getTime();
+};
+
+/**
+ * Whether a due date matches a due range
+ * @param {number|null} dueDate - Due date timestamp
+ * @param {string} rangeKey - DUE_RANGES value
+ * @param {Object} options - Match options
+ * @param {boolean} options.isDone - The card sits in a done column
+ * @param {Date} options.now - Reference date
+ * @returns {boolean} True when the due date matches
+ */
+const matchesDueRange = (dueDate, rangeKey, { isDone, now }) => {
+  switch (rangeKey) {
+    case 'overdue':
+      return Boolean(dueDate) && !isDone && dueDate < startOfDay(now).getTime();
+    case 'this-week':
+      return Boolean(dueDate)
+        && dueDate >= startOfWeek(now, { weekStartsOn: 1 }).getTime()
+        && dueDate <= endOfWeek(now, { weekStartsOn: 1 }).getTime();
+    case 'no-date':
+      return !dueDate;
+    default:
+      return true;
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a filter restricts anything
+ * @param {CardFilter} filter - Filter to inspect
+ * @returns {boolean} True when at least one field is set
+ */
+export const isFilterActive = (filter) => {
+  return filter.priorities.length > 0
+    || filter.labelIds.length > 0
+    || Boolean(filter.due || filter.created || filter.updated);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Test a card against a filter
+ * @param {Object} card - Card data object
+ * @param {CardFilter} filter - Filter to apply
+ * @param {Object} [options] - Match options
+ * @param {boolean} [options.isDone=false] - The card sits in a done column, so it is never overdue
+ * @param {Date} [options.now=new Date()] - Reference date
+ * @returns {boolean} True when the card passes every active field
+ */
+export const matchesFilter = (card, filter, { isDone = false, now = new Date() } = {}) => {
+  if (filter.priorities.length > 0 && !filter.priorities.includes(card.priority)) {
+    return false;
+  }
+  if (filter.labelIds.length > 0 && !filter.labelIds.some(id => (card.labelIds || []).includes(id))) {
+    return false;
+  }
+  if (filter.due && !matchesDueRange(card.dueDate, filter.due, { isDone, now })) {
+    return false;
+  }
+  if (filter.created && !isWithinAgeRange(card.createdAt, filter.created, now)) {
+    return false;
+  }
+  if (filter.updated && !isWithinAgeRange(card.updatedAt, filter.updated, now)) {
+    return false;
+  }
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load the filter saved for a board
+ * @param {string} boardId - Board ID
+ * @returns {Promise<CardFilter>} Saved filter, or EMPTY_FILTER
+ */
+export const loadBoardFilter = async (boardId) => {
+  const saved = await loadSetting(filterKey(boardId));
+  // Merge so filters saved before a field existed still have every key
+  return { ...EMPTY_FILTER, ...saved };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save a board's filter
+ * @param {string} boardId - Board ID
+ * @param {CardFilter} filter - Filter to save
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveBoardFilter = async (boardId, filter) => {
+  return await saveSetting(filterKey(boardId), filter);
+};
@@ -1,4 +1,12 @@
-import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../utils/storage';
+import {
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  loadAllFromIndexedDB,
+  loadAnyOfFromIndexedDB,
+  runTransactionInIndexedDB,
+  StorageError,
+  STORAGE_ERROR_CODES
+} from '../utils/storage';
 
 // PUBLIC_INTERFACE
 /**
@@ -11,10 +19,45 @@ import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../u
  * @property {number} position - Sort order within column
  * @property {string|null} priority - Priority level ('low' | 'medium' | 'high' | 'critical')
  * @property {number|null} dueDate - Due date timestamp
+ * @property {string[]} labelIds - IDs of board labels attached to the card
+ * @property {Object[]} checklists - Named checklists with ordered items (see state/checklists.js)
+ * @property {number} archived - 1 when archived, 0 otherwise
+ * @property {number|null} archivedAt - Archive timestamp
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
  */
 
+// Valid card priorities, lowest first
+export const CARD_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// PUBLIC_INTERFACE
+/**
+ * Step a priority up or down one level. Stepping below 'low' clears it and
+ * stepping above 'critical' keeps it there.
+ * @param {string|null} priority - Current priority
+ * @param {number} step - +1 to raise, -1 to lower
+ * @returns {string|null} New priority
+ */
+export const bumpPriority = (priority, step) => {
+  const index = CARD_PRIORITIES.indexOf(priority) + step;
+  if (index < 0) return null;
+  return CARD_PRIORITIES[Math.min(index, CARD_PRIORITIES.length - 1)];
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Order cards by priority, most urgent first. Cards without a priority go
+ * last and ties keep their manual position.
+ * @param {Card[]} cards - Cards to sort
+ * @returns {Card[]} New sorted array
+ */
+export const sortCardsByPriority = (cards) => {
+  return [...cards].sort((a, b) => {
+    const rankDiff = CARD_PRIORITIES.indexOf(b.priority) - CARD_PRIORITIES.indexOf(a.priority);
+    return rankDiff || a.position - b.position;
+  });
+};
+
 // PUBLIC_INTERFACE
 /**
  * Generate unique ID
@@ -26,22 +69,36 @@ const generateId = () => {
 
 // PUBLIC_INTERFACE
 /**
- * Create a new card
+ * Build a new card without saving it
  * @param {Object} cardData - Card data
- * @returns {Promise<Card>} Created card object
+ * @returns {Card} Card object
  */
-export const createCard = async (cardData) => {
-  const card = {
+export const buildCard = (cardData) => {
+  return {
     id: generateId(),
     columnId: cardData.columnId,
     title: cardData.title || 'Untitled Card',
     description: cardData.description || '',
     position: cardData.position || 0,
-    priority: null,
-    dueDate: null,
+    priority: cardData.priority || null,
+    dueDate: cardData.dueDate || null,
+    labelIds: cardData.labelIds || [],
+    checklists: cardData.checklists || [],
+    archived: 0,
+    archivedAt: null,
     createdAt: Date.now(),
     updatedAt: Date.now()
   };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a new card
+ * @param {Object} cardData - Card data
+ * @returns {Promise<Card>} Created card object
+ */
+export const createCard = async (cardData) => {
+  const card = buildCard(cardData);
   
   await saveToIndexedDB('cards', card);
   return card;
@@ -49,45 +106,138 @@ export const createCard = async (cardData) => {
 
 // PUBLIC_INTERFACE
 /**
- * Update an existing card
+ * Update an existing card. When `updates` carries the updatedAt of the version
+ * the edit started from, saving over a newer version (e.g. one saved in another
+ * tab) is refused unless `overwrite` is set.
  * @param {string} cardId - Card ID to update
  * @param {Object} updates - Updated card data
+ * @param {Object} [options] - Update options
+ * @param {boolean} [options.overwrite=false] - Save even if a newer version is stored
  * @returns {Promise<Card>} Updated card object
+ * @throws {StorageError} With code 'conflict' when a newer version is stored
  */
-export const updateCard = async (cardId, updates) => {
+export const updateCard = async (cardId, updates, { overwrite = false } = {}) => {
   const updatedCard = { 
     ...updates, 
     id: cardId, 
     updatedAt: Date.now() 
   };
   
-  await saveToIndexedDB('cards', updatedCard);
+  await runTransactionInIndexedDB(['cards'], async ({ cards }) => {
+    const currentCard = await cards.get(cardId);
+    if (!overwrite && currentCard && updates.updatedAt && currentCard.updatedAt > updates.updatedAt) {
+      throw new StorageError(STORAGE_ERROR_CODES.CONFLICT);
+    }
+    await cards.put(updatedCard);
+  });
   return updatedCard;
 };
 
 // PUBLIC_INTERFACE
 /**
- * Delete a card
+ * Delete a card along with its attachments
  * @param {string} cardId - Card ID to delete
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {StorageError} When the transaction fails; nothing was deleted
  */
 export const deleteCard = async (cardId) => {
-  return await deleteFromIndexedDB('cards', cardId);
+  await runTransactionInIndexedDB(['cards', 'attachments'], async ({ cards, attachments }) => {
+    await attachments.where('cardId').equals(cardId).delete();
+    await cards.delete(cardId);
+  });
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Archive a card, hiding it from its column
+ * @param {string} cardId - Card ID to archive
+ * @returns {Promise<Card>} Updated card object
+ */
+export const archiveCard = async (cardId) => {
+  const card = await loadCard(cardId);
+  if (!card) {
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Card not found');
+  }
+
+  const updatedCard = {
+    ...card,
+    archived: 1,
+    archivedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await saveToIndexedDB('cards', updatedCard);
+  return updatedCard;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Restore an archived card to the bottom of its column
+ * @param {string} cardId - Card ID to restore
+ * @returns {Promise<Card>} Updated card object
+ */
+export const restoreCard = async (cardId) => {
+  const card = await loadCard(cardId);
+  if (!card) {
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Card not found');
+  }
+
+  const columnCards = await loadCards(card.columnId);
+  const updatedCard = {
+    ...card,
+    archived: 0,
+    archivedAt: null,
+    position: columnCards.length,
+    updatedAt: Date.now()
+  };
+
+  await saveToIndexedDB('cards', updatedCard);
+  return updatedCard;
 };
 
 // PUBLIC_INTERFACE
 /**
  * Load all cards for a column
  * @param {string} columnId - Column ID
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeArchived=false] - Also return archived cards
  * @returns {Promise<Card[]>} Array of cards
  */
-export const loadCards = async (columnId) => {
-  const allCards = await loadAllFromIndexedDB('cards');
-  return allCards
-    .filter(card => card.columnId === columnId)
+export const loadCards = async (columnId, { includeArchived = false } = {}) => {
+  const cards = await loadAllFromIndexedDB('cards', { columnId });
+  return cards
+    .filter(card => includeArchived || !card.archived)
     .sort((a, b) => a.position - b.position);
 };
 
+// PUBLIC_INTERFACE
+/**
+ * Load the cards of several columns in one indexed query, e.g. a whole board
+ * @param {string[]} columnIds - Column IDs
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeArchived=false] - Also return archived cards
+ * @returns {Promise<Card[]>} Array of cards, ordered by position within each column
+ */
+export const loadCardsForColumns = async (columnIds, { includeArchived = false } = {}) => {
+  if (columnIds.length === 0) return [];
+
+  const cards = await loadAnyOfFromIndexedDB('cards', 'columnId', columnIds);
+  return cards
+    .filter(card => includeArchived || !card.archived)
+    .sort((a, b) => a.position - b.position);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load archived cards across all boards using the `archived` index
+ * @returns {Promise<Card[]>} Array of archived cards, most recently archived first
+ */
+export const loadArchivedCards = async () => {
+  const archivedCards = await loadAllFromIndexedDB('cards', { archived: 1 });
+  return archivedCards.sort((a, b) => b.archivedAt - a.archivedAt);
+};
+
 // PUBLIC_INTERFACE
 /**
  * Load a single card
@@ -95,8 +245,7 @@ export const loadCards = async (columnId) => {
  * @returns {Promise<Card|null>} Card object or null
  */
 export const loadCard = async (cardId) => {
-  const cards = await loadAllFromIndexedDB('cards');
-  return cards.find(c => c.id === cardId) || null;
+  return (await loadFromIndexedDB('cards', cardId)) || null;
 };
 
 // PUBLIC_INTERFACE
@@ -121,3 +270,42 @@ export const moveCard = async (cardId, targetColumnId, position) => {
   await saveToIndexedDB('cards', updatedCard);
   return updatedCard;
 };
+
+// PUBLIC_INTERFACE
+/**
+ * Card move type definition
+ * @typedef {Object} CardMove
+ * @property {string} cardId - Card to move
+ * @property {string} columnId - Column the card ends up in
+ * @property {number} position - New position within that column
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Apply several card moves atomically, e.g. every position change caused by
+ * one drag and drop. Either all moves are stored or none are.
+ * @param {CardMove[]} moves - Moves to apply
+ * @returns {Promise<Card[]>} Updated cards, in the order of the moves
+ * @throws {StorageError} When a card no longer exists or the transaction fails
+ */
+export const moveCards = async (moves) => {
+  const now = Date.now();
+  let movedCards = [];
+
+  await runTransactionInIndexedDB(['cards'], async ({ cards }) => {
+    const currentCards = await cards.bulkGet(moves.map(move => move.cardId));
+    if (currentCards.some(card => !card)) {
+      throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Card not found');
+    }
+
+    movedCards = currentCards.map((card, index) => ({
+      ...card,
+      columnId: moves[index].columnId,
+      position: moves[index].position,
+      updatedAt: now
+    }));
+    await cards.bulkPut(movedCards);
+  });
+
+  return movedCards;
+};
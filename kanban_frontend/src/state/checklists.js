@@ -0,0 +1,89 @@
+// Checklists are stored inside their card record, so these helpers are pure
+// and the result is persisted through cardActions.updateCard.
+
+// PUBLIC_INTERFACE
+/**
+ * Checklist item entity type definition
+ * @typedef {Object} ChecklistItem
+ * @property {string} id - Unique item identifier
+ * @property {string} text - Item text
+ * @property {boolean} completed - Completion state
+ * @property {number} position - Sort order within the checklist
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Checklist entity type definition
+ * @typedef {Object} Checklist
+ * @property {string} id - Unique checklist identifier
+ * @property {string} title - Checklist name
+ * @property {ChecklistItem[]} items - Items ordered by position
+ */
+
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create an empty checklist
+ * @param {string} title - Checklist name
+ * @returns {Checklist} New checklist
+ */
+export const createChecklist = (title) => {
+  return {
+    id: generateId(),
+    title: title || 'Checklist',
+    items: []
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a checklist item
+ * @param {string} text - Item text
+ * @param {number} position - Sort order within the checklist
+ * @param {boolean} [completed=false] - Completion state
+ * @returns {ChecklistItem} New item
+ */
+export const createChecklistItem = (text, position, completed = false) => {
+  return {
+    id: generateId(),
+    text,
+    completed,
+    position
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Move an item within a checklist and renumber positions
+ * @param {ChecklistItem[]} items - Items in their current order
+ * @param {number} fromIndex - Current index of the item
+ * @param {number} toIndex - Target index
+ * @returns {ChecklistItem[]} Reordered items
+ */
+export const reorderChecklistItems = (items, fromIndex, toIndex) => {
+  const reordered = [...items];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+  return reordered.map((item, position) => ({ ...item, position }));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Count completed and total items across all of a card's checklists
+ * @param {Object} card - Card data object
+ * @returns {{completed: number, total: number}} Checklist progress
+ */
+export const getChecklistProgress = (card) => {
+  const items = (card.checklists || []).flatMap(checklist => checklist.items);
+  return {
+    completed: items.filter(item => item.completed).length,
+    total: items.length
+  };
+};
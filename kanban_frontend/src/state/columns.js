@@ -1,4 +1,11 @@
-import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../utils/storage';
+import {
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  loadAllFromIndexedDB,
+  runTransactionInIndexedDB,
+  StorageError,
+  STORAGE_ERROR_CODES
+} from '../utils/storage';
 
 // PUBLIC_INTERFACE
 /**
@@ -11,6 +18,10 @@ import { saveToIndexedDB, deleteFromIndexedDB, loadAllFromIndexedDB } from '../u
  * @property {number} position - Sort order within board
  * @property {string|null} color - Optional header color
  * @property {number|null} cardLimit - WIP limit (null = unlimited)
+ * @property {string} sortMode - Card order shown in the column ('manual' | 'priority'); positions are never rewritten by sorting
+ * @property {boolean} isDone - Cards in this column count as done, which silences due date warnings
+ * @property {number} archived - 1 when archived, 0 otherwise
+ * @property {number|null} archivedAt - Archive timestamp
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
  */
@@ -26,12 +37,12 @@ const generateId = () => {
 
 // PUBLIC_INTERFACE
 /**
- * Create a new column
+ * Build a new column without saving it
  * @param {Object} columnData - Column data
- * @returns {Promise<Column>} Created column object
+ * @returns {Column} Column object
  */
-export const createColumn = async (columnData) => {
-  const column = {
+export const buildColumn = (columnData) => {
+  return {
     id: generateId(),
     boardId: columnData.boardId,
     title: columnData.title || 'Untitled Column',
@@ -39,9 +50,23 @@ export const createColumn = async (columnData) => {
     position: columnData.position || 0,
     color: null,
     cardLimit: null,
+    sortMode: 'manual',
+    isDone: false,
+    archived: 0,
+    archivedAt: null,
     createdAt: Date.now(),
     updatedAt: Date.now()
   };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a new column
+ * @param {Object} columnData - Column data
+ * @returns {Promise<Column>} Created column object
+ */
+export const createColumn = async (columnData) => {
+  const column = buildColumn(columnData);
   
   await saveToIndexedDB('columns', column);
   return column;
@@ -67,27 +92,153 @@ export const updateColumn = async (columnId, updates) => {
 
 // PUBLIC_INTERFACE
 /**
- * Delete a column
+ * Rewrite column positions and the board's columnOrder to match the given
+ * order, in one transaction so the two never disagree
+ * @param {string} boardId - Board the columns belong to
+ * @param {Column[]} orderedColumns - Columns in their new display order
+ * @returns {Promise<{updatedColumns: Column[], updatedBoard: Object}>} Columns with updated
+ *   positions and the board with the new columnOrder
+ * @throws {StorageError} When the board is missing or the transaction fails; nothing was written
+ */
+export const reorderColumns = async (boardId, orderedColumns) => {
+  const now = Date.now();
+  const updatedColumns = orderedColumns.map((column, index) => ({
+    ...column,
+    position: index,
+    updatedAt: now
+  }));
+  let updatedBoard = null;
+
+  await runTransactionInIndexedDB(['columns', 'boards'], async ({ columns, boards }) => {
+    const board = await boards.get(boardId);
+    if (!board) {
+      throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Board not found');
+    }
+
+    updatedBoard = {
+      ...board,
+      columnOrder: updatedColumns.map(c => c.id),
+      updatedAt: now
+    };
+    await columns.bulkPut(updatedColumns);
+    await boards.put(updatedBoard);
+  });
+
+  return { updatedColumns, updatedBoard };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a column together with its cards in one transaction
  * @param {string} columnId - Column ID to delete
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {StorageError} When the transaction fails; nothing was deleted
  */
 export const deleteColumn = async (columnId) => {
-  return await deleteFromIndexedDB('columns', columnId);
+  await runTransactionInIndexedDB(
+    ['columns', 'cards', 'attachments'],
+    async ({ columns, cards, attachments }) => {
+      const cardIds = await cards.where('columnId').equals(columnId).primaryKeys();
+      await attachments.where('cardId').anyOf(cardIds).delete();
+      await cards.bulkDelete(cardIds);
+      await columns.delete(columnId);
+    }
+  );
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Archive a column, hiding it and its cards from the board
+ * @param {string} columnId - Column ID to archive
+ * @returns {Promise<Column>} Updated column object
+ */
+export const archiveColumn = async (columnId) => {
+  const column = await loadColumn(columnId);
+  if (!column) {
+    throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Column not found');
+  }
+
+  const updatedColumn = {
+    ...column,
+    archived: 1,
+    archivedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await saveToIndexedDB('columns', updatedColumn);
+  return updatedColumn;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Restore an archived column to the end of its board, adding it to the end of
+ * the board's columnOrder in the same transaction
+ * @param {string} columnId - Column ID to restore
+ * @returns {Promise<{updatedColumn: Column, updatedBoard: Object|null}>} Restored column and
+ *   its board with the new columnOrder, or null when the board no longer exists
+ * @throws {StorageError} When the column is missing or the transaction fails; nothing was written
+ */
+export const restoreColumn = async (columnId) => {
+  const now = Date.now();
+  let updatedColumn = null;
+  let updatedBoard = null;
+
+  await runTransactionInIndexedDB(['columns', 'boards'], async ({ columns, boards }) => {
+    const column = await columns.get(columnId);
+    if (!column) {
+      throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Column not found');
+    }
+
+    const boardColumns = await columns.where('boardId').equals(column.boardId).toArray();
+    updatedColumn = {
+      ...column,
+      archived: 0,
+      archivedAt: null,
+      position: boardColumns.filter(c => !c.archived).length,
+      updatedAt: now
+    };
+    await columns.put(updatedColumn);
+
+    const board = await boards.get(column.boardId);
+    if (board) {
+      updatedBoard = {
+        ...board,
+        columnOrder: [...(board.columnOrder || []).filter(id => id !== columnId), columnId],
+        updatedAt: now
+      };
+      await boards.put(updatedBoard);
+    }
+  });
+
+  return { updatedColumn, updatedBoard };
 };
 
 // PUBLIC_INTERFACE
 /**
  * Load all columns for a board
  * @param {string} boardId - Board ID
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.includeArchived=false] - Also return archived columns
  * @returns {Promise<Column[]>} Array of columns
  */
-export const loadColumns = async (boardId) => {
-  const allColumns = await loadAllFromIndexedDB('columns');
-  return allColumns
-    .filter(col => col.boardId === boardId)
+export const loadColumns = async (boardId, { includeArchived = false } = {}) => {
+  const columns = await loadAllFromIndexedDB('columns', { boardId });
+  return columns
+    .filter(col => includeArchived || !col.archived)
     .sort((a, b) => a.position - b.position);
 };
 
+// PUBLIC_INTERFACE
+/**
+ * Load archived columns across all boards using the `archived` index
+ * @returns {Promise<Column[]>} Array of archived columns, most recently archived first
+ */
+export const loadArchivedColumns = async () => {
+  const archivedColumns = await loadAllFromIndexedDB('columns', { archived: 1 });
+  return archivedColumns.sort((a, b) => b.archivedAt - a.archivedAt);
+};
+
 // PUBLIC_INTERFACE
 /**
  * Load a single column
@@ -95,6 +246,5 @@ export const loadColumns = async (boardId) => {
  * @returns {Promise<Column|null>} Column object or null
  */
 export const loadColumn = async (columnId) => {
-  const columns = await loadAllFromIndexedDB('columns');
-  return columns.find(c => c.id === columnId) || null;
+  return (await loadFromIndexedDB('columns', columnId)) || null;
 };
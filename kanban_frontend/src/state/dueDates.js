@@ -0,0 +1,70 @@
+import { differenceInCalendarDays, format } from 'date-fns';
+
+// Due dates are stored as local-midnight timestamps, so comparisons work in
+// whole calendar days rather than elapsed hours.
+
+// Cards due within this many days (today included) count as due soon
+export const DUE_SOON_DAYS = 2;
+
+// PUBLIC_INTERFACE
+/**
+ * Due date state of a card
+ * @typedef {Object} DueStatus
+ * @property {string} state - 'done' | 'overdue' | 'due-soon' | 'upcoming'
+ * @property {string} label - Short relative text (e.g. 'in 2 days', 'overdue 3d')
+ * @property {string} title - Full date for tooltips (e.g. 'Due Mon, Nov 2, 2026')
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Describe a card's due date relative to today
+ * @param {number} dueDate - Due date timestamp
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.isDone=false] - The card sits in a done column
+ * @param {Date} [options.now=new Date()] - Reference date
+ * @returns {DueStatus} Due status
+ */
+export const getDueStatus = (dueDate, { isDone = false, now = new Date() } = {}) => {
+  const due = new Date(dueDate);
+  const days = differenceInCalendarDays(due, now);
+  const title = `Due ${format(due, 'EEE, MMM d, yyyy')}`;
+
+  if (isDone) {
+    return { state: 'done', label: format(due, 'MMM d'), title: `${title} · done` };
+  }
+  if (days < 0) {
+    return { state: 'overdue', label: `overdue ${-days}d`, title };
+  }
+
+  let label;
+  if (days === 0) {
+    label = 'due today';
+  } else if (days === 1) {
+    label = 'tomorrow';
+  } else if (days <= 14) {
+    label = `in ${days} days`;
+  } else {
+    label = format(due, days > 365 ? 'MMM d, yyyy' : 'MMM d');
+  }
+
+  return { state: days <= DUE_SOON_DAYS ? 'due-soon' : 'upcoming', label, title };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Order cards by due date, earliest first. Cards without a due date go last
+ * and ties keep their manual position.
+ * @param {Object[]} cards - Cards to sort
+ * @returns {Object[]} New sorted array
+ */
+export const sortCardsByDueDate = (cards) => {
+  return [...cards].sort((a, b) => {
+    if (a.dueDate && b.dueDate && a.dueDate !== b.dueDate) {
+      return a.dueDate - b.dueDate;
+    }
+    if (Boolean(a.dueDate) !== Boolean(b.dueDate)) {
+      return a.dueDate ? -1 : 1;
+    }
+    return a.position - b.position;
+  });
+};
@@ -0,0 +1,103 @@
+import { runTransactionInIndexedDB } from '../utils/storage';
+
+// PUBLIC_INTERFACE
+/**
+ * History operation type definition
+ * @typedef {Object} HistoryOperation
+ * @property {string} store - Object store name ('boards' | 'columns' | 'cards' | 'labels' | 'attachments')
+ * @property {string} type - 'put' writes a full record, 'delete' removes one by key
+ * @property {Object} [record] - Record to write for 'put' operations
+ * @property {string} [id] - Key to remove for 'delete' operations
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * History entry type definition
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique entry identifier
+ * @property {string} label - Human readable description (e.g. 'Card deleted')
+ * @property {boolean} notify - Whether an Undo toast should be offered
+ * @property {HistoryOperation[]} undo - Operations that revert the change
+ * @property {HistoryOperation[]} redo - Operations that re-apply the change
+ * @property {number} createdAt - Creation timestamp
+ */
+
+// Maximum number of entries kept on the undo stack
+export const MAX_HISTORY_ENTRIES = 50;
+
+// Stores whose records can be captured in history entries
+const HISTORY_STORES = ['boards', 'columns', 'cards', 'labels', 'attachments'];
+
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a history entry by diffing record snapshots taken before and after a change.
+ * Records only in `before` were deleted, records only in `after` were created and
+ * records in both were modified.
+ * @param {string} label - Human readable description of the change
+ * @param {Object} before - Records keyed by store name as they were before the change
+ * @param {Object} after - Records keyed by store name as they are after the change
+ * @param {Object} [options] - Entry options
+ * @param {boolean} [options.notify=false] - Offer an Undo toast for this entry
+ * @returns {HistoryEntry} History entry
+ */
+export const createHistoryEntry = (label, before, after, { notify = false } = {}) => {
+  const undo = [];
+  const redo = [];
+
+  HISTORY_STORES.forEach(store => {
+    const beforeById = new Map((before[store] || []).map(record => [record.id, record]));
+    const afterById = new Map((after[store] || []).map(record => [record.id, record]));
+
+    beforeById.forEach((record, id) => {
+      undo.push({ store, type: 'put', record });
+      if (!afterById.has(id)) {
+        redo.push({ store, type: 'delete', id });
+      }
+    });
+
+    afterById.forEach((record, id) => {
+      redo.push({ store, type: 'put', record });
+      if (!beforeById.has(id)) {
+        undo.push({ store, type: 'delete', id });
+      }
+    });
+  });
+
+  return {
+    id: generateId(),
+    label,
+    notify,
+    undo,
+    redo,
+    createdAt: Date.now()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Replay history operations against IndexedDB in a single transaction
+ * @param {HistoryOperation[]} operations - Operations to apply
+ * @returns {Promise<boolean>} Success status
+ */
+export const applyOperations = async (operations) => {
+  const storeNames = [...new Set(operations.map(op => op.store))];
+  if (storeNames.length === 0) return true;
+
+  return await runTransactionInIndexedDB(storeNames, async (tables) => {
+    for (const op of operations) {
+      if (op.type === 'delete') {
+        await tables[op.store].delete(op.id);
+      } else {
+        await tables[op.store].put(op.record);
+      }
+    }
+  });
+};
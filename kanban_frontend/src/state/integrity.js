@@ -0,0 +1,92 @@
+import { runTransactionInIndexedDB } from '../utils/storage';
+import { SCHEMA_VERSION } from '../utils/migrations';
+import { loadSetting } from './settings';
+
+// Settings key recording the schema version the last sweep ran under
+const ORPHAN_SWEEP_KEY = 'orphanSweepVersion';
+
+// PUBLIC_INTERFACE
+/**
+ * Orphan sweep result type definition
+ * @typedef {Object} OrphanSweepResult
+ * @property {number} columns - Columns removed because their board no longer exists
+ * @property {number} cards - Cards removed because their column no longer exists
+ * @property {number} labels - Labels removed because their board no longer exists
+ * @property {number} attachments - Attachments removed because their card no longer exists
+ * @property {number} searchIndex - Search index entries removed because their card no longer exists
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Remove columns, cards, labels, attachments and search index entries whose
+ * parent no longer exists. Deletes cascade in one transaction, so orphans only
+ * come from data written by older versions: the sweep reads every store once
+ * per schema version and is skipped on later starts. Runs in one transaction
+ * so a partial sweep never leaves new orphans behind.
+ * @returns {Promise<OrphanSweepResult|null>} Removed counts, or null if the sweep already ran
+ *   for this schema version or failed
+ */
+export const removeOrphans = async () => {
+  const removed = { columns: 0, cards: 0, labels: 0, attachments: 0, searchIndex: 0 };
+
+  try {
+    if ((await loadSetting(ORPHAN_SWEEP_KEY)) === SCHEMA_VERSION) {
+      return null;
+    }
+
+    await runTransactionInIndexedDB(
+      ['boards', 'columns', 'cards', 'labels', 'attachments', 'searchIndex', 'settings'],
+      async ({ boards, columns, cards, labels, attachments, searchIndex, settings }) => {
+        const boardIds = new Set(await boards.toCollection().primaryKeys());
+
+        const allColumns = await columns.toArray();
+        const orphanColumnIds = allColumns
+          .filter(column => !boardIds.has(column.boardId))
+          .map(column => column.id);
+        const columnIds = new Set(
+          allColumns
+            .filter(column => boardIds.has(column.boardId))
+            .map(column => column.id)
+        );
+
+        const allCards = await cards.toArray();
+        const orphanCardIds = allCards
+          .filter(card => !columnIds.has(card.columnId))
+          .map(card => card.id);
+        const cardIds = new Set(
+          allCards
+            .filter(card => columnIds.has(card.columnId))
+            .map(card => card.id)
+        );
+        const orphanLabelIds = await labels
+          .filter(label => !boardIds.has(label.boardId))
+          .primaryKeys();
+        const orphanAttachmentIds = await attachments
+          .filter(attachment => !cardIds.has(attachment.cardId))
+          .primaryKeys();
+        const orphanIndexIds = (await searchIndex.toCollection().primaryKeys())
+          .filter(cardId => !cardIds.has(cardId));
+
+        await columns.bulkDelete(orphanColumnIds);
+        await cards.bulkDelete(orphanCardIds);
+        await labels.bulkDelete(orphanLabelIds);
+        await attachments.bulkDelete(orphanAttachmentIds);
+        await searchIndex.bulkDelete(orphanIndexIds);
+
+        removed.columns = orphanColumnIds.length;
+        removed.cards = orphanCardIds.length;
+        removed.labels = orphanLabelIds.length;
+        removed.attachments = orphanAttachmentIds.length;
+        removed.searchIndex = orphanIndexIds.length;
+
+        await settings.put({ key: ORPHAN_SWEEP_KEY, value: SCHEMA_VERSION, updatedAt: Date.now() });
+      }
+    );
+  } catch (error) {
+    // A failed sweep is retried on the next start
+    console.error('Error removing orphaned records:', error);
+    return null;
+  }
+
+  return removed;
+};
@@ -0,0 +1,27 @@
+import 'fake-indexeddb/auto';
+import { initIndexedDB, bulkSaveToIndexedDB, loadAllFromIndexedDB, saveToIndexedDB } from '../utils/storage';
+import { removeOrphans } from './integrity';
+
+beforeAll(async () => {
+  await initIndexedDB();
+});
+
+test('sweeps orphans once per schema version', async () => {
+  await saveToIndexedDB('boards', { id: 'board', title: 'Board', archived: 0 });
+  await bulkSaveToIndexedDB('columns', [
+    { id: 'column', boardId: 'board', title: 'Kept', archived: 0 },
+    { id: 'orphan-column', boardId: 'deleted-board', title: 'Orphan', archived: 0 }
+  ]);
+  await bulkSaveToIndexedDB('cards', [
+    { id: 'card', columnId: 'column', title: 'Kept', archived: 0 },
+    { id: 'orphan-card', columnId: 'orphan-column', title: 'Orphan', archived: 0 }
+  ]);
+
+  expect(await removeOrphans()).toMatchObject({ columns: 1, cards: 1 });
+  expect((await loadAllFromIndexedDB('cards')).map(card => card.id)).toEqual(['card']);
+
+  // Later starts skip the full read
+  await saveToIndexedDB('cards', { id: 'later-orphan', columnId: 'orphan-column', title: 'Orphan', archived: 0 });
+  expect(await removeOrphans()).toBeNull();
+  expect((await loadAllFromIndexedDB('cards')).map(card => card.id)).toEqual(['card', 'later-orphan']);
+});
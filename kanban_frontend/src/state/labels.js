@@ -0,0 +1,140 @@
+import {
+  saveToIndexedDB,
+  loadAllFromIndexedDB,
+  runTransactionInIndexedDB,
+  StorageError,
+  STORAGE_ERROR_CODES
+} from '../utils/storage';
+
+// PUBLIC_INTERFACE
+/**
+ * Label entity type definition
+ * @typedef {Object} Label
+ * @property {string} id - Unique label identifier
+ * @property {string} boardId - Parent board ID
+ * @property {string} name - Label text
+ * @property {string} color - Label hex color
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} updatedAt - Last update timestamp
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Preset label colors offered by the label manager
+ */
+export const LABEL_COLORS = [
+  '#EF4444',
+  '#F59E0B',
+  '#10B981',
+  '#3B82F6',
+  '#8B5CF6',
+  '#EC4899',
+  '#14B8A6',
+  '#6B7280'
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build a new label without saving it
+ * @param {Object} labelData - Label data
+ * @returns {Label} Label object
+ */
+export const buildLabel = (labelData) => {
+  return {
+    id: generateId(),
+    boardId: labelData.boardId,
+    name: labelData.name || 'Untitled Label',
+    color: labelData.color || LABEL_COLORS[0],
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a new label
+ * @param {Object} labelData - Label data
+ * @returns {Promise<Label>} Created label object
+ */
+export const createLabel = async (labelData) => {
+  const label = buildLabel(labelData);
+
+  await saveToIndexedDB('labels', label);
+  return label;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Update an existing label
+ * @param {string} labelId - Label ID to update
+ * @param {Object} updates - Updated label data
+ * @returns {Promise<Label>} Updated label object
+ */
+export const updateLabel = async (labelId, updates) => {
+  const updatedLabel = {
+    ...updates,
+    id: labelId,
+    updatedAt: Date.now()
+  };
+
+  await saveToIndexedDB('labels', updatedLabel);
+  return updatedLabel;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete a label and remove it from every card of its board in one transaction
+ * @param {string} labelId - Label ID to delete
+ * @returns {Promise<{labeledCards: Object[], updatedCards: Object[]}>} Cards the label was
+ *   removed from, before and after
+ * @throws {StorageError} When the label no longer exists or the transaction fails;
+ *   nothing was changed
+ */
+export const deleteLabel = async (labelId) => {
+  let labeledCards = [];
+  let updatedCards = [];
+  await runTransactionInIndexedDB(
+    ['labels', 'columns', 'cards'],
+    async ({ labels, columns, cards }) => {
+      const label = await labels.get(labelId);
+      if (!label) {
+        throw new StorageError(STORAGE_ERROR_CODES.NOT_FOUND, 'Label not found');
+      }
+
+      const columnIds = await columns.where('boardId').equals(label.boardId).primaryKeys();
+      labeledCards = (await cards.where('columnId').anyOf(columnIds).toArray())
+        .filter(card => card.labelIds?.includes(labelId));
+      const now = Date.now();
+      updatedCards = labeledCards.map(card => ({
+        ...card,
+        labelIds: card.labelIds.filter(id => id !== labelId),
+        updatedAt: now
+      }));
+
+      await cards.bulkPut(updatedCards);
+      await labels.delete(labelId);
+    }
+  );
+
+  return { labeledCards, updatedCards };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load all labels for a board
+ * @param {string} boardId - Board ID
+ * @returns {Promise<Label[]>} Array of labels
+ */
+export const loadLabels = async (boardId) => {
+  const labels = await loadAllFromIndexedDB('labels', { boardId });
+  return labels.sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,364 @@
+import {
+  loadAllFromIndexedDB,
+  addWriteHook,
+  subscribeToLocalChanges,
+  subscribeToRemoteChanges
+} from '../utils/storage';
+
+// Inverted index over the titles and descriptions of unarchived cards. Each
+// card's tokens are persisted in the 'searchIndex' store, written in the same
+// transaction as the card, so a cold load only reads them back. The token ->
+// cards postings used for lookups are kept in memory and follow the committed
+// index entries of this tab and the app's other tabs.
+
+// PUBLIC_INTERFACE
+/**
+ * Persisted index entry type definition
+ * @typedef {Object} SearchIndexEntry
+ * @property {string} cardId - Indexed card ID
+ * @property {number} updatedAt - Card updatedAt when it was indexed
+ * @property {number} hash - Hash of the indexed text, to skip re-indexing moves
+ * @property {Object<string, number>} weights - Token -> weight (title hits count more)
+ */
+
+// Weight of a token occurrence in the title and in the description
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+
+// Share of the weight a prefix match earns compared to a whole-token match
+const PREFIX_FACTOR = 0.5;
+
+// token -> Map(cardId -> weight)
+const postings = new Map();
+
+// cardId -> SearchIndexEntry
+const entries = new Map();
+
+// Sorted token list for prefix lookups, rebuilt lazily after changes
+let vocabulary = null;
+
+// Shared promise so the persisted index is read only once
+let loadPromise = null;
+
+// PUBLIC_INTERFACE
+/**
+ * Fold text for matching: lowercase with diacritics removed ('Café' -> 'cafe')
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export const normalizeText = (text) => {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Split text into folded word tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens in order, duplicates kept
+ */
+export const tokenize = (text) => {
+  return normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Text of a card that the index covers
+ * @param {Object} card - Card data object
+ * @returns {string} Title and description
+ */
+const indexedText = (card) => `${card.title || ''}\n${card.description || ''}`;
+
+/**
+ * Build the index entry for a card
+ * @param {Object} card - Card data object
+ * @returns {SearchIndexEntry} Index entry
+ */
+const buildEntry = (card) => {
+  const weights = {};
+  tokenize(card.title).forEach(token => {
+    weights[token] = (weights[token] || 0) + TITLE_WEIGHT;
+  });
+  tokenize(card.description).forEach(token => {
+    weights[token] = (weights[token] || 0) + DESCRIPTION_WEIGHT;
+  });
+
+  return {
+    cardId: card.id,
+    updatedAt: card.updatedAt,
+    hash: hashText(indexedText(card)),
+    weights
+  };
+};
+
+/**
+ * Drop a card from the in-memory postings
+ * @param {string} cardId - Card ID
+ */
+const forgetEntry = (cardId) => {
+  const entry = entries.get(cardId);
+  if (!entry) return;
+
+  Object.keys(entry.weights).forEach(token => {
+    const cards = postings.get(token);
+    cards.delete(cardId);
+    if (cards.size === 0) {
+      postings.delete(token);
+      vocabulary = null;
+    }
+  });
+  entries.delete(cardId);
+};
+
+/**
+ * Add an entry to the in-memory postings, replacing any previous one
+ * @param {SearchIndexEntry} entry - Index entry
+ */
+const rememberEntry = (entry) => {
+  forgetEntry(entry.cardId);
+
+  Object.entries(entry.weights).forEach(([token, weight]) => {
+    if (!postings.has(token)) {
+      postings.set(token, new Map());
+      vocabulary = null;
+    }
+    postings.get(token).set(entry.cardId, weight);
+  });
+  entries.set(entry.cardId, entry);
+};
+
+/**
+ * Whether a card's entry matches its current text
+ * @param {Object} card - Card data object
+ * @param {SearchIndexEntry|undefined} entry - Index entry
+ * @returns {boolean} True when the entry can be used for the card
+ */
+const isCurrentEntry = (card, entry) => {
+  if (!entry) return false;
+  // Moves and priority changes bump updatedAt without touching the text
+  return entry.updatedAt === card.updatedAt || entry.hash === hashText(indexedText(card));
+};
+
+/**
+ * Write the index entries of the cards a write changes. Runs as a write hook,
+ * inside the transaction that writes the cards, so the stored index never
+ * lags behind them. Archived and deleted cards leave the index.
+ * @param {import('../utils/storage').StorageChange[]} changes - Changes of the write
+ * @param {Object} tables - The write's searchIndex table
+ * @returns {Promise<void>}
+ */
+const writeIndexEntries = async (changes, { searchIndex }) => {
+  const indexed = new Map();
+  const removed = new Set();
+  let cleared = false;
+
+  changes
+    .filter(change => change.store === 'cards')
+    .forEach(change => {
+      if (change.type === 'clear') {
+        cleared = true;
+        indexed.clear();
+        removed.clear();
+      } else if (change.type === 'delete' || change.record.archived) {
+        const cardId = change.type === 'delete' ? change.id : change.record.id;
+        indexed.delete(cardId);
+        removed.add(cardId);
+      } else {
+        removed.delete(change.record.id);
+        indexed.set(change.record.id, buildEntry(change.record));
+      }
+    });
+
+  if (cleared) await searchIndex.clear();
+  if (removed.size > 0) await searchIndex.bulkDelete([...removed]);
+  if (indexed.size === 0) return;
+
+  // Leave entries whose text didn't change alone
+  const stored = await searchIndex.bulkGet([...indexed.keys()]);
+  const changed = [...indexed.values()].filter((entry, i) => stored[i]?.hash !== entry.hash);
+  if (changed.length > 0) await searchIndex.bulkPut(changed);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read the persisted index into memory. Safe to call repeatedly.
+ * @returns {Promise<void>}
+ */
+export const loadSearchIndex = () => {
+  if (!loadPromise) {
+    loadPromise = loadAllFromIndexedDB('searchIndex')
+      .then(saved => {
+        // Cards indexed before the load finished are newer than the stored copy
+        saved
+          .filter(entry => !entries.has(entry.cardId))
+          .forEach(rememberEntry);
+      })
+      .catch(error => {
+        // Searching still works: unindexed cards are matched from their text
+        console.error('Error loading search index:', error);
+      });
+  }
+  return loadPromise;
+};
+
+/**
+ * Apply committed index entries to the in-memory postings
+ * @param {import('../utils/storage').StorageChange[]} changes - Committed changes, from this tab
+ *   or another one
+ */
+const applySearchIndexChanges = (changes) => {
+  changes
+    .filter(change => change.store === 'searchIndex')
+    .forEach(change => {
+      if (change.type === 'put') {
+        rememberEntry(change.record);
+      } else if (change.type === 'delete') {
+        forgetEntry(change.id);
+      } else if (change.type === 'clear') {
+        [...entries.keys()].forEach(forgetEntry);
+      }
+    });
+};
+
+addWriteHook({ watches: ['cards'], stores: ['searchIndex'], onWrite: writeIndexEntries });
+subscribeToLocalChanges(applySearchIndexChanges);
+subscribeToRemoteChanges(applySearchIndexChanges);
+
+/**
+ * Binary search for the first vocabulary token not below a prefix
+ * @param {string[]} tokens - Sorted tokens
+ * @param {string} prefix - Prefix to look for
+ * @returns {number} Insertion index
+ */
+const lowerBound = (tokens, prefix) => {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (tokens[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Cards containing a token, or a token starting with it
+ * @param {string} token - Folded query token
+ * @param {Map<string, SearchIndexEntry>} unindexed - Entries built for cards the index
+ *   doesn't cover yet; their postings, if any, are out of date
+ * @returns {Map<string, number>} Card ID -> best weight
+ */
+const lookupToken = (token, unindexed) => {
+  if (!vocabulary) {
+    vocabulary = [...postings.keys()].sort();
+  }
+
+  const scores = new Map();
+  const score = (cardId, candidate, weight) => {
+    const factor = candidate === token ? 1 : PREFIX_FACTOR;
+    scores.set(cardId, Math.max(scores.get(cardId) || 0, weight * factor));
+  };
+
+  for (let i = lowerBound(vocabulary, token); i < vocabulary.length; i++) {
+    const candidate = vocabulary[i];
+    if (!candidate.startsWith(token)) break;
+
+    postings.get(candidate).forEach((weight, cardId) => {
+      if (!unindexed.has(cardId)) score(cardId, candidate, weight);
+    });
+  }
+  unindexed.forEach((entry, cardId) => {
+    Object.entries(entry.weights)
+      .filter(([candidate]) => candidate.startsWith(token))
+      .forEach(([candidate, weight]) => score(cardId, candidate, weight));
+  });
+  return scores;
+};
+
+/**
+ * Cards matching every token of a term, with the summed token scores
+ * @param {string[]} tokens - Folded term tokens
+ * @param {Map<string, SearchIndexEntry>} unindexed - Entries of cards the index doesn't cover
+ * @returns {Map<string, number>} Card ID -> score
+ */
+const lookupTerm = (tokens, unindexed) => {
+  return tokens.reduce((matches, token) => {
+    const tokenScores = lookupToken(token, unindexed);
+    if (matches === null) return tokenScores;
+
+    const combined = new Map();
+    matches.forEach((score, cardId) => {
+      if (tokenScores.has(cardId)) {
+        combined.set(cardId, score + tokenScores.get(cardId));
+      }
+    });
+    return combined;
+  }, null);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Rank cards against free-text search terms using the index. Every word of a
+ * term matches whole index tokens or their prefixes, ignoring case and
+ * diacritics; quoted phrases match whole words only, in order. Cards missing
+ * from the index or edited since are matched from their text. Reads only:
+ * the index is updated when cards are written.
+ * @param {Object[]} cards - Cards to search
+ * @param {import('./searchQuery').SearchTerm[]} terms - Free-text terms
+ * @returns {Map<string, number>} Card ID -> relevance score of every matching card
+ */
+export const rankCards = (cards, terms) => {
+  const cardsById = new Map(cards.map(card => [card.id, card]));
+  const unindexed = new Map(cards
+    .filter(card => !isCurrentEntry(card, entries.get(card.id)))
+    .map(card => [card.id, buildEntry(card)]));
+
+  let ranked = new Map(cards.map(card => [card.id, 0]));
+  terms.forEach(term => {
+    const tokens = tokenize(term.text);
+    // Terms made only of punctuation can't be looked up
+    if (tokens.length === 0) return;
+
+    const termMatches = lookupTerm(tokens, unindexed);
+    if (term.phrase) {
+      // Padded with spaces so the phrase can't end or start inside a word
+      const phrase = ` ${tokens.join(' ')} `;
+      termMatches.forEach((score, cardId) => {
+        const card = cardsById.get(cardId);
+        if (!card || !` ${tokenize(indexedText(card)).join(' ')} `.includes(phrase)) {
+          termMatches.delete(cardId);
+        }
+      });
+    }
+
+    const next = new Map();
+    ranked.forEach((score, cardId) => {
+      if (term.negated) {
+        if (!termMatches.has(cardId)) next.set(cardId, score);
+      } else if (termMatches.has(cardId)) {
+        next.set(cardId, score + termMatches.get(cardId));
+      }
+    });
+    ranked = next;
+  });
+
+  return ranked;
+};
@@ -0,0 +1,49 @@
+import 'fake-indexeddb/auto';
+import { initIndexedDB, loadFromIndexedDB, loadAllFromIndexedDB } from '../utils/storage';
+import { createCard, updateCard, archiveCard, restoreCard, deleteCard } from './cards';
+import { rankCards } from './searchIndex';
+
+const term = (text, { phrase = false, negated = false } = {}) => ({ text, phrase, negated });
+
+beforeAll(async () => {
+  await initIndexedDB();
+});
+
+test('writes index entries in the transaction that writes the card', async () => {
+  const card = await createCard({ columnId: 'column', title: 'Release notes' });
+  expect((await loadFromIndexedDB('searchIndex', card.id)).weights).toHaveProperty('release');
+
+  const renamed = await updateCard(card.id, { ...card, title: 'Changelog' });
+  expect(Object.keys((await loadFromIndexedDB('searchIndex', card.id)).weights)).toEqual(['changelog']);
+
+  await archiveCard(card.id);
+  expect(await loadFromIndexedDB('searchIndex', card.id)).toBeUndefined();
+
+  await restoreCard(card.id);
+  expect(await loadFromIndexedDB('searchIndex', card.id)).toBeDefined();
+
+  await deleteCard(renamed.id);
+  expect(await loadFromIndexedDB('searchIndex', card.id)).toBeUndefined();
+});
+
+test('ranks cards without writing to the index', async () => {
+  // Never saved, so missing from the index
+  const card = { id: 'unsaved', columnId: 'column', title: 'Budget review', updatedAt: Date.now() };
+  const before = await loadAllFromIndexedDB('searchIndex');
+
+  expect([...rankCards([card], [term('budg')]).keys()]).toEqual(['unsaved']);
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(await loadAllFromIndexedDB('searchIndex')).toEqual(before);
+});
+
+test('matches quoted terms as whole words only', async () => {
+  const plan = await createCard({ columnId: 'column', title: 'Plan the launch' });
+  const planning = await createCard({ columnId: 'column', title: 'Sprint planning' });
+  const cards = [plan, planning];
+
+  expect([...rankCards(cards, [term('plan')]).keys()].sort()).toEqual([plan.id, planning.id].sort());
+  expect([...rankCards(cards, [term('plan', { phrase: true })]).keys()]).toEqual([plan.id]);
+  expect([...rankCards(cards, [term('sprint plan', { phrase: true })]).keys()]).toEqual([]);
+  expect([...rankCards(cards, [term('the launch', { phrase: true })]).keys()]).toEqual([plan.id]);
+});
@@ -0,0 +1,282 @@
+import { differenceInCalendarDays } from 'date-fns';
+import { CARD_PRIORITIES } from './cards';
+import { getDueStatus } from './dueDates';
+import { normalizeText } from './searchIndex';
+
+// Search query language, e.g.
+//   priority:high label:bug due:<2026-11-01 is:overdue "exact phrase" -wontfix
+// Bare words and quoted phrases match card titles and descriptions, field
+// operators match card properties and a leading '-' negates either kind.
+
+// PUBLIC_INTERFACE
+/**
+ * Free-text search term
+ * @typedef {Object} SearchTerm
+ * @property {string} text - Lowercased text to look for
+ * @property {boolean} phrase - Written in double quotes
+ * @property {boolean} negated - Cards containing the text are excluded
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Field operator such as `priority:>=medium` or `due:<2026-11-01`
+ * @typedef {Object} SearchFilter
+ * @property {string} field - 'priority' | 'label' | 'due' | 'created' | 'updated' | 'is'
+ * @property {string} op - Comparison ('=' | '<' | '<=' | '>' | '>=')
+ * @property {*} value - Parsed value (priority rank, Date, label name or state)
+ * @property {boolean} negated - Matching cards are excluded
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Parsed search query
+ * @typedef {Object} ParsedSearchQuery
+ * @property {SearchTerm[]} terms - Free-text terms
+ * @property {SearchFilter[]} filters - Field operators
+ * @property {string[]} errors - Operators that could not be understood and were ignored
+ */
+
+// Fields understood by the parser; anything else followed by ':' is free text
+const SEARCH_FIELDS = ['priority', 'label', 'due', 'created', 'updated', 'is'];
+
+// Card states accepted by `is:`
+export const SEARCH_STATES = ['overdue', 'due-soon', 'done', 'open'];
+
+// Splits a query into tokens: optional '-', optional 'field:', then a quoted or bare value
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+/**
+ * Parse a date operand: yyyy-MM-dd, 'today', 'tomorrow' or 'yesterday'
+ * @param {string} value - Operand text
+ * @param {Date} now - Reference date for relative words
+ * @returns {Date|null} Local-midnight date, or null when invalid
+ */
+const parseDateValue = (value, now) => {
+  const relative = { yesterday: -1, today: 0, tomorrow: 1 }[value.toLowerCase()];
+  if (relative !== undefined) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + relative);
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Split a leading comparison operator off an operand
+ * @param {string} value - Operand text (e.g. '>=2026-01-01')
+ * @returns {{op: string, operand: string}} Operator ('=' when absent) and the rest
+ */
+const splitComparison = (value) => {
+  const match = /^(<=|>=|<|>|=)?(.*)$/.exec(value);
+  return { op: match[1] || '=', operand: match[2] };
+};
+
+/**
+ * Apply a comparison operator to a numeric difference (value minus operand)
+ * @param {number} diff - Difference
+ * @param {string} op - Comparison operator
+ * @returns {boolean} Comparison result
+ */
+const compare = (diff, op) => {
+  switch (op) {
+    case '<': return diff < 0;
+    case '<=': return diff <= 0;
+    case '>': return diff > 0;
+    case '>=': return diff >= 0;
+    default: return diff === 0;
+  }
+};
+
+/**
+ * Turn a field token into a filter
+ * @param {string} field - Lowercased field name
+ * @param {string} rawValue - Operand text
+ * @param {boolean} negated - Token started with '-'
+ * @param {Date} now - Reference date
+ * @returns {SearchFilter|null} Filter, or null when the operand is invalid
+ */
+const parseFilter = (field, rawValue, negated, now) => {
+  const { op, operand } = splitComparison(rawValue.trim());
+  const value = operand.toLowerCase();
+
+  switch (field) {
+    case 'priority': {
+      if (value === 'none' && op === '=') {
+        return { field, op, value: -1, negated };
+      }
+      const rank = CARD_PRIORITIES.indexOf(value);
+      return rank === -1 ? null : { field, op, value: rank, negated };
+    }
+    case 'label':
+      return value && op === '=' ? { field, op, value, negated } : null;
+    case 'is':
+      return SEARCH_STATES.includes(value) && op === '=' ? { field, op, value, negated } : null;
+    default: {
+      if (field === 'due' && value === 'none' && op === '=') {
+        return { field, op, value: null, negated };
+      }
+      const date = parseDateValue(operand, now);
+      return date ? { field, op, value: date, negated } : null;
+    }
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a search query into free-text terms and field operators
+ * @param {string} query - Raw query text
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.now=new Date()] - Reference date for 'today' and friends
+ * @returns {ParsedSearchQuery} Parsed query
+ */
+export const parseSearchQuery = (query, { now = new Date() } = {}) => {
+  const parsed = { terms: [], filters: [], errors: [] };
+
+  for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+    const [token, minus, fieldName, quoted, bare] = match;
+    const negated = minus === '-';
+    const value = quoted ?? bare ?? '';
+    const field = fieldName?.toLowerCase();
+
+    if (field && SEARCH_FIELDS.includes(field)) {
+      const filter = parseFilter(field, value, negated, now);
+      if (filter) {
+        parsed.filters.push(filter);
+      } else {
+        parsed.errors.push(token);
+      }
+      continue;
+    }
+
+    // Unknown 'field:' prefixes are ordinary text (e.g. 'http://')
+    const text = (fieldName ? `${fieldName}:${value}` : value).toLowerCase();
+    if (text) {
+      parsed.terms.push({ text, phrase: quoted !== undefined, negated });
+    }
+  }
+
+  return parsed;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a parsed query restricts anything
+ * @param {ParsedSearchQuery} parsed - Parsed query
+ * @returns {boolean} True when it has terms or filters
+ */
+export const hasSearchCriteria = (parsed) => {
+  return parsed.terms.length > 0 || parsed.filters.length > 0;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Test free-text terms against a set of text fields
+ * @param {SearchTerm[]} terms - Terms to test
+ * @param {string[]} texts - Searchable texts (e.g. title and description)
+ * @returns {boolean} True when every positive term appears and no negated one does,
+ * ignoring case and diacritics
+ */
+export const matchesSearchTerms = (terms, texts) => {
+  const haystack = normalizeText(texts.filter(Boolean).join('\n'));
+  return terms.every(term => haystack.includes(normalizeText(term.text)) !== term.negated);
+};
+
+/**
+ * Test one field operator against a card
+ * @param {Object} card - Card data object
+ * @param {SearchFilter} filter - Field operator
+ * @param {Object} context - Card context
+ * @param {Array} context.labels - Labels of the card's board
+ * @param {boolean} context.isDone - The card sits in a done column
+ * @param {Date} context.now - Reference date
+ * @returns {boolean} True when the card satisfies the operator, before negation
+ */
+const matchesFieldFilter = (card, filter, { labels, isDone, now }) => {
+  switch (filter.field) {
+    case 'priority':
+      return compare(CARD_PRIORITIES.indexOf(card.priority) - filter.value, filter.op);
+    case 'label':
+      return (card.labelIds || []).some(labelId => {
+        const label = labels.find(l => l.id === labelId);
+        return label?.name.toLowerCase() === filter.value;
+      });
+    case 'is': {
+      if (filter.value === 'done') return isDone;
+      if (filter.value === 'open') return !isDone;
+      if (!card.dueDate) return false;
+      return getDueStatus(card.dueDate, { isDone, now }).state === filter.value;
+    }
+    default: {
+      const timestamp = filter.field === 'due' ? card.dueDate : card[`${filter.field}At`];
+      if (filter.value === null) return !timestamp;
+      if (!timestamp) return false;
+      return compare(differenceInCalendarDays(new Date(timestamp), filter.value), filter.op);
+    }
+  }
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Test a card against a parsed query
+ * @param {Object} card - Card data object
+ * @param {ParsedSearchQuery} parsed - Parsed query
+ * @param {Object} [context] - Card context
+ * @param {Array} [context.labels=[]] - Labels of the card's board, for `label:`
+ * @param {boolean} [context.isDone=false] - The card sits in a done column
+ * @param {Date} [context.now=new Date()] - Reference date
+ * @param {Map<string, number>} [context.termMatches] - Cards matching the free-text terms,
+ *   from rankCards; when given, the terms are not scanned again
+ * @returns {boolean} True when the card matches every term and operator
+ */
+export const matchesCardSearch = (card, parsed, { labels = [], isDone = false, now = new Date(), termMatches } = {}) => {
+  const matchesTerms = termMatches
+    ? termMatches.has(card.id)
+    : matchesSearchTerms(parsed.terms, [card.title, card.description]);
+  if (!matchesTerms) {
+    return false;
+  }
+  return parsed.filters.every(filter =>
+    matchesFieldFilter(card, filter, { labels, isDone, now }) !== filter.negated
+  );
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Free-text terms worth highlighting in results: positive terms only,
+ * single words shorter than two characters skipped
+ * @param {string} query - Raw query text
+ * @returns {string[]} Lowercased texts to highlight
+ */
+export const getHighlightTerms = (query) => {
+  return parseSearchQuery(query).terms
+    .filter(term => !term.negated && (term.phrase || term.text.length >= 2))
+    .map(term => term.text);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Cut a window of text around the first highlighted term, for result snippets
+ * @param {string} text - Full text
+ * @param {string} query - Raw query text
+ * @param {number} [maxLength=140] - Longest snippet returned, ellipses excluded
+ * @returns {string} Snippet, with '…' where text was cut
+ */
+export const getSnippet = (text, query, maxLength = 140) => {
+  if (!text || text.length <= maxLength) return text || '';
+
+  const lowerText = text.toLowerCase();
+  const firstMatch = Math.min(
+    ...getHighlightTerms(query)
+      .map(term => lowerText.indexOf(term))
+      .filter(index => index !== -1),
+    text.length
+  );
+
+  // Start a little before the match so it reads in context
+  const start = firstMatch === text.length ? 0 : Math.max(0, firstMatch - Math.floor(maxLength / 4));
+  const end = Math.min(text.length, start + maxLength);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
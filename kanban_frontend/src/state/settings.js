@@ -0,0 +1,33 @@
+import { saveToIndexedDB, loadFromIndexedDB } from '../utils/storage';
+
+// PUBLIC_INTERFACE
+/**
+ * Setting entity type definition
+ * @typedef {Object} Setting
+ * @property {string} key - Setting key (e.g. 'boardFilter:<boardId>')
+ * @property {*} value - Stored value
+ * @property {number} updatedAt - Last update timestamp
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Load a stored setting
+ * @param {string} key - Setting key
+ * @param {*} [defaultValue=null] - Value returned when the setting was never saved
+ * @returns {Promise<*>} Stored value or the default
+ */
+export const loadSetting = async (key, defaultValue = null) => {
+  const setting = await loadFromIndexedDB('settings', key);
+  return setting ? setting.value : defaultValue;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Store a setting, replacing any previous value
+ * @param {string} key - Setting key
+ * @param {*} value - Value to store
+ * @returns {Promise<boolean>} Success status
+ */
+export const saveSetting = async (key, value) => {
+  return await saveToIndexedDB('settings', { key, value, updatedAt: Date.now() });
+};
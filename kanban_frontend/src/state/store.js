@@ -1,16 +1,31 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
-import { initIndexedDB } from '../utils/storage';
+import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { initStorage, subscribeToRemoteChanges, subscribeToLocalChanges } from '../utils/storage';
 import * as boardActions from './boards';
 import * as columnActions from './columns';
 import * as cardActions from './cards';
+import * as labelActions from './labels';
+import * as historyActions from './history';
+import * as transferActions from './transfer';
+import * as trelloActions from './trello';
+import * as attachmentActions from './attachments';
+import { removeOrphans } from './integrity';
+import { loadSearchIndex } from './searchIndex';
+import { startSync, createRestTransport, SYNC_SOURCE } from './sync';
 
 // Initial application state
 const initialState = {
   boards: [],
   columns: [],
   cards: [],
+  labels: [],
+  attachments: [],
+  history: { past: [], future: [] },
   activeBoard: null,
   searchQuery: '',
+  // Bumped to make pages reload their data from disk, e.g. after retrying failed writes
+  dataVersion: 0,
+  // Storage backend in use, one of STORAGE_MODES; null until storage is open
+  storageMode: null,
   loading: false,
   error: null
 };
@@ -23,6 +38,7 @@ export const ActionTypes = {
   UPDATE_BOARD: 'UPDATE_BOARD',
   UPDATE_BOARD_EMOJI: 'UPDATE_BOARD_EMOJI',
   DELETE_BOARD: 'DELETE_BOARD',
+  ARCHIVE_BOARD: 'ARCHIVE_BOARD',
   SET_ACTIVE_BOARD: 'SET_ACTIVE_BOARD',
   
   // Column actions
@@ -30,13 +46,33 @@ export const ActionTypes = {
   ADD_COLUMN: 'ADD_COLUMN',
   UPDATE_COLUMN: 'UPDATE_COLUMN',
   DELETE_COLUMN: 'DELETE_COLUMN',
+  ARCHIVE_COLUMN: 'ARCHIVE_COLUMN',
   
   // Card actions
   SET_CARDS: 'SET_CARDS',
   ADD_CARD: 'ADD_CARD',
   UPDATE_CARD: 'UPDATE_CARD',
   DELETE_CARD: 'DELETE_CARD',
+  ARCHIVE_CARD: 'ARCHIVE_CARD',
   MOVE_CARD: 'MOVE_CARD',
+  MOVE_CARDS: 'MOVE_CARDS',
+  
+  // Label actions
+  SET_LABELS: 'SET_LABELS',
+  ADD_LABEL: 'ADD_LABEL',
+  UPDATE_LABEL: 'UPDATE_LABEL',
+  DELETE_LABEL: 'DELETE_LABEL',
+  
+  // Attachment actions
+  SET_ATTACHMENTS: 'SET_ATTACHMENTS',
+  ADD_ATTACHMENTS: 'ADD_ATTACHMENTS',
+  ADD_ATTACHMENT: 'ADD_ATTACHMENT',
+  DELETE_ATTACHMENT: 'DELETE_ATTACHMENT',
+  
+  // History actions
+  RECORD_HISTORY: 'RECORD_HISTORY',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
   
   // Search actions
   SET_SEARCH_QUERY: 'SET_SEARCH_QUERY',
@@ -44,7 +80,119 @@ export const ActionTypes = {
   
   // UI state
   SET_LOADING: 'SET_LOADING',
-  SET_ERROR: 'SET_ERROR'
+  SET_ERROR: 'SET_ERROR',
+  REFRESH_DATA: 'REFRESH_DATA',
+  SET_STORAGE_MODE: 'SET_STORAGE_MODE'
+};
+
+/**
+ * Apply replayed history operations to the in-memory entity lists.
+ * Archived records are dropped from state just like deleted ones.
+ * @param {Object} state - Current state
+ * @param {Array} operations - History operations
+ * @returns {Object} Updated state
+ */
+const applyOperationsToState = (state, operations) => {
+  return operations.reduce((nextState, op) => {
+    const items = nextState[op.store];
+    if (op.type === 'delete' || op.record.archived) {
+      const id = op.type === 'delete' ? op.id : op.record.id;
+      return { ...nextState, [op.store]: items.filter(item => item.id !== id) };
+    }
+    const exists = items.some(item => item.id === op.record.id);
+    return {
+      ...nextState,
+      [op.store]: exists
+        ? items.map(item => (item.id === op.record.id ? op.record : item))
+        : [...items, op.record]
+    };
+  }, state);
+};
+
+// Reducer actions for each store's records, used to mirror other tabs' writes
+const REMOTE_CHANGE_ACTIONS = {
+  boards: { add: ActionTypes.ADD_BOARD, update: ActionTypes.UPDATE_BOARD, archive: ActionTypes.ARCHIVE_BOARD, remove: ActionTypes.DELETE_BOARD },
+  columns: { add: ActionTypes.ADD_COLUMN, update: ActionTypes.UPDATE_COLUMN, archive: ActionTypes.ARCHIVE_COLUMN, remove: ActionTypes.DELETE_COLUMN },
+  cards: { add: ActionTypes.ADD_CARD, update: ActionTypes.UPDATE_CARD, archive: ActionTypes.ARCHIVE_CARD, remove: ActionTypes.DELETE_CARD },
+  labels: { add: ActionTypes.ADD_LABEL, update: ActionTypes.UPDATE_LABEL, remove: ActionTypes.DELETE_LABEL },
+  attachments: { add: ActionTypes.ADD_ATTACHMENT, remove: ActionTypes.DELETE_ATTACHMENT }
+};
+
+/**
+ * Whether a record created elsewhere belongs to what this tab has loaded:
+ * columns and labels of a listed board, cards of a loaded column and
+ * attachments of a loaded card
+ * @param {Object} state - Current state
+ * @param {string} store - Object store name
+ * @param {Object} record - Created record
+ * @returns {boolean} Whether to add the record to state
+ */
+const isLoadedParent = (state, store, record) => {
+  switch (store) {
+    case 'boards':
+      return true;
+    case 'columns':
+    case 'labels':
+      return state.boards.some(b => b.id === record.boardId);
+    case 'cards':
+      return state.columns.some(c => c.id === record.columnId);
+    case 'attachments':
+      return state.cards.some(c => c.id === record.cardId);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Reducer action mirroring one change committed in another tab or pulled by sync
+ * @param {Object} state - Current state
+ * @param {import('../utils/storage').StorageChange} change - Committed change
+ * @returns {Object|null} Action, or null when the change doesn't affect loaded state
+ */
+const actionForRemoteChange = (state, change) => {
+  const actions = REMOTE_CHANGE_ACTIONS[change.store];
+  if (!actions) return null;
+
+  // Whole-store changes are rare enough to reload everything for
+  if (change.type === 'clear') {
+    return { type: ActionTypes.REFRESH_DATA };
+  }
+
+  const id = change.type === 'delete' ? change.id : change.record.id;
+  const isLoaded = state[change.store].some(item => item.id === id);
+
+  if (change.type === 'delete') {
+    return isLoaded ? { type: actions.remove, payload: id } : null;
+  }
+  if (change.record.archived) {
+    return isLoaded ? { type: actions.archive || actions.remove, payload: id } : null;
+  }
+  if (isLoaded) {
+    return actions.update ? { type: actions.update, payload: change.record } : null;
+  }
+  return isLoadedParent(state, change.store, change.record)
+    ? { type: actions.add, payload: change.record }
+    : null;
+};
+
+/**
+ * Turn the changes of a write made in another tab or by sync into the
+ * reducer actions this tab would have dispatched for it
+ * @param {Object} state - Current state
+ * @param {import('../utils/storage').StorageChange[]} changes - Committed changes, in order
+ * @returns {Object[]} Actions to dispatch, in order
+ */
+const actionsForRemoteChanges = (state, changes) => {
+  const actions = [];
+  // Each change is judged against the state left by the previous ones, so a
+  // column and its first card created together are both added
+  changes.reduce((current, change) => {
+    const action = actionForRemoteChange(current, change);
+    if (!action) return current;
+    actions.push(action);
+    return appReducer(current, action);
+  }, state);
+  return actions;
 };
 
 // Reducer function
@@ -72,12 +220,25 @@ const appReducer = (state, action) => {
         )
       };
     
+    // Archived entities leave the in-memory state just like deleted ones
     case ActionTypes.DELETE_BOARD:
+    case ActionTypes.ARCHIVE_BOARD: {
+      const removedColumnIds = state.columns
+        .filter(c => c.boardId === action.payload)
+        .map(c => c.id);
+      const removedCardIds = state.cards
+        .filter(c => removedColumnIds.includes(c.columnId))
+        .map(c => c.id);
       return {
         ...state,
         boards: state.boards.filter(b => b.id !== action.payload),
+        columns: state.columns.filter(c => c.boardId !== action.payload),
+        cards: state.cards.filter(c => !removedColumnIds.includes(c.columnId)),
+        attachments: state.attachments.filter(a => !removedCardIds.includes(a.cardId)),
+        labels: state.labels.filter(l => l.boardId !== action.payload),
         activeBoard: state.activeBoard === action.payload ? null : state.activeBoard
       };
+    }
     
     case ActionTypes.SET_ACTIVE_BOARD:
       return { ...state, activeBoard: action.payload };
@@ -97,13 +258,26 @@ const appReducer = (state, action) => {
       };
     
     case ActionTypes.DELETE_COLUMN:
+    case ActionTypes.ARCHIVE_COLUMN: {
+      const removedCardIds = state.cards
+        .filter(c => c.columnId === action.payload)
+        .map(c => c.id);
       return {
         ...state,
-        columns: state.columns.filter(c => c.id !== action.payload)
+        columns: state.columns.filter(c => c.id !== action.payload),
+        cards: state.cards.filter(c => c.columnId !== action.payload),
+        attachments: state.attachments.filter(a => !removedCardIds.includes(a.cardId))
       };
+    }
     
-    case ActionTypes.SET_CARDS:
-      return { ...state, cards: action.payload };
+    case ActionTypes.SET_CARDS: {
+      const cardIds = new Set(action.payload.map(c => c.id));
+      return {
+        ...state,
+        cards: action.payload,
+        attachments: state.attachments.filter(a => cardIds.has(a.cardId))
+      };
+    }
     
     case ActionTypes.ADD_CARD:
       return { ...state, cards: [...state.cards, action.payload] };
@@ -117,9 +291,11 @@ const appReducer = (state, action) => {
       };
     
     case ActionTypes.DELETE_CARD:
+    case ActionTypes.ARCHIVE_CARD:
       return {
         ...state,
-        cards: state.cards.filter(c => c.id !== action.payload)
+        cards: state.cards.filter(c => c.id !== action.payload),
+        attachments: state.attachments.filter(a => a.cardId !== action.payload)
       };
     
     case ActionTypes.MOVE_CARD:
@@ -130,6 +306,96 @@ const appReducer = (state, action) => {
         )
       };
     
+    // Payload is every card whose column or position changed, applied at once
+    case ActionTypes.MOVE_CARDS: {
+      const movedById = new Map(action.payload.map(c => [c.id, c]));
+      return {
+        ...state,
+        cards: state.cards.map(c =>
+          movedById.has(c.id) ? { ...c, ...movedById.get(c.id) } : c
+        )
+      };
+    }
+    
+    case ActionTypes.SET_LABELS:
+      return { ...state, labels: action.payload };
+    
+    case ActionTypes.ADD_LABEL:
+      return { ...state, labels: [...state.labels, action.payload] };
+    
+    case ActionTypes.UPDATE_LABEL:
+      return {
+        ...state,
+        labels: state.labels.map(l =>
+          l.id === action.payload.id ? { ...l, ...action.payload } : l
+        )
+      };
+    
+    case ActionTypes.DELETE_LABEL:
+      return {
+        ...state,
+        labels: state.labels.filter(l => l.id !== action.payload)
+      };
+    
+    case ActionTypes.SET_ATTACHMENTS:
+      return { ...state, attachments: action.payload };
+    
+    case ActionTypes.ADD_ATTACHMENTS: {
+      // Attachments of cards no longer loaded, e.g. after switching boards, are dropped
+      const loadedCardIds = new Set(state.cards.map(c => c.id));
+      const addedIds = new Set(action.payload.map(a => a.id));
+      return {
+        ...state,
+        attachments: [
+          ...state.attachments.filter(a => loadedCardIds.has(a.cardId) && !addedIds.has(a.id)),
+          ...action.payload
+        ]
+      };
+    }
+    
+    case ActionTypes.ADD_ATTACHMENT:
+      return { ...state, attachments: [...state.attachments, action.payload] };
+    
+    case ActionTypes.DELETE_ATTACHMENT:
+      return {
+        ...state,
+        attachments: state.attachments.filter(a => a.id !== action.payload)
+      };
+    
+    case ActionTypes.RECORD_HISTORY:
+      return {
+        ...state,
+        history: {
+          past: [...state.history.past, action.payload].slice(-historyActions.MAX_HISTORY_ENTRIES),
+          future: []
+        }
+      };
+    
+    // UNDO/REDO run after the entry's operations were replayed against IndexedDB
+    case ActionTypes.UNDO: {
+      const entry = state.history.past[state.history.past.length - 1];
+      if (!entry) return state;
+      return {
+        ...applyOperationsToState(state, entry.undo),
+        history: {
+          past: state.history.past.slice(0, -1),
+          future: [...state.history.future, entry]
+        }
+      };
+    }
+    
+    case ActionTypes.REDO: {
+      const entry = state.history.future[state.history.future.length - 1];
+      if (!entry) return state;
+      return {
+        ...applyOperationsToState(state, entry.redo),
+        history: {
+          past: [...state.history.past, entry],
+          future: state.history.future.slice(0, -1)
+        }
+      };
+    }
+    
     case ActionTypes.SET_SEARCH_QUERY:
       return { ...state, searchQuery: action.payload };
     
@@ -142,6 +408,12 @@ const appReducer = (state, action) => {
     case ActionTypes.SET_ERROR:
       return { ...state, error: action.payload };
     
+    case ActionTypes.REFRESH_DATA:
+      return { ...state, dataVersion: state.dataVersion + 1 };
+    
+    case ActionTypes.SET_STORAGE_MODE:
+      return { ...state, storageMode: action.payload };
+    
     default:
       return state;
   }
@@ -160,12 +432,19 @@ const AppDispatchContext = createContext();
 export const AppStateProvider = ({ children }) => {
   const [state, dispatch] = useReducer(appReducer, initialState);
 
-  // Initialize IndexedDB on mount
+  // Open storage on mount, falling back to localStorage or memory without IndexedDB
   useEffect(() => {
     const init = async () => {
       dispatch({ type: ActionTypes.SET_LOADING, payload: true });
       try {
-        await initIndexedDB();
+        const storageMode = await initStorage();
+        dispatch({ type: ActionTypes.SET_STORAGE_MODE, payload: storageMode });
+        
+        // Sweep rows left behind by deletes that predate cascading deletion
+        await removeOrphans();
+
+        // Read the search index now so the first search doesn't wait on it
+        await loadSearchIndex();
         
         // Load initial data
         const boards = await boardActions.loadBoards();
@@ -175,6 +454,12 @@ export const AppStateProvider = ({ children }) => {
         if (boards.length > 0 && !state.activeBoard) {
           dispatch({ type: ActionTypes.SET_ACTIVE_BOARD, payload: boards[0].id });
         }
+
+        // Sync with a self-hosted backend when the build names one
+        const syncEndpoint = process.env.REACT_APP_SYNC_ENDPOINT;
+        if (syncEndpoint) {
+          await startSync({ transport: createRestTransport({ endpoint: syncEndpoint }) });
+        }
       } catch (error) {
         console.error('Error initializing app:', error);
         dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
@@ -186,6 +471,39 @@ export const AppStateProvider = ({ children }) => {
     init();
   }, []);
 
+  // Mirror writes made in the app's other tabs or pulled by sync. The
+  // listeners outlive renders, so they read the latest state through a ref.
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  useEffect(() => {
+    const mirrorChanges = (changes) => {
+      actionsForRemoteChanges(stateRef.current, changes).forEach(dispatch);
+    };
+
+    const unsubscribeRemote = subscribeToRemoteChanges(mirrorChanges);
+    // Changes pulled from the sync backend are shown just like another tab's
+    const unsubscribeSynced = subscribeToLocalChanges((changes, { source }) => {
+      if (source === SYNC_SOURCE) mirrorChanges(changes);
+    });
+    return () => {
+      unsubscribeRemote();
+      unsubscribeSynced();
+    };
+  }, []);
+
+  // Reload boards from disk when asked to, so the UI matches what was saved
+  useEffect(() => {
+    if (state.dataVersion === 0) return;
+
+    boardActions.loadBoards()
+      .then(boards => dispatch({ type: ActionTypes.SET_BOARDS, payload: boards }))
+      .catch(error => {
+        console.error('Error reloading boards:', error);
+        dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+      });
+  }, [state.dataVersion]);
+
   return (
     <AppStateContext.Provider value={state}>
       <AppDispatchContext.Provider value={dispatch}>
@@ -222,4 +540,4 @@ export const useAppDispatch = () => {
 };
 
 // Export action creators for convenience
-export { boardActions, columnActions, cardActions };
+export { boardActions, columnActions, cardActions, labelActions, historyActions, transferActions, trelloActions, attachmentActions };
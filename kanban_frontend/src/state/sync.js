@@ -0,0 +1,603 @@
+import {
+  addWriteHook,
+  loadAllFromIndexedDB,
+  loadFromIndexedDB,
+  runTransactionInIndexedDB,
+  subscribeToLocalChanges
+} from '../utils/storage';
+import { loadSetting, saveSetting } from './settings';
+
+// Optional two-way sync with a self-hosted REST backend. Local writes to the
+// synced stores are queued in the 'syncQueue' store, in the same transaction,
+// so they survive reloads and offline periods, and are pushed once the backend
+// can be reached. Every queued field carries the time it was edited. Remote
+// changes are pulled with a cursor and merged field by field, the newest write
+// of each field winning. 'syncBase' keeps the last synced copy of every record
+// and the time of each of its fields. Attachments are not synced; their files
+// stay in this browser.
+
+// PUBLIC_INTERFACE
+/**
+ * Object stores kept in sync
+ * @type {string[]}
+ */
+export const SYNC_STORES = ['boards', 'columns', 'cards', 'labels'];
+
+// PUBLIC_INTERFACE
+/**
+ * Source tag of the writes sync makes, so they aren't queued to be pushed back
+ * @type {string}
+ */
+export const SYNC_SOURCE = 'sync';
+
+// Settings key holding the cursor of the last pull
+const SYNC_CURSOR_KEY = 'syncCursor';
+
+// Settings key set once every local record has been queued for the first push
+const SYNC_SEEDED_KEY = 'syncSeeded';
+
+// Fields a record can't be loaded without. A remote change to a record new to
+// this browser that lacks one of them is completed from the backend first.
+const REQUIRED_FIELDS = {
+  boards: ['title', 'columnOrder', 'archived'],
+  columns: ['boardId', 'position', 'archived'],
+  cards: ['columnId', 'position', 'archived'],
+  labels: ['boardId', 'name', 'color']
+};
+
+// How often to sync while the app is open
+const DEFAULT_SYNC_INTERVAL_MS = 30000;
+
+// Delay before pushing local changes, so a burst of edits goes out together
+const PUSH_DELAY_MS = 1000;
+
+// PUBLIC_INTERFACE
+/**
+ * Change exchanged with the sync backend. Every field carries the time it was
+ * written, so both sides can keep the newest value of each field.
+ * @typedef {Object} SyncChange
+ * @property {string} store - Object store name, one of SYNC_STORES
+ * @property {string} id - Record ID
+ * @property {boolean} deleted - Whether the record was deleted
+ * @property {number} updatedAt - Time of the change
+ * @property {Object<string, {value: *, updatedAt: number}>} fields - Changed fields
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Sync transport interface, implemented by createRestTransport
+ * @typedef {Object} SyncTransport
+ * @property {Function} push - (SyncChange[]) => Promise; stores local changes on the backend
+ * @property {Function} pull - (cursor) => Promise<{changes: SyncChange[], cursor: *}>; changes
+ *   made since the cursor (null for everything) and the cursor to pass next time
+ * @property {Function} fetchRecord - (store, id) => Promise<SyncChange|null>; the whole record
+ *   with every field, null when the backend doesn't have it
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Create a transport talking to a REST backend:
+ * - `POST <endpoint>/changes` with `{ changes }` stores changes
+ * - `GET <endpoint>/changes?since=<cursor>` returns `{ changes, cursor }`
+ * - `GET <endpoint>/changes/<store>/<id>` returns one record as a change with all
+ *   its fields, or 404
+ * @param {Object} options - Transport options
+ * @param {string} options.endpoint - Base URL of the backend
+ * @param {Object} [options.headers] - Extra request headers, e.g. for authentication
+ * @param {Function} [options.fetch] - fetch implementation; defaults to the browser's
+ * @returns {SyncTransport} REST transport
+ */
+export const createRestTransport = ({ endpoint, headers = {}, fetch: fetchImpl }) => {
+  const baseUrl = endpoint.replace(/\/+$/, '');
+  const send = fetchImpl || ((url, init) => window.fetch(url, init));
+
+  const request = async (path, init, { allowMissing = false } = {}) => {
+    const response = await send(`${baseUrl}${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+    if (allowMissing && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Sync request failed with status ${response.status}`);
+    }
+    return await response.json();
+  };
+
+  return {
+    push: (changes) => request('/changes', {
+      method: 'POST',
+      body: JSON.stringify({ changes })
+    }),
+    pull: (cursor) => {
+      const query = cursor === null ? '' : `?since=${encodeURIComponent(cursor)}`;
+      return request(`/changes${query}`, { method: 'GET' });
+    },
+    fetchRecord: (store, id) => request(
+      `/changes/${encodeURIComponent(store)}/${encodeURIComponent(id)}`,
+      { method: 'GET' },
+      { allowMissing: true }
+    )
+  };
+};
+
+/**
+ * Key of a record in the sync stores
+ * @param {string} store - Object store name
+ * @param {string} id - Record ID
+ * @returns {string} Sync key
+ */
+const syncKey = (store, id) => `${store}:${id}`;
+
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * Compare two field values, arrays and objects included
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields of a record that differ from its last synced copy
+ * @param {Object} record - Local record
+ * @param {Object} [base] - Last synced copy
+ * @returns {string[]} Changed field names
+ */
+const changedFields = (record, base = {}) => {
+  return Object.keys(record).filter(field => !isSameValue(record[field], base[field]));
+};
+
+/**
+ * Latest of a set of field times
+ * @param {Object<string, number>} fieldTimes - Time of each field, by field name
+ * @returns {number} Latest time, 0 when there are none
+ */
+const latestTime = (fieldTimes) => Math.max(0, ...Object.values(fieldTimes));
+
+// Transport in use while sync runs, null otherwise
+let transport = null;
+// Current sync round, and the one queued behind it
+let running = null;
+let queuedRun = null;
+let pushTimer = null;
+// Undoes what startSync set up
+let teardown = null;
+
+/**
+ * Queue changes to synced records for pushing. Runs as a write hook, inside
+ * the transaction of the write, so a stored change is always queued. Entries
+ * are keyed by record, so several edits of one record are pushed once, and
+ * stamp each field with the time of the write that last changed it.
+ * @param {import('../utils/storage').StorageChange[]} changes - Changes of the write
+ * @param {Object} tables - The write's syncQueue and syncBase tables
+ * @param {Object} options - Write options
+ * @param {string|null} options.source - Source tag of the write
+ * @returns {Promise<void>}
+ */
+const queueChanges = async (changes, { syncQueue, syncBase }, { source }) => {
+  // Records written by sync already match the backend
+  if (source === SYNC_SOURCE) return;
+
+  const now = Date.now();
+  const entries = new Map();
+
+  // No feature clears a synced store, so whole-store changes aren't queued
+  const recordChanges = changes.filter(change => SYNC_STORES.includes(change.store) && change.type !== 'clear');
+  for (const change of recordChanges) {
+    const deleted = change.type === 'delete';
+    const id = deleted ? change.id : change.record.id;
+    const key = syncKey(change.store, id);
+    const entry = {
+      key,
+      store: change.store,
+      id,
+      deleted,
+      fields: {},
+      record: null,
+      changedAt: now,
+      queuedAt: now,
+      // Tells a push which entries were queued again while it ran
+      revision: generateId()
+    };
+
+    if (!deleted) {
+      // Diff against the record as last queued, or else as last synced
+      const queued = entries.get(key) || await syncQueue.get(key);
+      const previous = queued && !queued.deleted
+        ? queued.record
+        : (await syncBase.get(key))?.record;
+      entry.fields = { ...(queued && !queued.deleted ? queued.fields : {}) };
+      changedFields(change.record, previous).forEach(field => {
+        entry.fields[field] = now;
+      });
+      entry.record = change.record;
+      entry.changedAt = latestTime(entry.fields);
+      // A write that changed nothing has nothing to push
+      if (!queued && Object.keys(entry.fields).length === 0) continue;
+    }
+
+    entries.set(key, entry);
+  }
+
+  if (entries.size > 0) {
+    await syncQueue.bulkPut([...entries.values()]);
+  }
+};
+
+/**
+ * Queue every synced record, for the first sync from this browser. Fields are
+ * stamped with the record's last update. The seeded marker is stored with the
+ * queue entries, so this runs once even if the first pull never succeeds.
+ * @returns {Promise<void>}
+ */
+const queueAllRecords = async () => {
+  await runTransactionInIndexedDB([...SYNC_STORES, 'syncQueue', 'settings'], async (tables) => {
+    const entries = [];
+    for (const store of SYNC_STORES) {
+      const records = await tables[store].toArray();
+      records.forEach(record => {
+        const changedAt = record.updatedAt || Date.now();
+        entries.push({
+          key: syncKey(store, record.id),
+          store,
+          id: record.id,
+          deleted: false,
+          fields: Object.fromEntries(Object.keys(record).map(field => [field, changedAt])),
+          record,
+          changedAt,
+          queuedAt: changedAt,
+          revision: generateId()
+        });
+      });
+    }
+    await tables.syncQueue.bulkPut(entries);
+    await tables.settings.put({ key: SYNC_SEEDED_KEY, value: true, updatedAt: Date.now() });
+  }, { source: SYNC_SOURCE });
+};
+
+/**
+ * Build the change to push for a queue entry: the fields edited here, each
+ * with the time it was edited
+ * @param {Object} entry - Queue entry
+ * @returns {SyncChange} Change to push
+ */
+const buildOutgoingChange = (entry) => {
+  const fields = entry.deleted
+    ? {}
+    : Object.fromEntries(Object.entries(entry.fields)
+      .map(([field, updatedAt]) => [field, { value: entry.record[field], updatedAt }]));
+  return { store: entry.store, id: entry.id, deleted: entry.deleted, updatedAt: entry.changedAt, fields };
+};
+
+/**
+ * Push queued changes, then mark what was pushed as synced
+ * @param {SyncTransport} syncTransport - Transport
+ * @returns {Promise<number>} Number of changes pushed
+ */
+const pushQueuedChanges = async (syncTransport) => {
+  const queued = (await loadAllFromIndexedDB('syncQueue')).sort((a, b) => a.queuedAt - b.queuedAt);
+  if (queued.length === 0) return 0;
+
+  const changes = queued
+    .map(buildOutgoingChange)
+    .filter(change => change.deleted || Object.keys(change.fields).length > 0);
+
+  if (changes.length > 0) {
+    await syncTransport.push(changes);
+  }
+
+  await runTransactionInIndexedDB(['syncQueue', 'syncBase'], async ({ syncQueue, syncBase }) => {
+    for (const entry of queued) {
+      if (entry.deleted) {
+        await syncBase.delete(entry.key);
+      } else {
+        const base = await syncBase.get(entry.key);
+        await syncBase.put({
+          key: entry.key,
+          record: entry.record,
+          fieldTimes: { ...base?.fieldTimes, ...entry.fields }
+        });
+      }
+
+      // Records edited again during the push stay queued
+      const current = await syncQueue.get(entry.key);
+      if (current && current.revision === entry.revision) {
+        await syncQueue.delete(entry.key);
+      }
+    }
+  }, { source: SYNC_SOURCE });
+
+  return changes.length;
+};
+
+/**
+ * Whether a change carries every field a record of its store needs
+ * @param {SyncChange} change - Remote change
+ * @returns {boolean} True when nothing required is missing
+ */
+const hasRequiredFields = (change) => {
+  return REQUIRED_FIELDS[change.store].every(field => field in change.fields);
+};
+
+/**
+ * Merge a remote change into the local record. Each field edited here and not
+ * yet pushed keeps its local value unless the remote one was written later.
+ * A change that would create a record lacking a required field is ignored.
+ * @param {SyncChange} change - Remote change
+ * @param {Object|undefined} local - Local record
+ * @param {Object|undefined} base - syncBase entry: last synced copy and the time of each field
+ * @param {Object|undefined} pending - Queue entry of unpushed local changes
+ * @returns {{record: Object|null, base: Object|null, pending: Object|null}} Record, syncBase
+ *   entry and queue entry to store; null removes them
+ */
+const mergeRemoteChange = (change, local, base, pending) => {
+  const pendingEdit = pending && !pending.deleted ? pending : null;
+
+  if (change.deleted) {
+    // An edit made here after the remote delete wins and recreates the record,
+    // so all of it is pushed again
+    if (local && pendingEdit && pendingEdit.changedAt > change.updatedAt) {
+      const fields = Object.fromEntries(Object.keys(local)
+        .map(field => [field, pendingEdit.fields[field] ?? pendingEdit.changedAt]));
+      return { record: local, base: null, pending: { ...pendingEdit, fields, record: local } };
+    }
+    return { record: null, base: null, pending: null };
+  }
+
+  // The backend's value of a field replaces the synced copy unless that is newer
+  const baseRecord = { ...base?.record, id: change.id };
+  const fieldTimes = { ...base?.fieldTimes };
+  Object.entries(change.fields).forEach(([field, { value, updatedAt }]) => {
+    if (updatedAt >= (fieldTimes[field] ?? 0)) {
+      baseRecord[field] = value;
+      fieldTimes[field] = updatedAt;
+    }
+  });
+  const nextBase = { key: syncKey(change.store, change.id), record: baseRecord, fieldTimes };
+
+  if (!local && !base && !hasRequiredFields(change)) {
+    return { record: null, base: null, pending: pending || null };
+  }
+
+  // A delete made here after the remote edit wins
+  if (pending && pending.deleted) {
+    return pending.changedAt >= change.updatedAt
+      ? { record: null, base: nextBase, pending }
+      : { record: baseRecord, base: nextBase, pending: null };
+  }
+
+  const record = { ...local, id: change.id };
+  const pendingFields = { ...pendingEdit?.fields };
+  Object.keys(change.fields).forEach(field => {
+    if (fieldTimes[field] >= (pendingFields[field] ?? 0)) {
+      record[field] = baseRecord[field];
+      delete pendingFields[field];
+    }
+  });
+
+  // Nothing left to push once the backend replaced every local edit
+  const nextPending = pendingEdit && Object.keys(pendingFields).length > 0
+    ? { ...pendingEdit, fields: pendingFields, record, changedAt: latestTime(pendingFields) }
+    : null;
+  return { record, base: nextBase, pending: nextPending };
+};
+
+/**
+ * Replace remote changes to records this browser has never seen, and that
+ * lack required fields, with the whole record from the backend. Records the
+ * backend no longer has are dropped.
+ * @param {SyncTransport} syncTransport - Transport
+ * @param {SyncChange[]} changes - Remote changes
+ * @returns {Promise<SyncChange[]>} Changes to merge
+ */
+const completeNewRecords = async (syncTransport, changes) => {
+  const completed = [];
+  for (const change of changes) {
+    if (change.deleted || !SYNC_STORES.includes(change.store) || hasRequiredFields(change)) {
+      completed.push(change);
+      continue;
+    }
+
+    const known = await loadFromIndexedDB(change.store, change.id)
+      || await loadFromIndexedDB('syncBase', syncKey(change.store, change.id));
+    if (known) {
+      completed.push(change);
+      continue;
+    }
+
+    const record = await syncTransport.fetchRecord(change.store, change.id);
+    if (record) {
+      completed.push(record);
+    }
+  }
+  return completed;
+};
+
+/**
+ * Merge remote changes into the local stores in one transaction
+ * @param {SyncChange[]} changes - Remote changes, oldest first
+ * @returns {Promise<void>}
+ */
+const applyRemoteChanges = async (changes) => {
+  await runTransactionInIndexedDB([...SYNC_STORES, 'syncQueue', 'syncBase'], async (tables) => {
+    for (const change of changes) {
+      if (!SYNC_STORES.includes(change.store)) continue;
+
+      const table = tables[change.store];
+      const key = syncKey(change.store, change.id);
+      const local = await table.get(change.id);
+      const base = await tables.syncBase.get(key);
+      const pending = await tables.syncQueue.get(key);
+      const merged = mergeRemoteChange(change, local, base, pending);
+
+      if (merged.record && !isSameValue(merged.record, local)) {
+        await table.put(merged.record);
+      } else if (!merged.record && local) {
+        await table.delete(change.id);
+      }
+
+      if (merged.base) {
+        await tables.syncBase.put(merged.base);
+      } else {
+        await tables.syncBase.delete(key);
+      }
+
+      if (merged.pending) {
+        await tables.syncQueue.put(merged.pending);
+      } else if (pending) {
+        await tables.syncQueue.delete(key);
+      }
+    }
+  }, { source: SYNC_SOURCE });
+};
+
+/**
+ * Pull the changes made since the last pull and merge them in
+ * @param {SyncTransport} syncTransport - Transport
+ * @returns {Promise<number>} Number of changes pulled
+ */
+const pullRemoteChanges = async (syncTransport) => {
+  const cursor = await loadSetting(SYNC_CURSOR_KEY);
+  const { changes, cursor: nextCursor } = await syncTransport.pull(cursor);
+
+  if (changes.length > 0) {
+    await applyRemoteChanges(await completeNewRecords(syncTransport, changes));
+  }
+  await saveSetting(SYNC_CURSOR_KEY, nextCursor);
+  return changes.length;
+};
+
+/**
+ * One sync round: pull remote changes, merging them with unpushed local
+ * edits, then push what is left of those edits
+ * @param {SyncTransport} syncTransport - Transport
+ * @returns {Promise<boolean>} False when skipped because the browser is offline
+ */
+const runSync = async (syncTransport) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return false;
+  }
+
+  await pullRemoteChanges(syncTransport);
+  await pushQueuedChanges(syncTransport);
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Sync now. A call made during a round runs another round after it, so
+ * changes made meanwhile aren't missed.
+ * @returns {Promise<boolean>} True once synced; false when sync isn't running or the browser is offline
+ * @throws {Error} When the backend can't be reached or rejects a request; queued changes are kept
+ */
+export const syncNow = () => {
+  if (!transport) return Promise.resolve(false);
+
+  if (running) {
+    if (!queuedRun) {
+      queuedRun = running
+        .catch(() => {})
+        .then(() => {
+          queuedRun = null;
+          return syncNow();
+        });
+    }
+    return queuedRun;
+  }
+
+  running = runSync(transport).finally(() => {
+    running = null;
+  });
+  return running;
+};
+
+/**
+ * Sync without waiting, logging failures. Queued changes are kept for the next round.
+ */
+const syncInBackground = () => {
+  syncNow().catch(error => {
+    console.error('Error syncing:', error);
+  });
+};
+
+/**
+ * Push soon after local changes, batching a burst of edits
+ */
+const schedulePush = () => {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(syncInBackground, PUSH_DELAY_MS);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Start syncing: queue local changes as they are saved and sync right away,
+ * when the browser comes back online and at a regular interval
+ * @param {Object} options - Sync options
+ * @param {SyncTransport} options.transport - Transport to the backend, e.g. createRestTransport()
+ * @param {number} [options.intervalMs=30000] - Time between background syncs
+ * @returns {Promise<Function>} Function stopping sync
+ */
+export const startSync = async ({ transport: syncTransport, intervalMs = DEFAULT_SYNC_INTERVAL_MS }) => {
+  stopSync();
+
+  // First sync from this browser: upload everything already stored here
+  if (!(await loadSetting(SYNC_SEEDED_KEY, false))) {
+    await queueAllRecords();
+  }
+
+  transport = syncTransport;
+
+  const removeWriteHook = addWriteHook({
+    watches: SYNC_STORES,
+    stores: ['syncQueue', 'syncBase'],
+    onWrite: queueChanges
+  });
+  const unsubscribe = subscribeToLocalChanges((changes, { source }) => {
+    if (source !== SYNC_SOURCE && changes.some(change => SYNC_STORES.includes(change.store))) {
+      schedulePush();
+    }
+  });
+  const interval = setInterval(syncInBackground, intervalMs);
+  window.addEventListener('online', syncInBackground);
+
+  teardown = () => {
+    removeWriteHook();
+    unsubscribe();
+    clearInterval(interval);
+    clearTimeout(pushTimer);
+    window.removeEventListener('online', syncInBackground);
+  };
+
+  syncInBackground();
+  return stopSync;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Stop syncing. Changes stay queued for the next time sync starts.
+ */
+export const stopSync = () => {
+  if (teardown) {
+    teardown();
+    teardown = null;
+  }
+  transport = null;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Number of local changes waiting to be pushed
+ * @returns {Promise<number>} Queued record count
+ */
+export const countQueuedChanges = async () => {
+  return (await loadAllFromIndexedDB('syncQueue')).length;
+};
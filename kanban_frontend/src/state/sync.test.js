@@ -0,0 +1,365 @@
+import 'fake-indexeddb/auto';
+import http from 'http';
+import {
+  initIndexedDB,
+  loadAllFromIndexedDB,
+  loadFromIndexedDB,
+  runTransactionInIndexedDB,
+  deleteFromIndexedDB,
+  clearStoreInIndexedDB,
+  discardFailedWrites
+} from '../utils/storage';
+import { createBoard } from './boards';
+import { createColumn } from './columns';
+import { createCard, deleteCard, loadCard, updateCard } from './cards';
+import { loadSetting } from './settings';
+import { startSync, stopSync, syncNow, countQueuedChanges, createRestTransport } from './sync';
+import { createSyncServer, createSyncBackend } from '../../scripts/mockSyncServer';
+
+// Syncs against the mock backend from scripts/mockSyncServer.js over real
+// HTTP. A second transport stands in for another browser sharing the boards.
+
+/**
+ * Minimal fetch over Node's http module; jsdom doesn't provide one
+ */
+const nodeFetch = (url, { method = 'GET', headers = {}, body } = {}) => {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+      let raw = '';
+      res.on('data', chunk => {
+        raw += chunk;
+      });
+      res.on('end', () => resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        json: async () => JSON.parse(raw)
+      }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+let backend;
+let server;
+let endpoint;
+let requests;
+let online = true;
+
+const recordingFetch = (url, init) => {
+  requests.push(`${init.method} ${url.slice(endpoint.length)}`);
+  return nodeFetch(url, init);
+};
+
+/**
+ * Backend record as a plain object of field values
+ */
+const serverRecord = (store, id) => {
+  const record = backend.records.get(`${store}:${id}`);
+  return record && Object.fromEntries(
+    Object.entries(record.fields).map(([name, field]) => [name, field.value])
+  );
+};
+
+beforeAll(async () => {
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+
+  backend = createSyncBackend();
+  server = createSyncServer(backend);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+
+  await initIndexedDB();
+});
+
+beforeEach(async () => {
+  requests = [];
+  online = true;
+  await startSync({ transport: createRestTransport({ endpoint, fetch: recordingFetch }) });
+  await syncNow();
+});
+
+afterEach(() => {
+  stopSync();
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('queues changes in IndexedDB while offline and replays them once online', async () => {
+  online = false;
+
+  const board = await createBoard({ title: 'Shared board' });
+  const column = await createColumn({ boardId: board.id, title: 'To Do' });
+  const card = await createCard({ columnId: column.id, title: 'Write docs' });
+
+  expect(await syncNow()).toBe(false);
+  expect(await countQueuedChanges()).toBe(3);
+  expect((await loadAllFromIndexedDB('syncQueue')).map(entry => entry.key)).toEqual(
+    expect.arrayContaining([`boards:${board.id}`, `columns:${column.id}`, `cards:${card.id}`])
+  );
+  expect(serverRecord('cards', card.id)).toBeUndefined();
+
+  online = true;
+  expect(await syncNow()).toBe(true);
+
+  expect(await countQueuedChanges()).toBe(0);
+  expect(serverRecord('boards', board.id).title).toBe('Shared board');
+  expect(serverRecord('cards', card.id)).toMatchObject({ title: 'Write docs', columnId: column.id });
+});
+
+test('queues a change in the transaction that writes it', async () => {
+  online = false;
+
+  const board = await createBoard({ title: 'Queued with the write' });
+  expect(await loadFromIndexedDB('syncQueue', `boards:${board.id}`)).toMatchObject({
+    deleted: false,
+    fields: expect.objectContaining({ title: expect.any(Number) })
+  });
+
+  // A write that rolls back leaves nothing to push
+  await expect(runTransactionInIndexedDB(['boards'], async ({ boards }) => {
+    await boards.put({ ...board, id: 'rolled-back' });
+    throw new Error('Write failed');
+  })).rejects.toThrow('Write failed');
+  discardFailedWrites();
+
+  expect(await loadFromIndexedDB('boards', 'rolled-back')).toBeUndefined();
+  expect(await loadFromIndexedDB('syncQueue', 'boards:rolled-back')).toBeUndefined();
+});
+
+test('pulls remote changes from the saved cursor', async () => {
+  const board = await createBoard({ title: 'Pull board' });
+  await syncNow();
+  const cursor = await loadSetting('syncCursor');
+  expect(cursor).toBeGreaterThan(0);
+
+  // Another browser adds a column to the board
+  const other = createRestTransport({ endpoint, fetch: nodeFetch });
+  const now = Date.now();
+  const field = (value) => ({ value, updatedAt: now });
+  await other.push([{
+    store: 'columns',
+    id: 'remote-column',
+    deleted: false,
+    updatedAt: now,
+    fields: {
+      id: field('remote-column'),
+      boardId: field(board.id),
+      title: field('From elsewhere'),
+      position: field(0),
+      archived: field(0),
+      createdAt: field(now),
+      updatedAt: field(now)
+    }
+  }]);
+
+  requests = [];
+  await syncNow();
+
+  expect(requests[0]).toBe(`GET /changes?since=${cursor}`);
+  const columns = await loadAllFromIndexedDB('columns', { boardId: board.id });
+  expect(columns).toEqual([expect.objectContaining({ id: 'remote-column', title: 'From elsewhere' })]);
+  expect(await loadSetting('syncCursor')).toBeGreaterThan(cursor);
+
+  // Nothing new on the next pull
+  const { changes } = await other.pull(await loadSetting('syncCursor'));
+  expect(changes).toEqual([]);
+});
+
+test('merges concurrent edits field by field, newest write winning', async () => {
+  const board = await createBoard({ title: 'Merge board' });
+  const column = await createColumn({ boardId: board.id, title: 'To Do' });
+  const card = await createCard({ columnId: column.id, title: 'Original', description: 'Original' });
+  await syncNow();
+
+  // Edited here while offline...
+  online = false;
+  const edited = await updateCard(card.id, { ...card, description: 'Local description' });
+
+  // ...and in another browser: the title afterwards, the description before
+  const other = createRestTransport({ endpoint, fetch: nodeFetch });
+  await other.push([{
+    store: 'cards',
+    id: card.id,
+    deleted: false,
+    updatedAt: edited.updatedAt + 1000,
+    fields: {
+      title: { value: 'Remote title', updatedAt: edited.updatedAt + 1000 },
+      description: { value: 'Remote description', updatedAt: edited.updatedAt - 1000 }
+    }
+  }]);
+
+  online = true;
+  await syncNow();
+
+  expect(await loadCard(card.id)).toMatchObject({
+    title: 'Remote title',
+    description: 'Local description'
+  });
+  expect(serverRecord('cards', card.id)).toMatchObject({
+    title: 'Remote title',
+    description: 'Local description'
+  });
+  expect(await countQueuedChanges()).toBe(0);
+});
+
+test('times each field by its own edit', async () => {
+  const board = await createBoard({ title: 'Field time board' });
+  const column = await createColumn({ boardId: board.id, title: 'To Do' });
+  const card = await createCard({ columnId: column.id, title: 'Original', description: 'Original' });
+  await syncNow();
+
+  // Renamed here while offline, then renamed in another browser, then
+  // described here
+  online = false;
+  const renamed = await updateCard(card.id, { ...card, title: 'Local title' });
+  const remoteRenameAt = renamed.updatedAt + 1000;
+  const other = createRestTransport({ endpoint, fetch: nodeFetch });
+  await other.push([{
+    store: 'cards',
+    id: card.id,
+    deleted: false,
+    updatedAt: remoteRenameAt,
+    fields: { title: { value: 'Remote title', updatedAt: remoteRenameAt } }
+  }]);
+
+  const describedAt = remoteRenameAt + 1000;
+  const now = jest.spyOn(Date, 'now').mockReturnValue(describedAt);
+  try {
+    await updateCard(card.id, { ...renamed, description: 'Local description' });
+  } finally {
+    now.mockRestore();
+  }
+
+  const entry = await loadFromIndexedDB('syncQueue', `cards:${card.id}`);
+  expect(entry.fields.title).toBeLessThan(remoteRenameAt);
+  expect(entry.fields.description).toBe(describedAt);
+
+  online = true;
+  await syncNow();
+
+  expect(await loadCard(card.id)).toMatchObject({
+    title: 'Remote title',
+    description: 'Local description'
+  });
+  expect(serverRecord('cards', card.id)).toMatchObject({
+    title: 'Remote title',
+    description: 'Local description'
+  });
+  expect(backend.records.get(`cards:${card.id}`).fields.description.updatedAt).toBe(describedAt);
+  expect((await loadFromIndexedDB('syncBase', `cards:${card.id}`)).fieldTimes).toMatchObject({
+    title: remoteRenameAt,
+    description: describedAt
+  });
+  expect(await countQueuedChanges()).toBe(0);
+});
+
+test('syncs deletes both ways', async () => {
+  const board = await createBoard({ title: 'Delete board' });
+  const column = await createColumn({ boardId: board.id, title: 'To Do' });
+  const kept = await createCard({ columnId: column.id, title: 'Deleted remotely' });
+  const removed = await createCard({ columnId: column.id, title: 'Deleted here' });
+  await syncNow();
+
+  await deleteCard(removed.id);
+  const other = createRestTransport({ endpoint, fetch: nodeFetch });
+  await other.push([{ store: 'cards', id: kept.id, deleted: true, updatedAt: Date.now() + 1000, fields: {} }]);
+  await syncNow();
+
+  expect(backend.records.get(`cards:${removed.id}`).deleted).toBe(true);
+  expect(await loadCard(kept.id)).toBeNull();
+});
+
+test('keeps changes queued when the backend rejects them', async () => {
+  const failingTransport = createRestTransport({
+    endpoint,
+    fetch: async () => ({ ok: false, status: 503, json: async () => ({}) })
+  });
+  await startSync({ transport: failingTransport });
+
+  await createBoard({ title: 'Not yet synced' });
+  await expect(syncNow()).rejects.toThrow('503');
+  expect(await countQueuedChanges()).toBe(1);
+});
+
+test('completes a partial change to a record this browser has never seen', async () => {
+  const board = await createBoard({ title: 'Partial board' });
+  const column = await createColumn({ boardId: board.id, title: 'To Do' });
+  await syncNow();
+
+  const other = createRestTransport({ endpoint, fetch: nodeFetch });
+  const now = Date.now();
+  const field = (value) => ({ value, updatedAt: now });
+  await other.push([{
+    store: 'cards',
+    id: 'remote-card',
+    deleted: false,
+    updatedAt: now,
+    fields: {
+      id: field('remote-card'),
+      columnId: field(column.id),
+      title: field('Added elsewhere'),
+      position: field(0),
+      archived: field(0),
+      createdAt: field(now),
+      updatedAt: field(now)
+    }
+  }]);
+
+  // A backend that only sends the fields that changed, plus one record it no longer has
+  const rest = createRestTransport({ endpoint, fetch: recordingFetch });
+  const partial = (id, title) => ({
+    store: 'cards',
+    id,
+    deleted: false,
+    updatedAt: now,
+    fields: { title: field(title) }
+  });
+  await startSync({
+    transport: {
+      ...rest,
+      pull: async (cursor) => {
+        const { changes, cursor: nextCursor } = await rest.pull(cursor);
+        return {
+          changes: [
+            ...changes.filter(change => change.id !== 'remote-card'),
+            partial('remote-card', 'Added elsewhere'),
+            partial('missing-card', 'Gone')
+          ],
+          cursor: nextCursor
+        };
+      }
+    }
+  });
+  requests = [];
+  await syncNow();
+
+  expect(requests).toEqual(expect.arrayContaining(['GET /changes/cards/remote-card']));
+  expect(await loadCard('remote-card')).toMatchObject({
+    columnId: column.id,
+    title: 'Added elsewhere',
+    position: 0,
+    archived: 0
+  });
+  expect(await loadCard('missing-card')).toBeNull();
+});
+
+test('queues existing records once, even when the first pull never succeeds', async () => {
+  stopSync();
+  await deleteFromIndexedDB('settings', 'syncSeeded');
+  await deleteFromIndexedDB('settings', 'syncCursor');
+  online = false;
+
+  await startSync({ transport: createRestTransport({ endpoint, fetch: recordingFetch }) });
+  expect(await countQueuedChanges()).toBeGreaterThan(0);
+  expect(await loadSetting('syncSeeded')).toBe(true);
+
+  // Started again, still offline and without a cursor
+  stopSync();
+  await clearStoreInIndexedDB('syncQueue');
+  await startSync({ transport: createRestTransport({ endpoint, fetch: recordingFetch }) });
+  expect(await countQueuedChanges()).toBe(0);
+});
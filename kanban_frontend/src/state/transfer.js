@@ -0,0 +1,165 @@
+import { runTransactionInIndexedDB } from '../utils/storage';
+import { loadBoard, loadBoards, loadBoardContents } from './boards';
+
+// Identifies documents produced by exportBoards
+export const EXPORT_FORMAT = 'kanban-app-export';
+
+// Bump when the document layout changes; older versions must stay importable
+export const EXPORT_VERSION = 1;
+
+// PUBLIC_INTERFACE
+/**
+ * Export document type definition
+ * @typedef {Object} ExportDocument
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} version - Document layout version
+ * @property {number} exportedAt - Export timestamp
+ * @property {Array<{board: Object, columns: Object[], cards: Object[], labels: Object[]}>} boards - Exported boards with their contents
+ */
+
+/**
+ * Generate unique ID
+ * @returns {string} Unique identifier
+ */
+const generateId = () => {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize boards with their columns, cards and labels (archived ones included)
+ * @param {string[]|null} [boardIds=null] - Boards to export, or null for every board
+ * @returns {Promise<ExportDocument>} Export document
+ */
+export const exportBoards = async (boardIds = null) => {
+  const boards = boardIds
+    ? (await Promise.all(boardIds.map(boardId => loadBoard(boardId)))).filter(Boolean)
+    : await loadBoards({ includeArchived: true });
+
+  const entries = [];
+  for (const board of boards) {
+    const { columns, cards, labels } = await loadBoardContents(board.id);
+    entries.push({ board, columns, cards, labels });
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: Date.now(),
+    boards: entries
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Check that a parsed document looks like an export this version can import
+ * @param {any} doc - Parsed JSON document
+ * @returns {string[]} Problems found; empty when the document is valid
+ */
+export const validateExport = (doc) => {
+  if (!isObject(doc)) return ['The file does not contain a JSON object.'];
+  if (doc.format !== EXPORT_FORMAT) return ['The file is not a Kanban board export.'];
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > EXPORT_VERSION) {
+    return [`Unsupported export version: ${doc.version}.`];
+  }
+  if (!Array.isArray(doc.boards)) return ['The export does not contain a boards list.'];
+
+  const errors = [];
+  doc.boards.forEach((entry, index) => {
+    const where = `Board #${index + 1}`;
+    if (!isObject(entry) || !isObject(entry.board)) {
+      errors.push(`${where} is missing its board record.`);
+      return;
+    }
+    if (typeof entry.board.id !== 'string' || typeof entry.board.title !== 'string') {
+      errors.push(`${where} needs a string id and title.`);
+    }
+
+    ['columns', 'cards', 'labels'].forEach(key => {
+      if (!Array.isArray(entry[key])) {
+        errors.push(`${where} is missing its ${key} list.`);
+      } else if (entry[key].some(item => !isObject(item) || typeof item.id !== 'string')) {
+        errors.push(`${where} has ${key} without a string id.`);
+      }
+    });
+    if (errors.length > 0) return;
+
+    const columnIds = new Set(entry.columns.map(c => c.id));
+    if (entry.cards.some(card => !columnIds.has(card.columnId))) {
+      errors.push(`${where} has cards that reference a missing column.`);
+    }
+  });
+
+  return errors;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Import an export document as new boards. Every record gets a fresh ID so
+ * imports never overwrite existing data, even when re-importing the same file.
+ * Everything is saved in one transaction, so a failed import leaves nothing behind.
+ * @param {ExportDocument} doc - Parsed export document
+ * @returns {Promise<Object[]>} Imported boards
+ * @throws {StorageError} When the transaction fails; nothing was imported
+ */
+export const importBoards = async (doc) => {
+  const errors = validateExport(doc);
+  if (errors.length > 0) {
+    throw new Error(`Invalid export file: ${errors.join(' ')}`);
+  }
+
+  const now = Date.now();
+  const boards = [];
+  const columns = [];
+  const cards = [];
+  const labels = [];
+
+  doc.boards.forEach(entry => {
+    const boardId = generateId();
+    const columnIds = new Map(entry.columns.map(c => [c.id, generateId()]));
+    const labelIds = new Map(entry.labels.map(l => [l.id, generateId()]));
+
+    boards.push({
+      ...entry.board,
+      id: boardId,
+      columnOrder: (entry.board.columnOrder || [])
+        .filter(id => columnIds.has(id))
+        .map(id => columnIds.get(id)),
+      updatedAt: now
+    });
+
+    entry.columns.forEach(column => {
+      columns.push({ ...column, id: columnIds.get(column.id), boardId, updatedAt: now });
+    });
+
+    entry.labels.forEach(label => {
+      labels.push({ ...label, id: labelIds.get(label.id), boardId });
+    });
+
+    entry.cards.forEach(card => {
+      cards.push({
+        ...card,
+        id: generateId(),
+        columnId: columnIds.get(card.columnId),
+        labelIds: (card.labelIds || [])
+          .filter(id => labelIds.has(id))
+          .map(id => labelIds.get(id)),
+        updatedAt: now
+      });
+    });
+  });
+
+  await runTransactionInIndexedDB(
+    ['boards', 'columns', 'cards', 'labels'],
+    async (tables) => {
+      await tables.labels.bulkPut(labels);
+      await tables.cards.bulkPut(cards);
+      await tables.columns.bulkPut(columns);
+      await tables.boards.bulkPut(boards);
+    }
+  );
+
+  return boards;
+};
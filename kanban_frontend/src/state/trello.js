@@ -0,0 +1,202 @@
+import { runTransactionInIndexedDB } from '../utils/storage';
+import { buildBoard } from './boards';
+import { buildColumn } from './columns';
+import { buildCard } from './cards';
+import { buildLabel, LABEL_COLORS } from './labels';
+import { createChecklist, createChecklistItem } from './checklists';
+
+// Trello's named label colors mapped onto hex values
+const TRELLO_COLORS = {
+  green: '#10B981',
+  yellow: '#EAB308',
+  orange: '#F59E0B',
+  red: '#EF4444',
+  purple: '#8B5CF6',
+  blue: '#3B82F6',
+  sky: '#0EA5E9',
+  lime: '#84CC16',
+  pink: '#EC4899',
+  black: '#334155'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Trello import summary type definition
+ * @typedef {Object} TrelloImportSummary
+ * @property {Object} board - Created board
+ * @property {number} columns - Columns created from lists
+ * @property {number} cards - Cards created
+ * @property {number} labels - Labels created
+ * @property {number} checklistItems - Checklist items carried over
+ * @property {Array<{kind: string, count: number}>} unmapped - Trello data with no equivalent here
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Check whether a parsed JSON document looks like a Trello board export
+ * @param {any} doc - Parsed JSON document
+ * @returns {boolean} True for Trello board exports
+ */
+export const isTrelloExport = (doc) => {
+  return doc !== null
+    && typeof doc === 'object'
+    && typeof doc.name === 'string'
+    && Array.isArray(doc.lists)
+    && Array.isArray(doc.cards);
+};
+
+/**
+ * Resolve a Trello label color (e.g. 'green' or 'green_dark') to hex
+ * @param {string|null} color - Trello color name
+ * @param {number} index - Fallback palette index
+ * @returns {string} Hex color
+ */
+const toLabelColor = (color, index) => {
+  const baseColor = (color || '').split('_')[0];
+  return TRELLO_COLORS[baseColor] || LABEL_COLORS[index % LABEL_COLORS.length];
+};
+
+const byPosition = (a, b) => (a.pos ?? 0) - (b.pos ?? 0);
+
+/**
+ * Convert a Trello checklist into a card checklist
+ * @param {Object} trelloChecklist - Trello checklist with checkItems
+ * @returns {Object} Card checklist
+ */
+const toChecklist = (trelloChecklist) => {
+  const checklist = createChecklist(trelloChecklist.name);
+  checklist.items = [...(trelloChecklist.checkItems || [])]
+    .sort(byPosition)
+    .map((item, position) => createChecklistItem(item.name, position, item.state === 'complete'));
+  return checklist;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a board from a Trello board export. Lists become columns, closed lists
+ * and cards are imported archived. Everything is saved in one transaction, so a
+ * failed import leaves nothing behind.
+ * @param {Object} doc - Parsed Trello board export
+ * @returns {Promise<TrelloImportSummary>} What was created and what could not be mapped
+ * @throws {StorageError} When the transaction fails; nothing was imported
+ */
+export const importTrelloBoard = async (doc) => {
+  if (!isTrelloExport(doc)) {
+    throw new Error('The file is not a Trello board export');
+  }
+
+  const now = Date.now();
+  const archive = (record) => ({ ...record, archived: 1, archivedAt: now });
+
+  const board = buildBoard({
+    title: doc.name,
+    description: doc.desc || ''
+  });
+
+  // Labels
+  const trelloLabels = doc.labels || [];
+  const labels = trelloLabels.map((trelloLabel, index) => buildLabel({
+    boardId: board.id,
+    // Trello allows unnamed labels; fall back to the color name
+    name: trelloLabel.name || (trelloLabel.color || 'label').replace('_', ' '),
+    color: toLabelColor(trelloLabel.color, index)
+  }));
+  const labelIds = new Map(trelloLabels.map((trelloLabel, index) => [trelloLabel.id, labels[index].id]));
+
+  // Lists become columns; closed lists are kept but archived, and restoring
+  // them puts them back at the end of the board
+  const lists = [...doc.lists].sort(byPosition);
+  const columnIds = new Map();
+  const columns = [];
+  lists.forEach(list => {
+    const column = buildColumn({
+      boardId: board.id,
+      title: list.name,
+      position: list.closed ? 0 : board.columnOrder.length
+    });
+    columnIds.set(list.id, column.id);
+    if (list.closed) {
+      columns.push(archive(column));
+    } else {
+      columns.push(column);
+      board.columnOrder.push(column.id);
+    }
+  });
+
+  // Cards
+  const checklistsByCard = new Map();
+  (doc.checklists || []).forEach(checklist => {
+    const cardChecklists = checklistsByCard.get(checklist.idCard) || [];
+    checklistsByCard.set(checklist.idCard, [...cardChecklists, checklist]);
+  });
+
+  const unmappedCounts = { attachments: 0, members: 0, comments: 0, stickers: 0, 'custom fields': 0 };
+  const positions = new Map();
+  const cards = [];
+  let checklistItemCount = 0;
+  let orphanedCards = 0;
+
+  [...doc.cards].sort(byPosition).forEach(trelloCard => {
+    const columnId = columnIds.get(trelloCard.idList);
+    if (!columnId) {
+      orphanedCards++;
+      return;
+    }
+
+    const checklists = [...(checklistsByCard.get(trelloCard.id) || [])].sort(byPosition);
+    checklistItemCount += checklists.reduce((sum, c) => sum + (c.checkItems || []).length, 0);
+
+    // Only open cards take a slot; restoring a closed one appends it to its column
+    const dueDate = trelloCard.due ? Date.parse(trelloCard.due) : NaN;
+    const position = trelloCard.closed ? 0 : (positions.get(columnId) || 0);
+    if (!trelloCard.closed) {
+      positions.set(columnId, position + 1);
+    }
+
+    const card = buildCard({
+      columnId,
+      title: trelloCard.name,
+      description: trelloCard.desc || '',
+      checklists: checklists.map(toChecklist),
+      dueDate: Number.isNaN(dueDate) ? null : dueDate,
+      labelIds: (trelloCard.idLabels || [])
+        .filter(id => labelIds.has(id))
+        .map(id => labelIds.get(id)),
+      position
+    });
+    cards.push(trelloCard.closed ? archive(card) : card);
+
+    unmappedCounts.attachments += (trelloCard.attachments || []).length;
+    unmappedCounts.members += (trelloCard.idMembers || []).length;
+    unmappedCounts.stickers += (trelloCard.stickers || []).length;
+    unmappedCounts['custom fields'] += (trelloCard.customFieldItems || []).length;
+  });
+
+  await runTransactionInIndexedDB(
+    ['boards', 'columns', 'cards', 'labels'],
+    async (tables) => {
+      await tables.labels.bulkPut(labels);
+      await tables.cards.bulkPut(cards);
+      await tables.columns.bulkPut(columns);
+      await tables.boards.put(board);
+    }
+  );
+
+  unmappedCounts.comments = (doc.actions || []).filter(action => action.type === 'commentCard').length;
+
+  const unmapped = Object.entries(unmappedCounts)
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => ({ kind, count }));
+  if (orphanedCards > 0) {
+    unmapped.push({ kind: 'cards without a list', count: orphanedCards });
+  }
+
+  return {
+    board,
+    columns: lists.length,
+    cards: cards.length,
+    labels: trelloLabels.length,
+    checklistItems: checklistItemCount,
+    unmapped
+  };
+};
@@ -0,0 +1,106 @@
+// Leading characters that make spreadsheet apps evaluate a cell as a formula
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+// PUBLIC_INTERFACE
+/**
+ * Prefix text that a spreadsheet would evaluate as a formula with an
+ * apostrophe, so it opens as plain text
+ * @param {string} text - Cell text
+ * @returns {string} Text safe to open in a spreadsheet
+ */
+export const escapeFormula = (text) => (FORMULA_TRIGGER.test(text) ? `'${text}` : text);
+
+// PUBLIC_INTERFACE
+/**
+ * Undo escapeFormula, for reading back a file this app exported
+ * @param {string} text - Cell text
+ * @returns {string} Original text
+ */
+export const unescapeFormula = (text) => {
+  return text.startsWith("'") && FORMULA_TRIGGER.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Serialize rows into RFC 4180 CSV. Fields containing commas, quotes or
+ * line breaks are quoted, with embedded quotes doubled.
+ * @param {Array<Array<any>>} rows - Rows of field values
+ * @returns {string} CSV text using CRLF line endings
+ */
+export const toCsv = (rows) => {
+  return rows
+    .map(row => row
+      .map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(','))
+    .join('\r\n');
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields with embedded
+ * commas, doubled quotes and line breaks, and both LF and CRLF line endings.
+ * @param {string} text - CSV text
+ * @returns {{rows: Array<{line: number, fields: string[]}>, error: string|null}} Parsed rows
+ *   with the 1-based line each starts on, and an error for malformed input
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet apps
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines entirely
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { rows, error: `Unterminated quoted field starting on line ${rowLine}` };
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return { rows, error: null };
+};
@@ -0,0 +1,45 @@
+// PUBLIC_INTERFACE
+/**
+ * Offer text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [mimeType='application/json'] - Content type
+ */
+export const downloadTextFile = (filename, content, mimeType = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Read a user-selected file as text
+ * @param {File} file - File from an <input type="file"> or drop event
+ * @returns {Promise<string>} File content
+ */
+export const readTextFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Turn a title into a file-name-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string} Lowercase slug
+ */
+export const slugify = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+};
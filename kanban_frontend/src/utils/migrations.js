@@ -0,0 +1,140 @@
+// Schema history of the IndexedDB database. Each migration declares one Dexie
+// version: the stores it adds or changes and, optionally, an upgrade() that
+// rewrites existing rows when a browser opens an older database. Released
+// migrations must never change; append a new one instead.
+
+/**
+ * Backfill fields that boards, columns and cards gained after the first
+ * release. Rows from before archiving existed get archived: 0, which also puts
+ * them in the `archived` index.
+ * @param {Object} tx - Dexie upgrade transaction
+ * @returns {Promise<void>}
+ */
+const backfillFields = async (tx) => {
+  await tx.table('boards').toCollection().modify(board => {
+    board.wipPolicy = board.wipPolicy ?? 'warn';
+    board.sortByDueDate = board.sortByDueDate ?? false;
+    board.archived = board.archived ? 1 : 0;
+    board.archivedAt = board.archivedAt ?? null;
+  });
+
+  await tx.table('columns').toCollection().modify(column => {
+    column.cardLimit = column.cardLimit ?? null;
+    column.sortMode = column.sortMode ?? 'manual';
+    column.isDone = column.isDone ?? false;
+    column.archived = column.archived ? 1 : 0;
+    column.archivedAt = column.archivedAt ?? null;
+  });
+
+  await tx.table('cards').toCollection().modify(card => {
+    card.priority = card.priority ?? null;
+    card.dueDate = card.dueDate ?? null;
+    card.labelIds = card.labelIds ?? [];
+    card.checklists = card.checklists ?? [];
+    card.archived = card.archived ? 1 : 0;
+    card.archivedAt = card.archivedAt ?? null;
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Schema migration type definition
+ * @typedef {Object} Migration
+ * @property {number} version - Dexie schema version
+ * @property {string} description - What the version changes
+ * @property {Object<string, string>} stores - Stores added or changed in this version
+ * @property {Function} [upgrade] - Rewrites existing rows; receives the upgrade transaction
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Every schema version, oldest first
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    stores: {
+      boards: 'id, createdAt, starred, archived',
+      columns: 'id, boardId, position',
+      cards: 'id, columnId, position, dueDate, priority',
+      labels: 'id, boardId',
+      settings: 'key'
+    }
+  },
+  {
+    version: 2,
+    description: 'Attachment Blobs in their own store so card rows stay small',
+    stores: {
+      attachments: 'id, cardId'
+    }
+  },
+  {
+    version: 3,
+    description: 'Per-card search tokens, so the search index survives reloads',
+    stores: {
+      searchIndex: 'cardId'
+    }
+  },
+  {
+    version: 4,
+    description: 'Backfill fields added since the initial schema',
+    stores: {},
+    upgrade: backfillFields
+  },
+  {
+    version: 5,
+    description: 'Outbound sync queue and the last synced copy of each record',
+    stores: {
+      syncQueue: 'key, queuedAt',
+      syncBase: 'key'
+    }
+  },
+  {
+    version: 6,
+    description: 'Index archived columns and cards for the Archived view',
+    stores: {
+      columns: 'id, boardId, position, archived',
+      cards: 'id, columnId, position, dueDate, priority, archived'
+    }
+  }
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Latest schema version
+ * @type {number}
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Settings key recording the schema version the database was last opened with
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// PUBLIC_INTERFACE
+/**
+ * Declare every schema version on a Dexie instance, before it is opened
+ * @param {Object} db - Dexie database instance
+ */
+export const declareMigrations = (db) => {
+  MIGRATIONS.forEach(migration => {
+    const version = db.version(migration.version).stores(migration.stores);
+    if (migration.upgrade) {
+      version.upgrade(migration.upgrade);
+    }
+  });
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Record the applied schema version in the settings store. Upgrade functions
+ * don't run for brand new databases, so this runs after every open.
+ * @param {Object} db - Opened Dexie database instance
+ * @returns {Promise<void>}
+ */
+export const recordSchemaVersion = async (db) => {
+  const recorded = await db.settings.get(SCHEMA_VERSION_KEY);
+  if (recorded?.value !== SCHEMA_VERSION) {
+    await db.settings.put({ key: SCHEMA_VERSION_KEY, value: SCHEMA_VERSION, updatedAt: Date.now() });
+  }
+};
@@ -0,0 +1,163 @@
+import 'fake-indexeddb/auto';
+import Dexie from 'dexie';
+import { initIndexedDB, closeStorage, loadAllFromIndexedDB, loadFromIndexedDB } from './storage';
+import { MIGRATIONS, SCHEMA_VERSION, SCHEMA_VERSION_KEY } from './migrations';
+import { loadArchivedBoards, loadBoards } from '../state/boards';
+import { loadColumns } from '../state/columns';
+import { loadCards } from '../state/cards';
+
+const DB_NAME = 'kanban-app-db';
+
+// Rows as the first release wrote them, before labels, archiving, checklists
+// and the other later fields existed. No row has an `archived` field yet, so
+// none of them is in the `archived` index until the backfill sets it.
+const V1_FIXTURE = {
+  boards: [
+    {
+      id: 'board-1',
+      title: 'Roadmap',
+      description: 'Kept from v1',
+      emoji: '🗺️',
+      columnOrder: ['column-1', 'column-2'],
+      starred: false,
+      backgroundColor: '#ffffff',
+      createdAt: 1000,
+      updatedAt: 1000
+    },
+    {
+      id: 'board-2',
+      title: 'Ideas',
+      description: '',
+      emoji: '📋',
+      columnOrder: [],
+      starred: false,
+      backgroundColor: '#ffffff',
+      createdAt: 2000,
+      updatedAt: 2000
+    }
+  ],
+  columns: [
+    { id: 'column-1', boardId: 'board-1', title: 'To Do', cardOrder: [], position: 0, color: null, cardLimit: 3, createdAt: 1000, updatedAt: 1000 },
+    { id: 'column-2', boardId: 'board-1', title: 'Done', cardOrder: [], position: 1, color: null, cardLimit: null, createdAt: 1000, updatedAt: 1000 }
+  ],
+  cards: [
+    { id: 'card-1', columnId: 'column-1', title: 'Plan', description: 'Write the plan', position: 0, priority: 'high', dueDate: 5000, createdAt: 1000, updatedAt: 1500 },
+    { id: 'card-2', columnId: 'column-1', title: 'Ship', description: '', position: 1, priority: null, dueDate: null, createdAt: 1000, updatedAt: 1000 },
+    { id: 'card-3', columnId: 'column-2', title: 'Kickoff', description: '', position: 0, priority: null, dueDate: null, createdAt: 1000, updatedAt: 1000 }
+  ],
+  labels: [],
+  settings: [
+    { key: 'theme', value: 'dark', updatedAt: 1000 }
+  ]
+};
+
+/**
+ * Create a database at schema version 1 filled with the fixture rows
+ */
+const createV1Database = async () => {
+  const v1 = new Dexie(DB_NAME);
+  v1.version(1).stores(MIGRATIONS[0].stores);
+  await v1.open();
+  await Promise.all(
+    Object.entries(V1_FIXTURE).map(([store, rows]) => v1.table(store).bulkPut(rows))
+  );
+  v1.close();
+};
+
+afterEach(async () => {
+  closeStorage();
+  await Dexie.delete(DB_NAME);
+});
+
+test('migration versions are unique and ascending', () => {
+  const versions = MIGRATIONS.map(m => m.version);
+  expect(versions).toEqual([...versions].sort((a, b) => a - b));
+  expect(new Set(versions).size).toBe(versions.length);
+  expect(SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+});
+
+test('records the schema version when creating a new database', async () => {
+  expect(await initIndexedDB()).toBe(true);
+
+  const recorded = await loadFromIndexedDB('settings', SCHEMA_VERSION_KEY);
+  expect(recorded.value).toBe(SCHEMA_VERSION);
+});
+
+test('upgrades a v1 database without losing data', async () => {
+  await createV1Database();
+
+  expect(await initIndexedDB()).toBe(true);
+
+  const boards = await loadAllFromIndexedDB('boards');
+  const columns = await loadAllFromIndexedDB('columns');
+  const cards = await loadAllFromIndexedDB('cards');
+  expect(boards).toHaveLength(V1_FIXTURE.boards.length);
+  expect(columns).toHaveLength(V1_FIXTURE.columns.length);
+  expect(cards).toHaveLength(V1_FIXTURE.cards.length);
+
+  // Existing values survive the upgrade untouched
+  V1_FIXTURE.cards.forEach(original => {
+    expect(cards.find(c => c.id === original.id)).toMatchObject(original);
+  });
+  expect(columns.find(c => c.id === 'column-1').cardLimit).toBe(3);
+  expect(boards.find(b => b.id === 'board-1').columnOrder).toEqual(['column-1', 'column-2']);
+  expect((await loadFromIndexedDB('settings', 'theme')).value).toBe('dark');
+
+  // New fields are backfilled with their defaults
+  expect(boards.find(b => b.id === 'board-1')).toMatchObject({
+    wipPolicy: 'warn',
+    sortByDueDate: false,
+    archived: 0,
+    archivedAt: null
+  });
+  expect(columns.find(c => c.id === 'column-2')).toMatchObject({
+    sortMode: 'manual',
+    isDone: false,
+    archived: 0,
+    archivedAt: null
+  });
+  expect(cards.find(c => c.id === 'card-2')).toMatchObject({
+    labelIds: [],
+    checklists: [],
+    archived: 0,
+    archivedAt: null
+  });
+
+  // Every board, column and card is now in the archived index, as not archived
+  expect((await loadAllFromIndexedDB('boards', { archived: 0 })).map(b => b.id))
+    .toEqual(['board-1', 'board-2']);
+  expect(await loadAllFromIndexedDB('boards', { archived: 1 })).toEqual([]);
+  expect(await loadAllFromIndexedDB('columns', { archived: 0 })).toHaveLength(V1_FIXTURE.columns.length);
+  expect(await loadAllFromIndexedDB('cards', { archived: 0 })).toHaveLength(V1_FIXTURE.cards.length);
+
+  // Stores added after v1 exist and start empty
+  expect(await loadAllFromIndexedDB('attachments')).toEqual([]);
+  expect(await loadAllFromIndexedDB('searchIndex')).toEqual([]);
+  expect(await loadAllFromIndexedDB('syncQueue')).toEqual([]);
+
+  const recorded = await loadFromIndexedDB('settings', SCHEMA_VERSION_KEY);
+  expect(recorded.value).toBe(SCHEMA_VERSION);
+});
+
+test('upgraded data loads through the state modules', async () => {
+  await createV1Database();
+  await initIndexedDB();
+
+  expect((await loadBoards()).map(b => b.id)).toEqual(['board-1', 'board-2']);
+  expect(await loadArchivedBoards()).toEqual([]);
+  expect((await loadColumns('board-1')).map(c => c.id)).toEqual(['column-1', 'column-2']);
+  expect((await loadCards('column-1')).map(c => c.id)).toEqual(['card-1', 'card-2']);
+});
+
+test('reopening an upgraded database leaves it unchanged', async () => {
+  await createV1Database();
+  await initIndexedDB();
+  const cardsBefore = await loadAllFromIndexedDB('cards');
+  const recordedBefore = await loadFromIndexedDB('settings', SCHEMA_VERSION_KEY);
+
+  closeStorage();
+  await initIndexedDB();
+
+  expect(await loadAllFromIndexedDB('cards')).toEqual(cardsBefore);
+  expect(await loadFromIndexedDB('settings', SCHEMA_VERSION_KEY)).toEqual(recordedBefore);
+});
@@ -1,188 +1,635 @@
-import Dexie from 'dexie';
+import {
+  STORAGE_MODES,
+  PRIMARY_KEYS,
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter
+} from './storageAdapters';
 
-// IndexedDB database instance
-let db = null;
+// The helpers below are named after IndexedDB, the normal backend, but read
+// and write whichever adapter initStorage() picked.
+
+// Active storage adapter, or null until storage is opened
+let adapter = null;
+// Pending initStorage() call, shared by concurrent first uses
+let opening = null;
+
+// Committed writes are announced to the app's other tabs on this channel
+const CHANGE_CHANNEL_NAME = 'kanban-app-changes';
+let changeChannel = null;
+const changeListeners = new Set();
+// Listeners for writes committed in this tab
+const localChangeListeners = new Set();
+// Hooks that write alongside other writes; see addWriteHook()
+const writeHooks = new Set();
 
 // PUBLIC_INTERFACE
 /**
- * Initialize IndexedDB connection
- * @returns {Promise<boolean>} Success status
+ * Storage error codes
+ * @enum {string}
  */
-export const initIndexedDB = async () => {
-  try {
-    db = new Dexie('kanban-app-db');
-    
-    db.version(1).stores({
-      boards: 'id, createdAt, starred, archived',
-      columns: 'id, boardId, position',
-      cards: 'id, columnId, position, dueDate, priority',
-      labels: 'id, boardId',
-      settings: 'key'
-    });
+export const STORAGE_ERROR_CODES = {
+  QUOTA_EXCEEDED: 'quota-exceeded',
+  BLOCKED: 'blocked',
+  NOT_FOUND: 'not-found',
+  CONFLICT: 'conflict',
+  UNKNOWN: 'unknown'
+};
 
-    await db.open();
-    console.log('IndexedDB initialized successfully');
-    return true;
-  } catch (err) {
-    console.error('Error initializing IndexedDB:', err);
-    return false;
-  }
+// Messages shown to the user for each code
+const STORAGE_ERROR_MESSAGES = {
+  [STORAGE_ERROR_CODES.QUOTA_EXCEEDED]: 'Browser storage is full. Free up space, e.g. by removing large attachments, and try again.',
+  [STORAGE_ERROR_CODES.BLOCKED]: 'The database is in use by another tab running a different version. Close other tabs of this app and try again.',
+  [STORAGE_ERROR_CODES.NOT_FOUND]: 'The item no longer exists.',
+  [STORAGE_ERROR_CODES.CONFLICT]: 'The item was changed elsewhere since you started editing it.'
+};
+
+// Dexie error names and the code each maps to
+const ERROR_CODES_BY_NAME = {
+  QuotaExceededError: STORAGE_ERROR_CODES.QUOTA_EXCEEDED,
+  // Firefox's name for a full localStorage
+  NS_ERROR_DOM_QUOTA_REACHED: STORAGE_ERROR_CODES.QUOTA_EXCEEDED,
+  VersionError: STORAGE_ERROR_CODES.BLOCKED,
+  VersionChangeError: STORAGE_ERROR_CODES.BLOCKED,
+  DatabaseClosedError: STORAGE_ERROR_CODES.BLOCKED,
+  BlockedError: STORAGE_ERROR_CODES.BLOCKED,
+  NotFoundError: STORAGE_ERROR_CODES.NOT_FOUND
 };
 
 // PUBLIC_INTERFACE
 /**
- * Save data to IndexedDB
- * @param {string} storeName - The object store name
- * @param {Object} data - Data to save
- * @returns {Promise<boolean>} Success status
+ * Error raised when browser storage can't complete an operation
  */
-export const saveToIndexedDB = async (storeName, data) => {
+export class StorageError extends Error {
+  /**
+   * @param {string} code - One of STORAGE_ERROR_CODES
+   * @param {string} [message] - Message for the user; defaults to one matching the code
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(code, message, cause) {
+    super(message || STORAGE_ERROR_MESSAGES[code] || 'Could not access browser storage.');
+    this.name = 'StorageError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Wrap an error thrown by a storage adapter in a StorageError
+ * @param {Error} err - Caught error
+ * @returns {StorageError} Typed error
+ */
+const toStorageError = (err) => {
+  if (err instanceof StorageError) return err;
+
+  // Dexie reports aborted transactions with the real cause as `inner`
+  const code = ERROR_CODES_BY_NAME[err?.name] || ERROR_CODES_BY_NAME[err?.inner?.name];
+  return code
+    ? new StorageError(code, undefined, err)
+    : new StorageError(STORAGE_ERROR_CODES.UNKNOWN, err?.message, err);
+};
+
+// Writes that failed, oldest first, kept so they can be retried
+let failedWrites = [];
+const failedWriteListeners = new Set();
+
+/**
+ * Tell subscribers the failed write list changed
+ */
+const notifyFailedWrites = () => {
+  const errors = failedWrites.map(write => write.error);
+  failedWriteListeners.forEach(listener => listener(errors));
+};
+
+/**
+ * Open the database on first use
+ * @returns {Promise<void>}
+ */
+const ensureOpen = async () => {
+  if (!adapter) await initStorage();
+};
+
+/**
+ * Run a read, turning failures into StorageErrors
+ * @param {Function} operation - Reads from `adapter`
+ * @returns {Promise<*>} Operation result
+ */
+const performRead = async (operation) => {
   try {
-    if (!db) await initIndexedDB();
-    await db[storeName].put(data);
-    return true;
+    await ensureOpen();
+    return await operation();
   } catch (err) {
-    console.error('Error saving to IndexedDB:', err);
-    return false;
+    console.error('Error reading from storage:', err);
+    throw toStorageError(err);
   }
 };
 
 // PUBLIC_INTERFACE
 /**
- * Load data from IndexedDB
- * @param {string} storeName - The object store name
- * @param {string} key - The key to retrieve
- * @returns {Promise<Object|null>} Retrieved data or null
+ * Storage change type definition, in the same shape as history operations
+ * @typedef {Object} StorageChange
+ * @property {string} store - Object store name
+ * @property {string} type - 'put' wrote a full record, 'delete' removed one by key,
+ *   'clear' emptied the store
+ * @property {Object} [record] - Record written by 'put' changes
+ * @property {string} [id] - Key removed by 'delete' changes
  */
-export const loadFromIndexedDB = async (storeName, key) => {
+
+/**
+ * Wrap transaction tables so every write they make is recorded as a change.
+ * Exposes the subset of the Dexie Table API the state modules use.
+ * @param {Object} tables - Adapter tables keyed by store name
+ * @param {StorageChange[]} changes - Receives the changes
+ * @returns {Object} Tracked tables keyed by store name
+ */
+const trackChanges = (tables, changes) => {
+  return Object.fromEntries(Object.entries(tables).map(([store, table]) => {
+    const recordDeletes = (ids) => {
+      ids.forEach(id => changes.push({ store, type: 'delete', id }));
+    };
+    const trackCollection = (collection) => ({
+      toArray: () => collection.toArray(),
+      primaryKeys: () => collection.primaryKeys(),
+      // Look the keys up first so the deletes can be announced
+      delete: () => collection.primaryKeys().then(ids => table.bulkDelete(ids).then(() => {
+        recordDeletes(ids);
+        return ids.length;
+      }))
+    });
+
+    return [store, {
+      get: (key) => table.get(key),
+      bulkGet: (keys) => table.bulkGet(keys),
+      toArray: () => table.toArray(),
+      toCollection: () => trackCollection(table.toCollection()),
+      filter: (predicate) => trackCollection(table.filter(predicate)),
+      where: (field) => ({
+        equals: (value) => trackCollection(table.where(field).equals(value)),
+        anyOf: (values) => trackCollection(table.where(field).anyOf(values))
+      }),
+      // Writes chain on the table's own promises: every extra native await
+      // before the transaction settles risks Dexie seeing it commit too early
+      put: (record) => table.put(record).then(key => {
+        changes.push({ store, type: 'put', record });
+        return key;
+      }),
+      bulkPut: (records) => table.bulkPut(records).then(() => {
+        records.forEach(record => changes.push({ store, type: 'put', record }));
+      }),
+      delete: (id) => table.delete(id).then(() => {
+        recordDeletes([id]);
+      }),
+      bulkDelete: (ids) => table.bulkDelete(ids).then(() => {
+        recordDeletes(ids);
+      }),
+      clear: () => table.clear().then(() => {
+        changes.push({ store, type: 'clear' });
+      })
+    }];
+  }));
+};
+
+/**
+ * Wrap tables so a put over a stored record with a later updatedAt is refused.
+ * Used when replaying a failed write, whose records may have been saved again
+ * since it was first attempted.
+ * @param {Object} tables - Tables keyed by store name
+ * @returns {Object} Guarded tables keyed by store name
+ * @throws {StorageError} With code 'conflict', from put and bulkPut, when a record is stale
+ */
+const rejectStaleWrites = (tables) => {
+  return Object.fromEntries(Object.entries(tables).map(([store, table]) => {
+    const primaryKey = PRIMARY_KEYS[store];
+    const assertCurrent = (records) => table.bulkGet(records.map(record => record[primaryKey]))
+      .then(storedRecords => {
+        if (storedRecords.some((stored, index) => stored && stored.updatedAt > records[index].updatedAt)) {
+          throw new StorageError(STORAGE_ERROR_CODES.CONFLICT);
+        }
+      });
+
+    return [store, {
+      ...table,
+      put: (record) => assertCurrent([record]).then(() => table.put(record)),
+      bulkPut: (records) => assertCurrent(records).then(() => table.bulkPut(records))
+    }];
+  }));
+};
+
+/**
+ * Announce committed changes to the app's other tabs. In-memory storage
+ * isn't shared between tabs, so its changes stay local.
+ * @param {StorageChange[]} changes - Committed changes
+ */
+const publishChanges = (changes) => {
+  if (!changeChannel || changes.length === 0) return;
+
   try {
-    if (!db) await initIndexedDB();
-    return await db[storeName].get(key);
+    changeChannel.postMessage({ mode: adapter.mode, changes });
   } catch (err) {
-    console.error('Error loading from IndexedDB:', err);
-    return null;
+    // The write itself succeeded; other tabs catch up on their next load
+    console.error('Error announcing storage changes:', err);
   }
 };
 
-// PUBLIC_INTERFACE
 /**
- * Load all data from a store
- * @param {string} storeName - The object store name
- * @param {Object} filter - Optional filter object
- * @returns {Promise<Array>} Array of items
+ * Apply changes announced by another tab
+ * @param {MessageEvent} event - Channel message with the tab's storage mode and changes
  */
-export const loadAllFromIndexedDB = async (storeName, filter = null) => {
+const handleRemoteChanges = async ({ data }) => {
+  // A tab on another backend doesn't share this tab's data
+  if (!adapter || data.mode !== adapter.mode) return;
+
   try {
-    if (!db) await initIndexedDB();
-    
-    if (filter) {
-      const collection = db[storeName].where(filter);
-      return await collection.toArray();
+    if (adapter.reload) {
+      await adapter.reload([...new Set(data.changes.map(change => change.store))]);
     }
-    
-    return await db[storeName].toArray();
+    changeListeners.forEach(listener => listener(data.changes));
   } catch (err) {
-    console.error('Error loading all from IndexedDB:', err);
-    return [];
+    console.error('Error applying changes from another tab:', err);
   }
 };
 
-// PUBLIC_INTERFACE
 /**
- * Delete data from IndexedDB
- * @param {string} storeName - The object store name
- * @param {string} id - The key to delete
- * @returns {Promise<boolean>} Success status
+ * Tell this tab's listeners about committed changes. Listener errors are
+ * logged rather than failing the write, which has already been stored.
+ * @param {StorageChange[]} changes - Committed changes
+ * @param {string|null} source - Source the write was tagged with
  */
-export const deleteFromIndexedDB = async (storeName, id) => {
+const notifyLocalChanges = (changes, source) => {
+  if (changes.length === 0) return;
+
+  localChangeListeners.forEach(listener => {
+    try {
+      listener(changes, { source });
+    } catch (err) {
+      console.error('Error handling storage changes:', err);
+    }
+  });
+};
+
+/**
+ * Run a write and announce its changes once committed
+ * @param {Function} operation - Writes to `adapter`, pushing each change onto the array it
+ *   receives; also gets `{ replay }`
+ * @param {string|null} [source=null] - Tag passed on to local change listeners
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.replay=false] - Whether this retries a failed write
+ * @returns {Promise<void>}
+ */
+const runWrite = async (operation, source = null, { replay = false } = {}) => {
+  await ensureOpen();
+  const changes = [];
+  await operation(changes, { replay });
+  publishChanges(changes);
+  notifyLocalChanges(changes, source);
+};
+
+/**
+ * Run a write, turning failures into StorageErrors and remembering the write
+ * so it can be retried
+ * @param {Function} operation - Writes to `adapter`, pushing each change onto the array it
+ *   receives; must be safe to run again
+ * @param {string|null} [source=null] - Tag passed on to local change listeners
+ * @returns {Promise<boolean>} True once the write is stored
+ */
+const performWrite = async (operation, source = null) => {
   try {
-    if (!db) await initIndexedDB();
-    await db[storeName].delete(id);
+    await runWrite(operation, source);
     return true;
   } catch (err) {
-    console.error('Error deleting from IndexedDB:', err);
-    return false;
+    console.error('Error writing to storage:', err);
+    const error = toStorageError(err);
+    // Retrying can't fix a missing record or a newer version saved elsewhere
+    if (error.code !== STORAGE_ERROR_CODES.NOT_FOUND && error.code !== STORAGE_ERROR_CODES.CONFLICT) {
+      failedWrites = [...failedWrites, { operation, source, error }];
+      notifyFailedWrites();
+    }
+    throw error;
   }
 };
 
+/**
+ * Run a write in one adapter transaction that records its changes. Write hooks
+ * watching a store it touches run in the same transaction, after the write.
+ * When the write is replayed, records saved again since are not overwritten.
+ * @param {string[]} storeNames - Object stores written
+ * @param {Function} callback - Receives the tracked tables of storeNames
+ * @param {string|null} [source=null] - Tag passed on to write hooks and local change listeners
+ * @returns {Promise<boolean>} True once committed
+ */
+const performTrackedWrite = async (storeNames, callback, source = null) => {
+  return await performWrite((changes, { replay }) => {
+    const hooks = [...writeHooks].filter(hook => hook.watches.some(store => storeNames.includes(store)));
+    const allStores = [...new Set([...storeNames, ...hooks.flatMap(hook => hook.stores)])];
+    const pick = (tables, names) => Object.fromEntries(names.map(name => [name, tables[name]]));
+
+    return adapter.transaction(allStores, async (tables) => {
+      const tracked = trackChanges(tables, changes);
+      const written = pick(tracked, storeNames);
+      const result = await callback(replay ? rejectStaleWrites(written) : written);
+      for (const hook of hooks) {
+        await hook.onWrite([...changes], pick(tracked, hook.stores), { source });
+      }
+      return result;
+    });
+  }, source);
+};
+
+/**
+ * Open an adapter and make it the active one
+ * @param {Object} candidate - Storage adapter to open
+ * @returns {Promise<void>}
+ */
+const openAdapter = async (candidate) => {
+  await candidate.open();
+  adapter = candidate;
+
+  if (!changeChannel && adapter.mode !== STORAGE_MODES.MEMORY && typeof BroadcastChannel !== 'undefined') {
+    changeChannel = new BroadcastChannel(CHANGE_CHANNEL_NAME);
+    changeChannel.onmessage = handleRemoteChanges;
+  }
+};
+
+// Another tab is upgrading the schema: the adapter has closed its connection
+// to let it through, so reopen on next use
+const handleVersionChange = () => {
+  adapter = null;
+};
+
 // PUBLIC_INTERFACE
 /**
- * Bulk save to IndexedDB
- * @param {string} storeName - The object store name
- * @param {Array} items - Array of items to save
- * @returns {Promise<boolean>} Success status
+ * Open browser storage, falling back from IndexedDB to localStorage and then
+ * to memory when a backend is unavailable. An IndexedDB blocked by another tab
+ * is not a reason to fall back, since the data is there once the tab closes.
+ * @returns {Promise<string>} The STORAGE_MODES value in use
+ * @throws {StorageError} When IndexedDB is blocked by another tab
  */
-export const bulkSaveToIndexedDB = async (storeName, items) => {
-  try {
-    if (!db) await initIndexedDB();
-    await db[storeName].bulkPut(items);
-    return true;
-  } catch (err) {
-    console.error('Error bulk saving to IndexedDB:', err);
-    return false;
+export const initStorage = async () => {
+  if (adapter) return adapter.mode;
+
+  if (!opening) {
+    opening = (async () => {
+      try {
+        await openAdapter(createIndexedDBAdapter({ onVersionChange: handleVersionChange }));
+        return adapter.mode;
+      } catch (err) {
+        const error = toStorageError(err);
+        if (error.code === STORAGE_ERROR_CODES.BLOCKED) {
+          console.error('Error initializing IndexedDB:', err);
+          throw error;
+        }
+        console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+      }
+
+      try {
+        await openAdapter(createLocalStorageAdapter());
+      } catch (err) {
+        console.warn('localStorage unavailable, keeping data in memory:', err);
+        await openAdapter(createMemoryAdapter());
+      }
+      return adapter.mode;
+    })().finally(() => {
+      opening = null;
+    });
   }
+
+  return await opening;
 };
 
 // PUBLIC_INTERFACE
 /**
- * Clear all data from a store
- * @param {string} storeName - The object store name
- * @returns {Promise<boolean>} Success status
+ * Initialize IndexedDB connection, without falling back to other storage
+ * @returns {Promise<boolean>} True once the database is open
+ * @throws {StorageError} When the database can't be opened or upgraded
  */
-export const clearStoreInIndexedDB = async (storeName) => {
+export const initIndexedDB = async () => {
+  closeStorage();
   try {
-    if (!db) await initIndexedDB();
-    await db[storeName].clear();
+    await openAdapter(createIndexedDBAdapter({ onVersionChange: handleVersionChange }));
+    console.log('IndexedDB initialized successfully');
     return true;
   } catch (err) {
-    console.error('Error clearing store in IndexedDB:', err);
-    return false;
+    console.error('Error initializing IndexedDB:', err);
+    throw toStorageError(err);
   }
 };
 
 // PUBLIC_INTERFACE
 /**
- * Load application state from localStorage (fallback)
- * @returns {Object|null} Parsed state object or null if not found
+ * Get the storage mode in use
+ * @returns {string|null} A STORAGE_MODES value, or null before storage is opened
  */
-export const loadAppState = () => {
-  try {
-    const serializedState = localStorage.getItem('kanban-app-state');
-    if (serializedState === null) {
-      return null;
-    }
-    return JSON.parse(serializedState);
-  } catch (err) {
-    console.error('Error loading app state:', err);
-    return null;
+export const getStorageMode = () => (adapter ? adapter.mode : null);
+
+// PUBLIC_INTERFACE
+/**
+ * Close the active storage. The next storage call opens it again.
+ */
+export const closeStorage = () => {
+  if (adapter) {
+    adapter.close();
+    adapter = null;
+  }
+  if (changeChannel) {
+    changeChannel.close();
+    changeChannel = null;
   }
 };
 
 // PUBLIC_INTERFACE
 /**
- * Save application state to localStorage (fallback)
- * @param {Object} state - The state object to save
- * @returns {boolean} Success status
+ * Subscribe to writes committed by the app's other tabs
+ * @param {Function} listener - Called with the StorageChange list of each committed write
+ * @returns {Function} Unsubscribe function
  */
-export const saveAppState = (state) => {
-  try {
-    const serializedState = JSON.stringify(state);
-    localStorage.setItem('kanban-app-state', serializedState);
-    return true;
-  } catch (err) {
-    console.error('Error saving app state:', err);
-    return false;
-  }
+export const subscribeToRemoteChanges = (listener) => {
+  changeListeners.add(listener);
+  return () => {
+    changeListeners.delete(listener);
+  };
 };
 
 // PUBLIC_INTERFACE
 /**
- * Clear all persisted application state
+ * Subscribe to writes committed in this tab
+ * @param {Function} listener - Called with the StorageChange list of each committed write and
+ *   `{ source }`, the tag the write was made with (null for ordinary writes)
+ * @returns {Function} Unsubscribe function
  */
-export const clearAppState = () => {
-  try {
-    localStorage.removeItem('kanban-app-state');
-  } catch (err) {
-    console.error('Error clearing app state:', err);
+export const subscribeToLocalChanges = (listener) => {
+  localChangeListeners.add(listener);
+  return () => {
+    localChangeListeners.delete(listener);
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Add a hook that writes alongside every write to the stores it watches. It runs
+ * inside the write's transaction, so its writes commit or fail together with it.
+ * @param {Object} hook - Write hook
+ * @param {string[]} hook.watches - Stores whose writes run the hook
+ * @param {string[]} hook.stores - Stores the hook writes to
+ * @param {Function} hook.onWrite - (changes, tables, { source }) => Promise; receives the
+ *   StorageChange list of the write so far, the tables of `stores` and the write's source tag
+ * @returns {Function} Function removing the hook
+ */
+export const addWriteHook = (hook) => {
+  writeHooks.add(hook);
+  return () => {
+    writeHooks.delete(hook);
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Subscribe to the list of writes that failed and are waiting for a retry
+ * @param {Function} listener - Called with the StorageError of each failed write
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToFailedWrites = (listener) => {
+  failedWriteListeners.add(listener);
+  listener(failedWrites.map(write => write.error));
+  return () => {
+    failedWriteListeners.delete(listener);
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Run failed writes again, oldest first. A write whose records were saved
+ * again since it failed is dropped rather than overwriting the newer versions.
+ * Stops at the first one that fails again and keeps it and the rest for a
+ * later retry.
+ * @returns {Promise<boolean>} True once every write is stored or dropped
+ * @throws {StorageError} The error of the write that failed again
+ */
+export const retryFailedWrites = async () => {
+  const pending = failedWrites;
+  failedWrites = [];
+
+  for (let i = 0; i < pending.length; i++) {
+    try {
+      await runWrite(pending[i].operation, pending[i].source, { replay: true });
+    } catch (err) {
+      const error = toStorageError(err);
+      if (error.code === STORAGE_ERROR_CODES.CONFLICT) continue;
+
+      failedWrites = [{ ...pending[i], error }, ...pending.slice(i + 1), ...failedWrites];
+      notifyFailedWrites();
+      throw error;
+    }
   }
+
+  notifyFailedWrites();
+  return true;
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Forget failed writes without retrying them
+ */
+export const discardFailedWrites = () => {
+  failedWrites = [];
+  notifyFailedWrites();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Save data to IndexedDB
+ * @param {string} storeName - The object store name
+ * @param {Object} data - Data to save
+ * @returns {Promise<boolean>} True once saved
+ * @throws {StorageError} When the write fails
+ */
+export const saveToIndexedDB = async (storeName, data) => {
+  return await performTrackedWrite([storeName], tables => tables[storeName].put(data));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load data from IndexedDB
+ * @param {string} storeName - The object store name
+ * @param {string} key - The key to retrieve
+ * @returns {Promise<Object|undefined>} Retrieved data, or undefined when missing
+ * @throws {StorageError} When the read fails
+ */
+export const loadFromIndexedDB = async (storeName, key) => {
+  return await performRead(() => adapter.get(storeName, key));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load all data from a store
+ * @param {string} storeName - The object store name
+ * @param {Object} filter - Optional filter object
+ * @returns {Promise<Array>} Array of items
+ * @throws {StorageError} When the read fails
+ */
+export const loadAllFromIndexedDB = async (storeName, filter = null) => {
+  return await performRead(() => adapter.getAll(storeName, filter));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Load all items whose indexed field matches any of the given keys
+ * @param {string} storeName - The object store name
+ * @param {string} indexName - Indexed field to match
+ * @param {Array} keys - Values to match
+ * @returns {Promise<Array>} Array of items
+ * @throws {StorageError} When the read fails
+ */
+export const loadAnyOfFromIndexedDB = async (storeName, indexName, keys) => {
+  return await performRead(() => adapter.getAnyOf(storeName, indexName, keys));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Delete data from IndexedDB
+ * @param {string} storeName - The object store name
+ * @param {string} id - The key to delete
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {StorageError} When the write fails
+ */
+export const deleteFromIndexedDB = async (storeName, id) => {
+  return await performTrackedWrite([storeName], tables => tables[storeName].delete(id));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Bulk save to IndexedDB
+ * @param {string} storeName - The object store name
+ * @param {Array} items - Array of items to save
+ * @returns {Promise<boolean>} True once saved
+ * @throws {StorageError} When the write fails
+ */
+export const bulkSaveToIndexedDB = async (storeName, items) => {
+  return await performTrackedWrite([storeName], tables => tables[storeName].bulkPut(items));
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Run several operations atomically in a single read-write transaction
+ * @param {string[]} storeNames - Object stores touched by the transaction
+ * @param {Function} callback - Receives the tables keyed by store name, supporting get, bulkGet,
+ *   toArray, put, bulkPut, delete, bulkDelete, clear, toCollection, filter and where().equals()/anyOf()
+ * @param {Object} [options] - Transaction options
+ * @param {string} [options.source] - Tag passed on to local change listeners, e.g. so sync can
+ *   tell its own writes from the user's
+ * @returns {Promise<boolean>} True once committed
+ * @throws {StorageError} When the transaction fails; nothing was written
+ */
+export const runTransactionInIndexedDB = async (storeNames, callback, { source = null } = {}) => {
+  return await performTrackedWrite(storeNames, callback, source);
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Clear all data from a store
+ * @param {string} storeName - The object store name
+ * @returns {Promise<boolean>} True once cleared
+ * @throws {StorageError} When the write fails
+ */
+export const clearStoreInIndexedDB = async (storeName) => {
+  return await performTrackedWrite([storeName], tables => tables[storeName].clear());
 };
@@ -0,0 +1,55 @@
+import 'fake-indexeddb/auto';
+import {
+  initIndexedDB,
+  saveToIndexedDB,
+  loadFromIndexedDB,
+  addWriteHook,
+  retryFailedWrites,
+  subscribeToFailedWrites
+} from './storage';
+
+// Fails the next write to boards, the way a full disk or a closing tab would
+let failNextWrite = false;
+let failedWriteErrors = [];
+
+beforeAll(async () => {
+  await initIndexedDB();
+  addWriteHook({
+    watches: ['boards'],
+    stores: ['boards'],
+    onWrite: async () => {
+      if (failNextWrite) {
+        failNextWrite = false;
+        throw new Error('Write interrupted');
+      }
+    }
+  });
+  subscribeToFailedWrites(errors => {
+    failedWriteErrors = errors;
+  });
+});
+
+test('replays a failed write that nothing has saved over', async () => {
+  failNextWrite = true;
+  await expect(saveToIndexedDB('boards', { id: 'replayed', title: 'First try', updatedAt: 1000 }))
+    .rejects.toThrow('Write interrupted');
+  expect(failedWriteErrors).toHaveLength(1);
+
+  await expect(retryFailedWrites()).resolves.toBe(true);
+
+  expect(await loadFromIndexedDB('boards', 'replayed')).toMatchObject({ title: 'First try' });
+  expect(failedWriteErrors).toEqual([]);
+});
+
+test('drops a failed write whose record was saved again since', async () => {
+  await saveToIndexedDB('boards', { id: 'stale', title: 'Original', updatedAt: 1000 });
+  failNextWrite = true;
+  await expect(saveToIndexedDB('boards', { id: 'stale', title: 'Failed edit', updatedAt: 2000 }))
+    .rejects.toThrow('Write interrupted');
+  await saveToIndexedDB('boards', { id: 'stale', title: 'Later edit', updatedAt: 3000 });
+
+  await expect(retryFailedWrites()).resolves.toBe(true);
+
+  expect(await loadFromIndexedDB('boards', 'stale')).toMatchObject({ title: 'Later edit' });
+  expect(failedWriteErrors).toEqual([]);
+});
@@ -0,0 +1,340 @@
+import Dexie from 'dexie';
+import { MIGRATIONS, declareMigrations, recordSchemaVersion } from './migrations';
+
+// Storage backends behind the helpers in storage.js. IndexedDB is the normal
+// one; localStorage and in-memory storage keep the app usable where IndexedDB
+// is missing, e.g. in some private browsing modes.
+
+// Database name, also the localStorage key prefix
+const DB_NAME = 'kanban-app-db';
+
+// PUBLIC_INTERFACE
+/**
+ * Storage modes, best first
+ * @enum {string}
+ */
+export const STORAGE_MODES = {
+  INDEXED_DB: 'indexeddb',
+  LOCAL_STORAGE: 'localstorage',
+  MEMORY: 'memory'
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Storage adapter interface. Every method returns a Promise except close().
+ * Transaction callbacks receive tables with the subset of the Dexie Table API
+ * the state modules use (get, put, delete, where().equals()/anyOf(), ...).
+ * @typedef {Object} StorageAdapter
+ * @property {string} mode - One of STORAGE_MODES
+ * @property {Function} open - () => Promise<void>; rejects when the backend is unavailable
+ * @property {Function} close - () => void
+ * @property {Function} get - (storeName, key) => Promise<Object|undefined>
+ * @property {Function} getAll - (storeName, filter?) => Promise<Object[]>; filter matches fields by equality
+ * @property {Function} getAnyOf - (storeName, indexName, keys) => Promise<Object[]>
+ * @property {Function} put - (storeName, item) => Promise
+ * @property {Function} bulkPut - (storeName, items) => Promise
+ * @property {Function} delete - (storeName, key) => Promise
+ * @property {Function} clear - (storeName) => Promise
+ * @property {Function} transaction - (storeNames, callback(tables)) => Promise; all or nothing
+ * @property {Function} [reload] - (storeNames) => Promise; re-reads stores another tab may have
+ *   written, for adapters that cache them in memory
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Primary key field of every store, from the schema in migrations.js
+ * @type {Object<string, string>}
+ */
+export const PRIMARY_KEYS = MIGRATIONS.reduce((keys, migration) => {
+  Object.entries(migration.stores).forEach(([storeName, schema]) => {
+    keys[storeName] = schema.split(',')[0].trim();
+  });
+  return keys;
+}, {});
+
+// PUBLIC_INTERFACE
+/**
+ * Create the IndexedDB adapter
+ * @param {Object} [options] - Adapter options
+ * @param {Function} [options.onVersionChange] - Called after another tab starts a schema upgrade
+ *   and this connection was closed to let it through
+ * @returns {StorageAdapter} IndexedDB adapter
+ */
+export const createIndexedDBAdapter = ({ onVersionChange } = {}) => {
+  let db = null;
+
+  return {
+    mode: STORAGE_MODES.INDEXED_DB,
+
+    open: async () => {
+      db = new Dexie(DB_NAME);
+
+      // Schema versions and their data upgrades live in migrations.js
+      declareMigrations(db);
+
+      db.on('versionchange', () => {
+        db.close();
+        if (onVersionChange) onVersionChange();
+        return false;
+      });
+
+      try {
+        await db.open();
+        await recordSchemaVersion(db);
+      } catch (err) {
+        db = null;
+        throw err;
+      }
+    },
+
+    close: () => {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+
+    get: (storeName, key) => db[storeName].get(key),
+
+    getAll: (storeName, filter) => {
+      return filter ? db[storeName].where(filter).toArray() : db[storeName].toArray();
+    },
+
+    getAnyOf: (storeName, indexName, keys) => {
+      // One key-range read per key in a shared transaction; anyOf() walks a
+      // cursor item by item, which is far slower for large result sets
+      const table = db[storeName];
+      return db.transaction('r', table, async () => {
+        const groups = await Promise.all(
+          [...new Set(keys)].map(key => table.where(indexName).equals(key).toArray())
+        );
+        return groups.flat();
+      });
+    },
+
+    put: (storeName, item) => db[storeName].put(item),
+
+    bulkPut: (storeName, items) => db[storeName].bulkPut(items),
+
+    delete: (storeName, key) => db[storeName].delete(key),
+
+    clear: (storeName) => db[storeName].clear(),
+
+    transaction: (storeNames, callback) => {
+      const tables = Object.fromEntries(storeNames.map(name => [name, db[name]]));
+      return db.transaction('rw', Object.values(tables), () => callback(tables));
+    }
+  };
+};
+
+/**
+ * Query result over in-memory records, mirroring the Dexie Collection methods in use
+ * @param {Map} records - Primary key -> record
+ * @param {Function} predicate - Record filter
+ * @returns {Object} Collection
+ */
+const createMemoryCollection = (records, predicate) => {
+  const matching = () => [...records.entries()].filter(([, record]) => predicate(record));
+
+  return {
+    toArray: async () => matching().map(([, record]) => ({ ...record })),
+    primaryKeys: async () => matching().map(([key]) => key),
+    delete: async () => {
+      const keys = matching().map(([key]) => key);
+      keys.forEach(key => records.delete(key));
+      return keys.length;
+    }
+  };
+};
+
+/**
+ * Table over an in-memory store, mirroring the Dexie Table methods in use.
+ * Records are copied in and out so callers never share them with the store.
+ * @param {Map} records - Primary key -> record
+ * @param {string} primaryKey - Primary key field
+ * @returns {Object} Table
+ */
+const createMemoryTable = (records, primaryKey) => ({
+  get: async (key) => {
+    const record = records.get(key);
+    return record ? { ...record } : undefined;
+  },
+  bulkGet: async (keys) => keys.map(key => {
+    const record = records.get(key);
+    return record ? { ...record } : undefined;
+  }),
+  put: async (item) => {
+    records.set(item[primaryKey], { ...item });
+    return item[primaryKey];
+  },
+  bulkPut: async (items) => {
+    items.forEach(item => records.set(item[primaryKey], { ...item }));
+  },
+  delete: async (key) => {
+    records.delete(key);
+  },
+  bulkDelete: async (keys) => {
+    keys.forEach(key => records.delete(key));
+  },
+  clear: async () => {
+    records.clear();
+  },
+  toArray: async () => [...records.values()].map(record => ({ ...record })),
+  toCollection: () => createMemoryCollection(records, () => true),
+  filter: (predicate) => createMemoryCollection(records, predicate),
+  where: (field) => ({
+    equals: (value) => createMemoryCollection(records, record => record[field] === value),
+    anyOf: (values) => {
+      const valueSet = new Set(values);
+      return createMemoryCollection(records, record => valueSet.has(record[field]));
+    }
+  })
+});
+
+/**
+ * Build an adapter over Maps held in memory
+ * @param {string} mode - Adapter mode
+ * @param {Object} hooks - Backend hooks
+ * @param {Function} hooks.load - () => Object of store name -> records, run on open
+ * @param {Function} hooks.persist - (stores, storeNames) => void, run before a write commits;
+ *   throwing rolls the write back
+ * @returns {StorageAdapter} Adapter
+ */
+const createMapAdapter = (mode, { load, persist }) => {
+  const stores = {};
+  // Writes run one at a time so a rollback never undoes another write
+  let writeQueue = Promise.resolve();
+
+  const tablesFor = (storeNames) => Object.fromEntries(
+    storeNames.map(name => [name, createMemoryTable(stores[name], PRIMARY_KEYS[name])])
+  );
+
+  /**
+   * Run a task after every queued write
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  const enqueue = (task) => {
+    const result = writeQueue.then(task);
+    writeQueue = result.catch(() => {});
+    return result;
+  };
+
+  const transaction = (storeNames, callback) => enqueue(async () => {
+    const snapshots = storeNames.map(name => new Map(stores[name]));
+    try {
+      const result = await callback(tablesFor(storeNames));
+      persist(stores, storeNames);
+      return result;
+    } catch (err) {
+      storeNames.forEach((name, index) => {
+        stores[name] = snapshots[index];
+      });
+      throw err;
+    }
+  });
+
+  /**
+   * Replace stores with the records the backend holds
+   * @param {Object} saved - Store name -> records, as returned by load()
+   * @param {string[]} storeNames - Stores to replace; ones missing from `saved` are kept
+   */
+  const replaceStores = (saved, storeNames) => {
+    storeNames
+      .filter(name => saved[name])
+      .forEach(name => {
+        stores[name] = new Map(saved[name].map(record => [record[PRIMARY_KEYS[name]], record]));
+      });
+  };
+
+  return {
+    mode,
+
+    open: async () => {
+      Object.keys(PRIMARY_KEYS).forEach(name => {
+        stores[name] = new Map();
+      });
+      replaceStores(load(), Object.keys(PRIMARY_KEYS));
+    },
+
+    close: () => {},
+
+    reload: (storeNames) => enqueue(async () => {
+      replaceStores(load(), storeNames);
+    }),
+
+    get: (storeName, key) => tablesFor([storeName])[storeName].get(key),
+
+    getAll: async (storeName, filter) => {
+      const records = await tablesFor([storeName])[storeName].toArray();
+      if (!filter) return records;
+      return records.filter(record =>
+        Object.entries(filter).every(([field, value]) => record[field] === value)
+      );
+    },
+
+    getAnyOf: (storeName, indexName, keys) => {
+      return tablesFor([storeName])[storeName].where(indexName).anyOf(keys).toArray();
+    },
+
+    put: (storeName, item) => transaction([storeName], tables => tables[storeName].put(item)),
+
+    bulkPut: (storeName, items) => transaction([storeName], tables => tables[storeName].bulkPut(items)),
+
+    delete: (storeName, key) => transaction([storeName], tables => tables[storeName].delete(key)),
+
+    clear: (storeName) => transaction([storeName], tables => tables[storeName].clear()),
+
+    transaction
+  };
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create the in-memory adapter. Nothing survives a reload.
+ * @returns {StorageAdapter} In-memory adapter
+ */
+export const createMemoryAdapter = () => createMapAdapter(STORAGE_MODES.MEMORY, {
+  load: () => ({}),
+  persist: () => {}
+});
+
+// Stores not written to localStorage: attachment Blobs can't be serialized to
+// JSON and would use up the small quota, and the search index is rebuilt as
+// cards are searched. Both still work for the rest of the session.
+const SESSION_ONLY_STORES = ['attachments', 'searchIndex'];
+
+/**
+ * localStorage key holding one store
+ * @param {string} storeName - Store name
+ * @returns {string} Key
+ */
+const localStorageKey = (storeName) => `${DB_NAME}:${storeName}`;
+
+// PUBLIC_INTERFACE
+/**
+ * Create the localStorage adapter. Each store is kept as one JSON array and
+ * rewritten whenever it changes.
+ * @returns {StorageAdapter} localStorage adapter
+ */
+export const createLocalStorageAdapter = () => createMapAdapter(STORAGE_MODES.LOCAL_STORAGE, {
+  load: () => {
+    // Fails when localStorage is disabled, so the next adapter is tried
+    const probeKey = `${DB_NAME}:probe`;
+    window.localStorage.setItem(probeKey, '1');
+    window.localStorage.removeItem(probeKey);
+
+    return Object.fromEntries(
+      Object.keys(PRIMARY_KEYS)
+        .filter(name => !SESSION_ONLY_STORES.includes(name))
+        .map(name => [name, JSON.parse(window.localStorage.getItem(localStorageKey(name)) || '[]')])
+    );
+  },
+  persist: (stores, storeNames) => {
+    storeNames
+      .filter(name => !SESSION_ONLY_STORES.includes(name))
+      .forEach(name => {
+        window.localStorage.setItem(localStorageKey(name), JSON.stringify([...stores[name].values()]));
+      });
+  }
+});